@@ -5,6 +5,8 @@ import {
   Bar,
   BarChart,
   CartesianGrid,
+  Cell,
+  ComposedChart,
   Line,
   LineChart,
   ReferenceLine,
@@ -22,40 +24,147 @@ import {
   FileText,
   FolderOpen,
   LineChart as LineChartIcon,
+  LogOut,
   Printer,
   Save,
   Settings2,
   ShieldAlert,
+  Target,
   Waves,
 } from "lucide-react";
 import {
+  budgetIndices,
+  budgetLineShareTotal,
   buildCSV,
+  appendAuditEntry,
+  auditAnchor,
+  auditScopes,
+  authenticateLegacyUser,
+  budgetRounds,
+  buildAuditCSV,
+  buildAuditChainExport,
+  buildAuditEntry,
   buildXlsxBinary,
+  attributeScenarioVariance,
+  compareScenarios,
   computeProjections,
+  computeSavingsTracker,
+  computeReformComparison,
   computeSensitivity,
   computeServiceBreakdown,
   computeStressTest,
+  computeTwoWaySensitivity,
+  computeVarianceBridge,
   computeWaterfall,
+  createBudgetLine,
+  createCapitalScheme,
+  createEarmarkedReserve,
+  createFundingShock,
+  createSavingsItem,
+  createStorageVault,
+  createUserAccount,
+  createService,
+  createCohort,
   defaultDebt,
   defaultFundingShock,
+  defaultFundingShocks,
   defaultOverrides,
   defaultSavingsPipeline,
+  defaultSensitivityKeys,
+  defaultSolverOptions,
   defaultStress,
+  deliveryRagOptions,
+  diffScenarioStates,
+  forkScenarioVersion,
+  grantVaultAccess,
+  findReferendumBreaches,
+  filterAuditTrail,
+  fundingReforms,
+  goalSeek,
+  goalSeekMetrics,
+  hasPermission,
+  applyGoalSeek,
+  listGoalSeekVariables,
+  listSensitivityDrivers,
+  serviceDemandDrivers,
+  serviceModels,
+  sensitivityMetrics,
+  sensitivityRangeModes,
+  serviceSplitTotal,
+  stressDistributions,
+  stressDrivers,
+  fundingStreams,
+  findReserveBreaches,
   findReserveExhaustion,
+  horizonLength,
+  implementationFunding,
   initialState,
+  isEncryptedValue,
+  isRoundLocked,
+  latestScenarioVersion,
+  lockBudgetRound,
+  maxHorizonYears,
+  minHorizonYears,
+  minPasswordLength,
   money,
+  migrateToVault,
+  mrpPolicies,
+  padOverrides,
+  padSeries,
   percent,
+  presetScenario,
+  publicUser,
   ragStatus,
+  removeUserAccount,
+  revokeVaultAccess,
+  readEncryptedItem,
+  readVaultAnchor,
+  resolveBudgetLines,
+  resolveBudgetPlan,
+  resolveFundingReform,
+  resolveFundingShocks,
+  resolveReferendumLimits,
+  resolveReserves,
+  resolveScenarioLibrary,
+  resolveServices,
+  resolveStressCorrelation,
+  summariseStressRuns,
+  summariseVariance,
+  saveScenarioVersion,
+  sealAuditTrail,
+  sealVaultAnchor,
+  sealVaultUsers,
+  signInToVault,
   scenarioPresets,
-  solveAdditionalSavings,
-  solveCouncilTaxIncrease,
+  solveBudgetPlan,
+  solverLevers,
+  solverTargets,
+  unlockLegacyVault,
+  uniqueServiceName,
+  validateServiceName,
+  usableOpeningReserves,
+  userRoles,
   validateConfig,
+  verifyAuditChain,
+  writeEncryptedItem,
 } from "./lib/mtfs.js";
 
 const storageKey = "mtfs_scenarios_v3";
 const notesKey = "mtfs_governance_notes_v1";
 const printableMetaKey = "mtfs_print_meta";
 const auditKey = "mtfs_audit_trail_v1";
+const usersKey = "mtfs_users_v1";
+const legacyGateKey = "mtfs_access_granted_v1";
+const vaultStorageKey = "mtfs_vault_v1";
+const encryptedKeys = [storageKey, notesKey, auditKey, printableMetaKey];
+const encryptedLabels = {
+  [storageKey]: "Saved scenarios",
+  [notesKey]: "Governance notes",
+  [auditKey]: "Audit trail",
+  [printableMetaKey]: "Print settings",
+  [vaultStorageKey]: "Accounts and audit anchor",
+};
+const stressCacheSize = 20;
 
 const tooltipLabel = (text) => (
   <span className="inline-flex items-center gap-1 text-xs text-slate-400">
@@ -64,75 +173,260 @@ const tooltipLabel = (text) => (
   </span>
 );
 
-const defaultNotes = Array.from({ length: 5 }, () => "");
+const defaultNotes = Array.from({ length: initialState.horizonYears }, () => "");
+const ragTones = {
+  Green: "bg-emerald-500",
+  Amber: "bg-amber-400",
+  Red: "bg-rose-600",
+};
+const comparisonMetrics = {
+  annualGap: "Annual gap",
+  usableReserves: "Usable reserves",
+  totalFunding: "Total funding",
+};
+const describeValue = (value) => {
+  if (typeof value === "number") {
+    return Math.abs(value) >= 1000 ? money(value) : formatNumber(value);
+  }
+  if (value === undefined || value === null) return "—";
+  if (typeof value === "string" || typeof value === "boolean") return String(value);
+  return "Changed";
+};
+const reservePalette = ["#38bdf8", "#a855f7", "#22c55e", "#facc15", "#f472b6", "#94a3b8"];
 const formatNumber = (value) =>
   new Intl.NumberFormat("en-GB").format(Number.isFinite(value) ? value : 0);
 const parseNumber = (value) =>
   Number(String(value).replace(/,/g, "").trim() || 0);
-const gateKey = "mtfs_access_granted_v1";
-const accessPassword = "MTFSmagic";
+const readStoredJSON = (name) => {
+  const raw = localStorage.getItem(name);
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
 
 export default function App() {
-  const [accessGranted, setAccessGranted] = useState(
-    () => localStorage.getItem(gateKey) === "true"
+  const [users, setUsers] = useState([]);
+  const [legacyUsers, setLegacyUsers] = useState(() => {
+    const stored = readStoredJSON(usersKey);
+    return Array.isArray(stored) ? stored : [];
+  });
+  const [sessionUser, setSessionUser] = useState(null);
+  const [signInForm, setSignInForm] = useState({
+    username: "",
+    displayName: "",
+    password: "",
+    confirm: "",
+  });
+  const [signInError, setSignInError] = useState("");
+  const [newAccount, setNewAccount] = useState({
+    username: "",
+    displayName: "",
+    password: "",
+    role: "analyst",
+  });
+  const [passwordReset, setPasswordReset] = useState({ username: "", password: "" });
+  const [accountMessage, setAccountMessage] = useState("");
+  const [saveError, setSaveError] = useState("");
+  const [serviceNameDrafts, setServiceNameDrafts] = useState({});
+  const [serviceNameErrors, setServiceNameErrors] = useState({});
+  const [vault, setVault] = useState(() => readStoredJSON(vaultStorageKey));
+  const [storageInUse] = useState(
+    () =>
+      localStorage.getItem(vaultStorageKey) !== null ||
+      encryptedKeys.some((name) => isEncryptedValue(localStorage.getItem(name)))
   );
-  const [passwordInput, setPasswordInput] = useState("");
-  const [passwordError, setPasswordError] = useState("");
+  const [unlocked, setUnlocked] = useState(false);
+  const [upgrade, setUpgrade] = useState(null);
+  const [upgradePassphrase, setUpgradePassphrase] = useState("");
+  const [vaultError, setVaultError] = useState("");
+  const [storageErrors, setStorageErrors] = useState({});
   const [scenario, setScenario] = useState("Base");
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [tab, setTab] = useState("Dashboard");
   const [assumptions, setAssumptions] = useState(initialState);
   const [serviceTab, setServiceTab] = useState(
-    Object.keys(initialState.serviceSplits)[0]
+    initialState.services[0].name
   );
   const [inputs, setInputs] = useState(initialState.baseline);
   const [overrides, setOverrides] = useState(defaultOverrides);
-  const [fundingShock, setFundingShock] = useState(defaultFundingShock);
+  const [fundingShocks, setFundingShocks] = useState(defaultFundingShocks);
   const [debt, setDebt] = useState(defaultDebt);
   const [pipeline, setPipeline] = useState(defaultSavingsPipeline);
   const [stress, setStress] = useState(defaultStress);
-  const [scenarioName, setScenarioName] = useState("");
-  const [savedScenarios, setSavedScenarios] = useState(() => {
-    const raw = localStorage.getItem(storageKey);
-    return raw ? JSON.parse(raw) : [];
+  const [fanMetric, setFanMetric] = useState("reserves");
+  const [sensitivityOptions, setSensitivityOptions] = useState({
+    metric: "year1Gap",
+    drivers: defaultSensitivityKeys,
+    ranges: {},
+    rowDriver: "payAward",
+    colDriver: "generalInflation",
   });
-  const [governanceNotes, setGovernanceNotes] = useState(() => {
-    const raw = localStorage.getItem(notesKey);
-    return raw ? JSON.parse(raw) : defaultNotes;
+  const [solverOptions, setSolverOptions] = useState(defaultSolverOptions);
+  const [comparisonSelection, setComparisonSelection] = useState([
+    "current",
+    "preset:Base",
+  ]);
+  const [comparisonMetric, setComparisonMetric] = useState("annualGap");
+  const [varianceTarget, setVarianceTarget] = useState("");
+  const [bridgeYear, setBridgeYear] = useState(0);
+  const [goalSeekOptions, setGoalSeekOptions] = useState({
+    variable: "payAward",
+    metric: "usableReserves",
+    yearIndex: 2,
+    target: 10_000_000,
+    min: null,
+    max: null,
   });
-  const [auditTrail, setAuditTrail] = useState(() => {
-    const raw = localStorage.getItem(auditKey);
-    return raw ? JSON.parse(raw) : [];
+  const [scenarioName, setScenarioName] = useState("");
+  const [savedScenarios, setSavedScenarios] = useState([]);
+  const [versionMeta, setVersionMeta] = useState({
+    round: budgetRounds[0],
+    comment: "",
   });
+  const [historyScenario, setHistoryScenario] = useState("");
+  const [historyDiff, setHistoryDiff] = useState({ from: null, to: null });
+  const [forkName, setForkName] = useState("");
+  const [auditFilter, setAuditFilter] = useState({ query: "", scope: "all" });
+  const [governanceNotes, setGovernanceNotes] = useState(defaultNotes);
+  const [auditTrail, setAuditTrail] = useState([]);
+  const [auditVerification, setAuditVerification] = useState(null);
+  const [auditAnchorState, setAuditAnchorState] = useState(null);
+  const [auditError, setAuditError] = useState("");
+  const [printMeta, setPrintMeta] = useState(null);
   const lastSnapshot = useRef("");
+  const auditRef = useRef(auditTrail);
+  const auditQueue = useRef(Promise.resolve());
+  const vaultKey = useRef(null);
+  const storageQueue = useRef(Promise.resolve());
+  const blockedKeys = useRef(new Set());
+  const currentUser = publicUser(
+    users.find((account) => account.username === sessionUser)
+  );
+  const can = (permission) => hasPermission(currentUser, permission);
+  const horizon = horizonLength(assumptions);
+  const horizonYearOptions = Array.from({ length: horizon }, (_, idx) => idx);
 
   useEffect(() => {
-    const services = Object.keys(assumptions.serviceSplits);
+    const services = resolveServices(assumptions).map((service) => service.name);
     if (!services.includes(serviceTab)) {
       setServiceTab(services[0]);
     }
   }, [assumptions, serviceTab]);
 
   useEffect(() => {
+    if (overrides.length < horizon) {
+      setOverrides((prev) => padOverrides(prev, horizon));
+    }
+    if (governanceNotes.length < horizon) {
+      const updated = padSeries(governanceNotes, horizon, () => "");
+      setGovernanceNotes(updated);
+      persist(notesKey, updated);
+    }
+  }, [horizon, overrides.length, governanceNotes]);
+
+  const queueWrite = (name, write) => {
+    storageQueue.current = storageQueue.current
+      .then(write)
+      .then(() =>
+        setStorageErrors((prev) =>
+          prev[name]
+            ? Object.fromEntries(Object.entries(prev).filter(([item]) => item !== name))
+            : prev
+        )
+      )
+      .catch((error) =>
+        setStorageErrors((prev) => ({
+          ...prev,
+          [name]: `Could not save (${error.message}). Later changes will retry.`,
+        }))
+      );
+  };
+
+  const persist = (name, value) => {
+    const key = vaultKey.current;
+    if (!key || blockedKeys.current.has(name)) return;
+    queueWrite(name, () => writeEncryptedItem(localStorage, name, value, key));
+  };
+
+  const writeVault = async (change) => {
+    const current = readStoredJSON(vaultStorageKey);
+    if (!current) throw new Error("the account vault is missing or unreadable");
+    const updated = await change(current);
+    localStorage.setItem(vaultStorageKey, JSON.stringify(updated));
+    setVault(updated);
+  };
+
+  const persistAudit = (trail) => {
+    const key = vaultKey.current;
+    if (!key || blockedKeys.current.has(auditKey)) return;
+    queueWrite(auditKey, async () => {
+      await writeEncryptedItem(localStorage, auditKey, trail, key);
+      await writeVault((current) => sealVaultAnchor(current, key, auditAnchor(trail)));
+    });
+  };
+
+  const queueAudit = (update) => {
+    auditQueue.current = auditQueue.current
+      .then(async () => {
+        const updated = await update(auditRef.current);
+        if (updated === auditRef.current) return;
+        auditRef.current = updated;
+        setAuditTrail(updated);
+        if (!blockedKeys.current.has(auditKey)) setAuditAnchorState(auditAnchor(updated));
+        persistAudit(updated);
+        setAuditError("");
+      })
+      .catch((error) =>
+        setAuditError(`Audit entry not recorded: ${error.message}`)
+      );
+  };
+
+  useEffect(() => {
+    localStorage.removeItem(legacyGateKey);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    verifyAuditChain(auditTrail, auditAnchorState).then((result) => {
+      if (!cancelled) setAuditVerification(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [auditTrail, auditAnchorState]);
+
+  useEffect(() => {
+    if (!currentUser || !unlocked) return;
     const snapshot = JSON.stringify({
       inputs,
       overrides,
-      fundingShock,
+      fundingShocks,
       debt,
       assumptions,
       pipeline,
     });
     if (lastSnapshot.current && lastSnapshot.current === snapshot) return;
+    const previous = lastSnapshot.current ? JSON.parse(lastSnapshot.current) : null;
     lastSnapshot.current = snapshot;
-    const entry = {
-      timestamp: new Date().toISOString(),
+    const entry = buildAuditEntry(previous, JSON.parse(snapshot), {
       scenario,
-      summary: `CT ${inputs.councilTaxIncrease}% | Pay ${inputs.payAward}% | Infl ${inputs.generalInflation}% | Demand ${inputs.socialCareGrowth}%`,
-    };
-    const updated = [entry, ...auditTrail].slice(0, 200);
-    setAuditTrail(updated);
-    localStorage.setItem(auditKey, JSON.stringify(updated));
-  }, [inputs, overrides, fundingShock, debt, assumptions, pipeline, scenario]);
+      user: currentUser.username,
+    });
+    queueAudit((trail) => appendAuditEntry(trail, entry));
+  }, [
+    inputs,
+    overrides,
+    fundingShocks,
+    debt,
+    assumptions,
+    pipeline,
+    scenario,
+    currentUser?.username,
+    unlocked,
+  ]);
 
   const handleScenario = (value) => {
     setScenario(value);
@@ -145,19 +439,19 @@ export default function App() {
       computeProjections(
         inputs,
         overrides,
-        fundingShock,
+        fundingShocks,
         debt,
         assumptions,
         pipeline
       ),
-    [inputs, overrides, fundingShock, debt, assumptions, pipeline]
+    [inputs, overrides, fundingShocks, debt, assumptions, pipeline]
   );
   const baselineProjections = useMemo(
     () =>
       computeProjections(
         baselineInputs,
         defaultOverrides,
-        defaultFundingShock,
+        [],
         defaultDebt,
         assumptions,
         pipeline
@@ -165,9 +459,11 @@ export default function App() {
     [assumptions, baselineInputs, pipeline]
   );
 
+  const reserves = resolveReserves(assumptions);
   const rag = ragStatus(
-    projections[0]?.reservesEnd ?? assumptions.currentReserves,
-    projections[0]?.netBudgetRequirement ?? assumptions.previousYearBase
+    projections[0]?.usableReserves ?? usableOpeningReserves(assumptions),
+    projections[0]?.netBudgetRequirement ?? assumptions.previousYearBase,
+    projections[0]?.reserveBreaches ?? []
   );
 
   const waterfallData = useMemo(
@@ -176,61 +472,276 @@ export default function App() {
   );
   const reservesSeries = projections.map((row) => ({
     year: row.year,
-    reserves: row.reservesEnd,
+    reserves: row.usableReserves,
+    ...Object.fromEntries(
+      row.reserveDetail.map((item) => [item.name, item.balance])
+    ),
   }));
+  const reserveBreaches = findReserveBreaches(projections);
+  const fundingReform = resolveFundingReform(assumptions);
+  const reformEnabled = Object.values(fundingReform).some((reform) => reform.enabled);
+  const reformComparison = useMemo(
+    () =>
+      computeReformComparison(
+        inputs,
+        overrides,
+        fundingShocks,
+        debt,
+        assumptions,
+        pipeline
+      ),
+    [inputs, overrides, fundingShocks, debt, assumptions, pipeline]
+  );
+  const savingsTracker = useMemo(
+    () =>
+      computeSavingsTracker(
+        pipeline,
+        horizon,
+        assumptions.savingsSlippage ?? 0,
+        assumptions.useSavingsActuals ?? false
+      ),
+    [pipeline, horizon, assumptions]
+  );
+  const bottomUpServices = assumptions.serviceModel === "bottomUp";
+  const services = resolveServices(assumptions);
+  const demandCohorts = projections[0]?.demandDetail ?? [];
+  const splitTotal = serviceSplitTotal(assumptions);
   const serviceBreakdown = useMemo(
     () => computeServiceBreakdown(projections, assumptions),
     [projections, assumptions]
   );
   const exhaustion = findReserveExhaustion(projections);
+  const sensitivityDrivers = listSensitivityDrivers(assumptions);
   const sensitivity = useMemo(
     () =>
       computeSensitivity(
         inputs,
         overrides,
-        fundingShock,
+        fundingShocks,
         debt,
         assumptions,
-        pipeline
+        pipeline,
+        sensitivityOptions
+      ).sort(
+        (a, b) =>
+          Math.abs(b.up) + Math.abs(b.down) - (Math.abs(a.up) + Math.abs(a.down))
       ),
-    [inputs, overrides, fundingShock, debt, assumptions, pipeline]
+    [inputs, overrides, fundingShocks, debt, assumptions, pipeline, sensitivityOptions]
   );
-  const stressSummary = useMemo(
+  const twoWay = useMemo(
     () =>
-      computeStressTest(
+      computeTwoWaySensitivity(
         inputs,
         overrides,
-        fundingShock,
+        fundingShocks,
         debt,
         assumptions,
         pipeline,
-        stress
+        sensitivityOptions
       ),
-    [inputs, overrides, fundingShock, debt, assumptions, pipeline, stress]
+    [inputs, overrides, fundingShocks, debt, assumptions, pipeline, sensitivityOptions]
   );
+  const twoWayBase = twoWay?.base ?? 0;
+
+  const updateSensitivityRange = (key, field, value) => {
+    setSensitivityOptions((prev) => {
+      const driver = listSensitivityDrivers(assumptions).find((item) => item.key === key);
+      return {
+        ...prev,
+        ranges: {
+          ...prev.ranges,
+          [key]: { ...driver?.range, ...(prev.ranges[key] ?? {}), [field]: value },
+        },
+      };
+    });
+  };
+
+  const toggleSensitivityDriver = (key, enabled) => {
+    setSensitivityOptions((prev) => ({
+      ...prev,
+      drivers: enabled
+        ? [...prev.drivers.filter((item) => item !== key), key]
+        : prev.drivers.filter((item) => item !== key),
+    }));
+  };
+  const [stressResult, setStressResult] = useState(null);
+  const [stressProgress, setStressProgress] = useState(0);
+  const stressWorker = useRef(null);
+  const stressCache = useRef(new Map());
+  const stressRunId = useRef(0);
+
+  useEffect(() => () => stressWorker.current?.terminate(), []);
+
+  useEffect(() => {
+    const payload = { inputs, overrides, fundingShocks, debt, assumptions, pipeline, stress };
+    const snapshot = JSON.stringify(payload);
+    const cached = stressCache.current.get(snapshot);
+    if (cached) {
+      setStressResult(cached);
+      setStressProgress(1);
+      return undefined;
+    }
+    const store = (summary) => {
+      stressCache.current.set(snapshot, summary);
+      if (stressCache.current.size > stressCacheSize) {
+        stressCache.current.delete(stressCache.current.keys().next().value);
+      }
+      setStressResult(summary);
+      setStressProgress(1);
+    };
+    if (typeof Worker === "undefined") {
+      store(
+        computeStressTest(inputs, overrides, fundingShocks, debt, assumptions, pipeline, stress)
+      );
+      return undefined;
+    }
+    if (!stressWorker.current) {
+      stressWorker.current = new Worker(new URL("./lib/stressWorker.js", import.meta.url), {
+        type: "module",
+      });
+    }
+    const worker = stressWorker.current;
+    stressRunId.current += 1;
+    const runId = stressRunId.current;
+    setStressProgress(0);
+    worker.onmessage = (event) => {
+      if (event.data.runId !== runId) return;
+      if (event.data.type === "progress") {
+        setStressProgress(event.data.done / event.data.total);
+      }
+      if (event.data.type === "result") store(event.data.summary);
+    };
+    worker.postMessage({ type: "run", runId, payload });
+    return () => worker.postMessage({ type: "cancel", runId });
+  }, [inputs, overrides, fundingShocks, debt, assumptions, pipeline, stress]);
+
+  const stressSummary =
+    stressResult ?? summariseStressRuns([], projections.map((row) => row.year));
+  const stressRunning = stressProgress < 1;
 
+  const stressCorrelation = resolveStressCorrelation(stress);
+  const correlationMatrix = stressCorrelation.matrix;
+  const fanSeries = stressSummary.years.map((year) => ({
+    year: year.year,
+    outer: [year[fanMetric].p10, year[fanMetric].p90],
+    inner: [year[fanMetric].p25, year[fanMetric].p75],
+    median: year[fanMetric].p50,
+    exhaustion: year.exhaustionProbability,
+  }));
+
+  const updateCorrelation = (row, col, value) => {
+    setStress((prev) => {
+      const correlation = resolveStressCorrelation(prev).matrix.map((line, i) =>
+        line.map((cell, j) =>
+          (i === row && j === col) || (i === col && j === row) ? value : cell
+        )
+      );
+      return { ...prev, correlation };
+    });
+  };
+
+  const finalYear = projections[projections.length - 1];
+  const baselineFinalYear = baselineProjections[baselineProjections.length - 1];
+  const finalLabel = `Y${horizon}`;
   const deltaGap =
     (projections[0]?.annualGap ?? 0) - (baselineProjections[0]?.annualGap ?? 0);
   const deltaReserves =
-    (projections[4]?.reservesEnd ?? 0) -
-    (baselineProjections[4]?.reservesEnd ?? 0);
-  const year5Gap = projections[4]?.annualGap ?? 0;
+    (finalYear?.usableReserves ?? 0) - (baselineFinalYear?.usableReserves ?? 0);
+  const finalGap = finalYear?.annualGap ?? 0;
   const triggerLevel = projections[0]?.netBudgetRequirement
     ? projections[0].netBudgetRequirement * 0.05
     : 0;
   const triggerBreached = projections.some(
-    (row) => row.reservesEnd < triggerLevel
+    (row) => row.usableReserves < triggerLevel
   );
 
-  const solverCT = solveCouncilTaxIncrease(
-    inputs,
-    overrides,
-    fundingShock,
-    debt,
-    assumptions,
-    pipeline
+  const budgetSolution = useMemo(
+    () =>
+      solveBudgetPlan(
+        inputs,
+        overrides,
+        fundingShocks,
+        debt,
+        assumptions,
+        pipeline,
+        solverOptions
+      ),
+    [inputs, overrides, fundingShocks, debt, assumptions, pipeline, solverOptions]
+  );
+  const appliedPlan = resolveBudgetPlan(assumptions);
+  const planApplied = Object.values(appliedPlan).some((series) =>
+    series.some((value) => value)
+  );
+
+  const updateSolverLever = (key, field, value) => {
+    setSolverOptions((prev) => ({
+      ...prev,
+      levers: prev.levers.map((lever) =>
+        lever.key === key ? { ...lever, [field]: value } : lever
+      ),
+    }));
+  };
+
+  const applyBudgetPlan = () => {
+    setOverrides((prev) =>
+      padOverrides(prev, horizon).map(
+        (override, i) => budgetSolution.overrides[i] ?? override
+      )
+    );
+    setAssumptions((prev) => ({ ...prev, budgetPlan: budgetSolution.budgetPlan }));
+  };
+
+  const clearBudgetPlan = () => {
+    setAssumptions((prev) => ({ ...prev, budgetPlan: initialState.budgetPlan }));
+  };
+
+  const goalSeekVariables = listGoalSeekVariables(assumptions);
+  const goalSeekResult = useMemo(
+    () =>
+      goalSeek(
+        inputs,
+        overrides,
+        fundingShocks,
+        debt,
+        assumptions,
+        pipeline,
+        goalSeekOptions
+      ),
+    [inputs, overrides, fundingShocks, debt, assumptions, pipeline, goalSeekOptions]
   );
-  const solverSavings = solveAdditionalSavings(projections);
+  const goalSeekVariable = goalSeekVariables.find(
+    (item) => item.key === goalSeekOptions.variable
+  );
+  const goalSeekFormat = (value) =>
+    goalSeekVariable?.unit === "money"
+      ? money(value)
+      : goalSeekVariable?.unit === "count"
+        ? formatNumber(Math.round(value))
+        : percent(value);
+
+  const openGoalSeek = (variable) => {
+    setGoalSeekOptions((prev) => ({ ...prev, variable, min: null, max: null }));
+    setTab("Dashboard");
+    setSidebarOpen(false);
+    requestAnimationFrame(() =>
+      document.getElementById("goal-seek")?.scrollIntoView({ behavior: "smooth" })
+    );
+  };
+
+  const applyGoalSeekResult = () => {
+    const next = applyGoalSeek(
+      { inputs, overrides, fundingShocks, debt, assumptions, pipeline },
+      goalSeekResult,
+      assumptions
+    );
+    setInputs(next.inputs);
+    setFundingShocks(next.fundingShocks);
+    setDebt(next.debt);
+    setAssumptions(next.assumptions);
+    setPipeline(next.pipeline);
+  };
+  const referendumLimits = resolveReferendumLimits(assumptions);
+  const referendumBreaches = findReferendumBreaches(inputs, overrides, assumptions);
 
   const copyCSV = async () => {
     const csv = buildCSV(projections);
@@ -243,12 +754,14 @@ export default function App() {
       timestamp: new Date().toISOString(),
       inputs,
       assumptions,
-      fundingShock,
+      fundingShocks,
       debt,
-      overrides,
+      overrides: overrides.slice(0, horizon),
       pipeline,
       stress,
-      governanceNotes,
+      stressSummary,
+      variance: scenarioVariance ? summariseVariance(scenarioVariance) : null,
+      governanceNotes: governanceNotes.slice(0, horizon),
     });
     const blob = new Blob([binary], {
       type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
@@ -262,11 +775,7 @@ export default function App() {
   };
 
   const exportAudit = () => {
-    const headers = ["Timestamp", "Scenario", "Summary"];
-    const lines = auditTrail.map((entry) =>
-      [entry.timestamp, entry.scenario, entry.summary].join(",")
-    );
-    const csv = [headers.join(","), ...lines].join("\n");
+    const csv = buildAuditCSV(auditTrail);
     const blob = new Blob([csv], { type: "text/csv" });
     const url = URL.createObjectURL(blob);
     const link = document.createElement("a");
@@ -276,54 +785,346 @@ export default function App() {
     URL.revokeObjectURL(url);
   };
 
+  const exportAuditChain = () => {
+    const blob = new Blob([JSON.stringify(buildAuditChainExport(auditTrail), null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "mtfs-audit-chain.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const exportPDF = () => {
-    localStorage.setItem(
-      printableMetaKey,
-      JSON.stringify({
-        scenario,
-        timestamp: new Date().toISOString(),
-        inputs,
-        assumptions,
-        fundingShock,
-        debt,
-      })
-    );
-    window.print();
+    const meta = {
+      scenario,
+      timestamp: new Date().toISOString(),
+      inputs,
+      assumptions,
+      fundingShocks,
+      debt,
+      variance: scenarioVariance ? summariseVariance(scenarioVariance) : null,
+    };
+    setPrintMeta(meta);
+    persist(printableMetaKey, meta);
+    requestAnimationFrame(() => window.print());
+  };
+
+  const filteredAudit = filterAuditTrail(auditTrail, auditFilter);
+
+  const storeScenarios = (updated) => {
+    setSavedScenarios(updated);
+    persist(storageKey, updated);
   };
 
   const saveScenario = () => {
     const trimmed = scenarioName.trim();
-    if (!trimmed) return;
-    const updated = [
-      ...savedScenarios.filter((entry) => entry.name !== trimmed),
-      {
-        name: trimmed,
-        inputs,
-        overrides,
-        fundingShock,
-        debt,
-        assumptions,
-        pipeline,
-        stress,
-      },
-    ];
-    setSavedScenarios(updated);
-    localStorage.setItem(storageKey, JSON.stringify(updated));
+    if (!trimmed || !can("saveScenario")) return;
+    const existing = savedScenarios.find((entry) => entry.name === trimmed);
+    if (isRoundLocked(existing, versionMeta.round)) {
+      setSaveError(`${versionMeta.round} is locked for ${trimmed}. Choose another round.`);
+      return;
+    }
+    storeScenarios(
+      saveScenarioVersion(
+        savedScenarios,
+        trimmed,
+        { inputs, overrides, fundingShocks, debt, assumptions, pipeline, stress },
+        { ...versionMeta, author: currentUser.displayName }
+      )
+    );
+    setSaveError("");
     setScenario("Custom");
     setScenarioName("");
+    setHistoryScenario(trimmed);
+    setVersionMeta((prev) => ({ ...prev, comment: "" }));
+  };
+
+  const applyScenarioState = (state) => {
+    setInputs(state.inputs);
+    setOverrides(state.overrides ?? defaultOverrides);
+    setFundingShocks(
+      state.fundingShocks ?? resolveFundingShocks(state.fundingShock ?? defaultFundingShock)
+    );
+    setDebt(state.debt ?? defaultDebt);
+    setAssumptions(state.assumptions ?? initialState);
+    setPipeline(state.pipeline ?? defaultSavingsPipeline);
+    setStress(state.stress ?? defaultStress);
+    setScenario("Custom");
   };
 
   const loadScenario = (name) => {
     const match = savedScenarios.find((entry) => entry.name === name);
     if (!match) return;
-    setInputs(match.inputs);
-    setOverrides(match.overrides ?? defaultOverrides);
-    setFundingShock(match.fundingShock ?? defaultFundingShock);
-    setDebt(match.debt ?? defaultDebt);
-    setAssumptions(match.assumptions ?? initialState);
-    setPipeline(match.pipeline ?? defaultSavingsPipeline);
-    setStress(match.stress ?? defaultStress);
-    setScenario("Custom");
+    applyScenarioState(latestScenarioVersion(match).state);
+    setHistoryScenario(name);
+  };
+
+  const historyEntry = savedScenarios.find((entry) => entry.name === historyScenario);
+  const historyVersions = historyEntry?.versions ?? [];
+  const findHistoryVersion = (version) =>
+    historyVersions.find((item) => item.version === version);
+  const historyChanges =
+    findHistoryVersion(historyDiff.from) && findHistoryVersion(historyDiff.to)
+      ? diffScenarioStates(
+          findHistoryVersion(historyDiff.from).state,
+          findHistoryVersion(historyDiff.to).state
+        )
+      : [];
+
+  const restoreVersion = (version) => {
+    const match = findHistoryVersion(version);
+    if (match) applyScenarioState(match.state);
+  };
+
+  const forkVersion = (version) => {
+    const trimmed = forkName.trim();
+    if (
+      !trimmed ||
+      !can("saveScenario") ||
+      savedScenarios.some((entry) => entry.name === trimmed)
+    ) {
+      return;
+    }
+    storeScenarios(
+      forkScenarioVersion(savedScenarios, historyScenario, version, trimmed, {
+        author: currentUser.displayName,
+      })
+    );
+    setForkName("");
+    setHistoryScenario(trimmed);
+  };
+
+  const historyRounds = [
+    ...new Set(historyVersions.map((version) => version.round).filter(Boolean)),
+  ];
+
+  const lockRound = (round) => {
+    storeScenarios(lockBudgetRound(savedScenarios, historyScenario, round, currentUser));
+  };
+
+  const storeAccounts = (updated, change) => {
+    const key = vaultKey.current;
+    if (!key) return;
+    setUsers(updated);
+    queueWrite(vaultStorageKey, () =>
+      writeVault(async (current) => sealVaultUsers(await change(current, key), key, updated))
+    );
+  };
+
+  const setUpVault = async (account, password, accounts, legacyKey = null) => {
+    const created = await createStorageVault(account.username, password);
+    if (created.error) return created;
+    await migrateToVault(localStorage, encryptedKeys, created.key, legacyKey);
+    const legacyAnchor =
+      legacyKey && vault?.audit !== undefined
+        ? await readVaultAnchor(vault, legacyKey)
+        : { anchor: null, error: "" };
+    const stored = await readEncryptedItem(localStorage, auditKey, created.key);
+    let next = await sealVaultUsers(created.vault, created.key, accounts);
+    if (!stored.error && !legacyAnchor.error) {
+      const trail = await sealAuditTrail(stored.value ?? []);
+      if (stored.value && trail !== stored.value) {
+        await writeEncryptedItem(localStorage, auditKey, trail, created.key);
+      }
+      next = await sealVaultAnchor(next, created.key, legacyAnchor.anchor ?? auditAnchor(trail));
+    }
+    localStorage.setItem(vaultStorageKey, JSON.stringify(next));
+    localStorage.removeItem(usersKey);
+    setVault(next);
+    setLegacyUsers([]);
+    return { ...created, vault: next };
+  };
+
+  const startSession = async ({ user, users: accounts, key }, storedVault) => {
+    await openVault(key, storedVault);
+    setUsers(accounts);
+    setSessionUser(user.username);
+    setSignInForm({ username: "", displayName: "", password: "", confirm: "" });
+    setSignInError("");
+  };
+
+  const completeUpgrade = async ({ user, password }, legacyKey) => {
+    const accounts = legacyUsers.map(({ salt, iterations, passwordHash, ...account }) => account);
+    const created = await setUpVault(user, password, accounts, legacyKey);
+    setUpgrade(null);
+    if (created.error) {
+      setSignInError(created.error);
+      return;
+    }
+    await startSession({ user, users: accounts, key: created.key }, created.vault);
+  };
+
+  const signInMode =
+    vault?.version === 2
+      ? "signIn"
+      : legacyUsers.length
+        ? "legacy"
+        : storageInUse
+          ? "blocked"
+          : "setup";
+
+  const submitSignIn = async (event) => {
+    event.preventDefault();
+    if (signInMode === "setup") {
+      if (signInForm.password !== signInForm.confirm) {
+        setSignInError("Passwords do not match.");
+        return;
+      }
+      const result = createUserAccount([], { ...signInForm, role: "s151" });
+      if (result.error) {
+        setSignInError(result.error);
+        return;
+      }
+      const created = await setUpVault(result.users[0], signInForm.password, result.users);
+      if (created.error) {
+        setSignInError(created.error);
+        return;
+      }
+      await startSession(
+        { user: publicUser(result.users[0]), users: result.users, key: created.key },
+        created.vault
+      );
+      return;
+    }
+    if (signInMode === "legacy") {
+      const user = await authenticateLegacyUser(
+        legacyUsers,
+        signInForm.username,
+        signInForm.password
+      );
+      if (!user) {
+        setSignInError("Incorrect username or password.");
+        return;
+      }
+      if (!hasPermission(user, "manageUsers")) {
+        setSignInError(
+          "Storage on this device needs upgrading to per-user keys. Ask your S151 officer to sign in first."
+        );
+        return;
+      }
+      const details = { user, password: signInForm.password };
+      setSignInForm({ username: "", displayName: "", password: "", confirm: "" });
+      setSignInError("");
+      if (vault) {
+        setUpgrade(details);
+        return;
+      }
+      if (storageInUse) {
+        setSignInError("Encrypted data exists but its vault is missing or unreadable.");
+        return;
+      }
+      await completeUpgrade(details, null);
+      return;
+    }
+    const session = await signInToVault(vault, signInForm.username, signInForm.password);
+    if (!session.user) {
+      setSignInError(session.error);
+      return;
+    }
+    await startSession(session, vault);
+  };
+
+  const openVault = async (key, storedVault) => {
+    const results = await Promise.all(
+      encryptedKeys.map((name) => readEncryptedItem(localStorage, name, key))
+    );
+    const [scenarios, notes, trail, meta] = results.map((result) => result.value);
+    const failed = encryptedKeys.filter((_, idx) => results[idx].error);
+    blockedKeys.current = new Set(failed);
+    setStorageErrors(
+      Object.fromEntries(
+        failed.map((name) => [
+          name,
+          `${results[encryptedKeys.indexOf(name)].error}. Changes are not being saved so the stored copy is kept for recovery.`,
+        ])
+      )
+    );
+    vaultKey.current = key;
+    setSavedScenarios(resolveScenarioLibrary(scenarios ?? []));
+    setGovernanceNotes(notes ?? defaultNotes);
+    setPrintMeta(meta);
+    const stored = await readVaultAnchor(storedVault, key);
+    if (stored.error) {
+      blockedKeys.current.add(auditKey);
+      setStorageErrors((prev) => ({
+        ...prev,
+        [auditKey]: `${stored.error}. Changes are not being saved so the stored copy is kept for recovery.`,
+      }));
+    }
+    auditRef.current = trail ?? [];
+    setAuditTrail(auditRef.current);
+    const upgraded =
+      stored.anchor && !stored.anchor.tail && stored.anchor.head === auditAnchor(auditRef.current).head
+        ? auditAnchor(auditRef.current)
+        : null;
+    setAuditAnchorState(
+      stored.error
+        ? { head: null, count: auditRef.current.length, error: stored.error }
+        : upgraded ?? stored.anchor
+    );
+    if (upgraded) persistAudit(auditRef.current);
+    setVaultError("");
+    setUnlocked(true);
+  };
+
+  const submitPassphrase = async (event) => {
+    event.preventDefault();
+    const key = await unlockLegacyVault(vault, upgradePassphrase);
+    if (!key) {
+      setVaultError("Incorrect passphrase.");
+      return;
+    }
+    setUpgradePassphrase("");
+    setVaultError("");
+    await completeUpgrade(upgrade, key);
+  };
+
+  const signOut = async () => {
+    await auditQueue.current;
+    await storageQueue.current;
+    window.location.reload();
+  };
+
+  const addAccount = () => {
+    if (!can("manageUsers")) return;
+    const result = createUserAccount(users, newAccount);
+    if (result.error) {
+      setAccountMessage(result.error);
+      return;
+    }
+    const account = result.users[result.users.length - 1];
+    const { password } = newAccount;
+    storeAccounts(result.users, (current, key) =>
+      grantVaultAccess(current, key, account.username, password)
+    );
+    setNewAccount({ username: "", displayName: "", password: "", role: "analyst" });
+    setAccountMessage(`Account ${account.username} created.`);
+  };
+
+  const removeAccount = (username) => {
+    if (!can("manageUsers") || username === currentUser.username) return;
+    const updated = removeUserAccount(users, username);
+    if (updated === users) return;
+    storeAccounts(updated, (current) => revokeVaultAccess(current, username));
+  };
+
+  const resetPassword = () => {
+    if (!can("manageUsers")) return;
+    const { username, password } = passwordReset;
+    if (!users.some((account) => account.username === username)) {
+      setAccountMessage("Choose an account.");
+      return;
+    }
+    if (password.length < minPasswordLength) {
+      setAccountMessage(`Passwords need at least ${minPasswordLength} characters.`);
+      return;
+    }
+    storeAccounts(users, (current, key) => grantVaultAccess(current, key, username, password));
+    setPasswordReset({ username: "", password: "" });
+    setAccountMessage(`Password set for ${username}.`);
   };
 
   const updateOverride = (index, key, value) => {
@@ -339,62 +1140,300 @@ export default function App() {
       idx === index ? value : note
     );
     setGovernanceNotes(updated);
-    localStorage.setItem(notesKey, JSON.stringify(updated));
+    persist(notesKey, updated);
   };
 
-  const updateServiceAssumption = (service, key, value) => {
+  const updateService = (index, key, value) => {
     setAssumptions((prev) => ({
       ...prev,
-      serviceAssumptions: {
-        ...prev.serviceAssumptions,
-        [service]: {
-          ...prev.serviceAssumptions[service],
-          [key]: value,
-        },
-      },
+      services: resolveServices(prev).map((item, idx) =>
+        idx === index ? { ...item, [key]: value } : item
+      ),
     }));
   };
 
-  const updateSplit = (service, value) => {
+  const updateCohort = (serviceIndex, cohortIndex, key, value) => {
     setAssumptions((prev) => ({
       ...prev,
-      serviceSplits: {
-        ...prev.serviceSplits,
-        [service]: value,
-      },
+      services: resolveServices(prev).map((item, idx) =>
+        idx === serviceIndex
+          ? {
+              ...item,
+              cohorts: (item.cohorts ?? []).map((cohort, cIdx) =>
+                cIdx === cohortIndex ? { ...cohort, [key]: value } : cohort
+              ),
+            }
+          : item
+      ),
     }));
   };
 
-  const updatePipeline = (index, key, value) => {
-    setPipeline((prev) =>
-      prev.map((item, idx) =>
-        idx === index ? { ...item, [key]: value } : item
-      )
-    );
+  const addCohort = (serviceIndex) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      services: resolveServices(prev).map((item, idx) =>
+        idx === serviceIndex
+          ? { ...item, cohorts: [...(item.cohorts ?? []), createCohort()] }
+          : item
+      ),
+    }));
   };
 
-  const addPipelineItem = () => {
-    setPipeline((prev) => [
+  const removeCohort = (serviceIndex, cohortIndex) => {
+    setAssumptions((prev) => ({
       ...prev,
-      {
-        name: "New initiative",
-        amount: 1_000_000,
-        startYear: 1,
-        recurring: true,
-        confidence: 0.6,
-      },
-    ]);
+      services: resolveServices(prev).map((item, idx) =>
+        idx === serviceIndex
+          ? {
+              ...item,
+              cohorts: (item.cohorts ?? []).filter((_, cIdx) => cIdx !== cohortIndex),
+            }
+          : item
+      ),
+    }));
   };
 
-  const removePipelineItem = (index) => {
-    setPipeline((prev) => prev.filter((_, idx) => idx !== index));
+  const commitServiceName = (index) => {
+    const draft = serviceNameDrafts[index];
+    if (draft === undefined) return;
+    const error = validateServiceName(services, index, draft);
+    setServiceNameErrors((prev) => ({ ...prev, [index]: error }));
+    if (error) return;
+    updateService(index, "name", draft.trim());
+    setServiceNameDrafts((prev) => {
+      const next = { ...prev };
+      delete next[index];
+      return next;
+    });
   };
 
-  const importConfig = (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
+  const addService = () => {
+    setServiceNameDrafts({});
+    setServiceNameErrors({});
+    setAssumptions((prev) => ({
+      ...prev,
+      services: [
+        ...resolveServices(prev),
+        createService(uniqueServiceName(resolveServices(prev))),
+      ],
+    }));
+  };
+
+  const removeService = (index) => {
+    setServiceNameDrafts({});
+    setServiceNameErrors({});
+    setAssumptions((prev) => {
+      const current = resolveServices(prev);
+      if (current.length <= 1) return prev;
+      return { ...prev, services: current.filter((_, idx) => idx !== index) };
+    });
+  };
+
+  const updateReserve = (index, key, value) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      reserves: resolveReserves(prev).map((item, idx) =>
+        idx === index ? { ...item, [key]: value } : item
+      ),
+    }));
+  };
+
+  const updateReserveMovement = (index, key, yearIndex, value) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      reserves: resolveReserves(prev).map((item, idx) => {
+        if (idx !== index) return item;
+        const series = Array.from(
+          { length: Math.max(horizon, item[key]?.length ?? 0) },
+          (_, year) => item[key]?.[year] ?? 0
+        );
+        series[yearIndex] = value;
+        return { ...item, [key]: series };
+      }),
+    }));
+  };
+
+  const addReserve = () => {
+    setAssumptions((prev) => ({
+      ...prev,
+      reserves: [...resolveReserves(prev), createEarmarkedReserve()],
+    }));
+  };
+
+  const removeReserve = (index) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      reserves: resolveReserves(prev).filter((_, idx) => idx !== index),
+    }));
+  };
+
+  const updateFundingShock = (index, key, value) => {
+    setFundingShocks((prev) =>
+      prev.map((item, idx) => (idx === index ? { ...item, [key]: value } : item))
+    );
+  };
+
+  const addFundingShock = () => {
+    setFundingShocks((prev) => [...prev, createFundingShock()]);
+  };
+
+  const removeFundingShock = (index) => {
+    setFundingShocks((prev) => prev.filter((_, idx) => idx !== index));
+  };
+
+  const budgetLines = resolveBudgetLines(assumptions);
+  const budgetShareTotal = budgetLineShareTotal(assumptions);
+
+  const updateBudgetLine = (index, key, value) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      budgetLines: resolveBudgetLines(prev).map((item, idx) =>
+        idx === index ? { ...item, [key]: value } : item
+      ),
+    }));
+  };
+
+  const addBudgetLine = () => {
+    setAssumptions((prev) => ({
+      ...prev,
+      budgetLines: [...resolveBudgetLines(prev), createBudgetLine()],
+    }));
+  };
+
+  const removeBudgetLine = (index) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      budgetLines: resolveBudgetLines(prev).filter((_, idx) => idx !== index),
+    }));
+  };
+
+  const councilTax = assumptions.councilTax ?? {};
+
+  const updateCouncilTax = (key, value) => {
+    setAssumptions((prev) => ({
+      ...prev,
+      councilTax: { ...(prev.councilTax ?? {}), [key]: value },
+    }));
+  };
+
+  const updateFundingReform = (reform, key, value) => {
+    setAssumptions((prev) => {
+      const current = resolveFundingReform(prev);
+      return {
+        ...prev,
+        fundingReform: {
+          ...current,
+          [reform]: { ...current[reform], [key]: value },
+        },
+      };
+    });
+  };
+
+  const updateCollectionFund = (yearIndex, value) => {
+    setAssumptions((prev) => {
+      const current = prev.councilTax?.collectionFund ?? [];
+      const collectionFund = Array.from(
+        { length: Math.max(horizon, current.length) },
+        (_, year) => current[year] ?? 0
+      );
+      collectionFund[yearIndex] = value;
+      return {
+        ...prev,
+        councilTax: { ...(prev.councilTax ?? {}), collectionFund },
+      };
+    });
+  };
+
+  const capitalProgramme = debt.capitalProgramme ?? [];
+
+  const updateScheme = (index, key, value) => {
+    setDebt((prev) => ({
+      ...prev,
+      capitalProgramme: (prev.capitalProgramme ?? []).map((item, idx) =>
+        idx === index ? { ...item, [key]: value } : item
+      ),
+    }));
+  };
+
+  const updateSchemeSpend = (index, yearIndex, value) => {
+    setDebt((prev) => ({
+      ...prev,
+      capitalProgramme: (prev.capitalProgramme ?? []).map((item, idx) => {
+        if (idx !== index) return item;
+        const spend = Array.from(
+          { length: Math.max(horizon, item.spend?.length ?? 0) },
+          (_, year) => item.spend?.[year] ?? 0
+        );
+        spend[yearIndex] = value;
+        return { ...item, spend };
+      }),
+    }));
+  };
+
+  const addScheme = () => {
+    setDebt((prev) => ({
+      ...prev,
+      capitalProgramme: [...(prev.capitalProgramme ?? []), createCapitalScheme()],
+    }));
+  };
+
+  const removeScheme = (index) => {
+    setDebt((prev) => ({
+      ...prev,
+      capitalProgramme: (prev.capitalProgramme ?? []).filter((_, idx) => idx !== index),
+    }));
+  };
+
+  const updatePipeline = (index, key, value) => {
+    setPipeline((prev) =>
+      prev.map((item, idx) =>
+        idx === index ? { ...item, [key]: value } : item
+      )
+    );
+  };
+
+  const updatePhasing = (index, step, value) => {
+    setPipeline((prev) =>
+      prev.map((item, idx) => {
+        if (idx !== index) return item;
+        const current = item.phasing?.length ? item.phasing : [1];
+        const phasing = Array.from(
+          { length: Math.max(step + 1, current.length) },
+          (_, pos) => current[Math.min(pos, current.length - 1)]
+        );
+        phasing[step] = value;
+        return { ...item, phasing };
+      })
+    );
+  };
+
+  const updateActual = (index, yearIndex, value) => {
+    setPipeline((prev) =>
+      prev.map((item, idx) => {
+        if (idx !== index) return item;
+        const actuals = Array.from(
+          { length: Math.max(horizon, item.actuals?.length ?? 0) },
+          (_, year) => item.actuals?.[year] ?? null
+        );
+        actuals[yearIndex] = value;
+        return { ...item, actuals };
+      })
+    );
+  };
+
+  const addPipelineItem = () => {
+    setPipeline((prev) => [...prev, createSavingsItem()]);
+  };
+
+  const removePipelineItem = (index) => {
+    setPipeline((prev) => prev.filter((_, idx) => idx !== index));
+  };
+
+  const importConfig = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
       try {
         const data = JSON.parse(reader.result);
         const validation = validateConfig(data);
@@ -407,7 +1446,9 @@ export default function App() {
         }
         if (data.inputs) setInputs(data.inputs);
         if (data.overrides) setOverrides(data.overrides);
-        if (data.fundingShock) setFundingShock(data.fundingShock);
+        if (data.fundingShocks || data.fundingShock) {
+          setFundingShocks(resolveFundingShocks(data.fundingShocks ?? data.fundingShock));
+        }
         if (data.debt) setDebt(data.debt);
         if (data.pipeline) setPipeline(data.pipeline);
         if (data.stress) setStress(data.stress);
@@ -419,66 +1460,198 @@ export default function App() {
     reader.readAsText(file);
   };
 
-  const comparisonSeries = projections.map((row, idx) => ({
-    year: row.year,
-    currentGap: row.annualGap,
-    baseGap: baselineProjections[idx]?.annualGap ?? 0,
-  }));
+  const comparisonOptions = [
+    {
+      id: "current",
+      entry: {
+        name: "Current (live)",
+        inputs,
+        overrides,
+        fundingShocks,
+        debt,
+        assumptions,
+        pipeline,
+      },
+    },
+    ...Object.keys(scenarioPresets).map((name) => ({
+      id: `preset:${name}`,
+      entry: presetScenario(name, assumptions, pipeline),
+    })),
+    ...savedScenarios.flatMap((entry) =>
+      entry.versions.map((version) => ({
+        id: `saved:${entry.name}:v${version.version}`,
+        entry: {
+          ...version.state,
+          name: `${entry.name} v${version.version}${version.round ? ` (${version.round})` : ""}`,
+        },
+      }))
+    ),
+  ];
+  const selectedComparisons = comparisonOptions.filter((option) =>
+    comparisonSelection.includes(option.id)
+  );
+  const scenarioComparison = compareScenarios(
+    selectedComparisons.map((option) => option.entry)
+  );
+  const comparisonSeries = projections.map((row, idx) =>
+    scenarioComparison.reduce(
+      (acc, item) => ({
+        ...acc,
+        [item.name]: item.rows[idx]?.[comparisonMetric] ?? null,
+      }),
+      { year: row.year }
+    )
+  );
+  const varianceReference = selectedComparisons[0];
+  const varianceCompared =
+    selectedComparisons.find((option) => option.id === varianceTarget) ??
+    selectedComparisons[1];
+  const scenarioVariance =
+    varianceReference && varianceCompared && varianceCompared !== varianceReference
+      ? attributeScenarioVariance(varianceReference.entry, varianceCompared.entry)
+      : null;
 
-  const printMeta = (() => {
-    const raw = localStorage.getItem(printableMetaKey);
-    if (!raw) return null;
-    try {
-      return JSON.parse(raw);
-    } catch {
-      return null;
-    }
-  })();
+  const varianceBridge = scenarioVariance
+    ? computeVarianceBridge(scenarioVariance, Math.min(bridgeYear, horizon - 1)).map(
+        (step) => ({
+          ...step,
+          range: [Math.min(step.start, step.end), Math.max(step.start, step.end)],
+        })
+      )
+    : [];
 
-  const submitPassword = (event) => {
-    event.preventDefault();
-    if (passwordInput === accessPassword) {
-      localStorage.setItem(gateKey, "true");
-      setAccessGranted(true);
-      setPasswordError("");
-      setPasswordInput("");
-      return;
-    }
-    setPasswordError("Incorrect password. Please try again.");
+  const toggleComparison = (id, enabled) => {
+    setComparisonSelection((prev) =>
+      enabled ? [...prev.filter((item) => item !== id), id] : prev.filter((item) => item !== id)
+    );
   };
 
-  if (!accessGranted) {
+  const modelAccess = can("viewModel");
+  const availableTabs = ["Dashboard", "Comparison", "Public Summary", "Methodology"].filter(
+    (item) => modelAccess || item === "Public Summary"
+  );
+  const activeTab = availableTabs.includes(tab) ? tab : availableTabs[0];
+
+  if (upgrade) {
     return (
       <div className="min-h-screen bg-slate-950 text-slate-100">
         <div className="grid-bg min-h-screen">
           <div className="mx-auto flex min-h-screen w-full max-w-md items-center px-6">
             <div className="glass-panel w-full rounded-3xl p-8">
-              <h1 className="text-xl font-semibold text-white">MTFS Secure Access</h1>
+              <h1 className="text-xl font-semibold text-white">Upgrade Encrypted Storage</h1>
               <p className="mt-2 text-sm text-slate-400">
-                Enter the access password to open the simulator.
+                {`Signed in as ${upgrade.user.displayName}. Storage on this device is still locked with a shared passphrase. Enter it once to move the data to a key that each account unlocks with its own password; the passphrase is not used again. Other accounts need a new password from you before they can sign in.`}
               </p>
-              <form onSubmit={submitPassword} className="mt-6 space-y-4">
+              <form onSubmit={submitPassphrase} className="mt-6 space-y-4">
                 <input
                   type="password"
-                  value={passwordInput}
-                  onChange={(event) => setPasswordInput(event.target.value)}
+                  value={upgradePassphrase}
+                  onChange={(event) => setUpgradePassphrase(event.target.value)}
                   className="w-full rounded-lg border border-slate-700 bg-slate-950 px-4 py-3 text-sm text-slate-100"
-                  placeholder="Password"
-                  aria-label="Access password"
+                  placeholder="Current storage passphrase"
+                  aria-label="Storage passphrase"
+                  autoComplete="current-password"
                 />
-                {passwordError ? (
-                  <p className="text-xs text-rose-300">{passwordError}</p>
-                ) : null}
+                {vaultError ? <p className="text-xs text-rose-300">{vaultError}</p> : null}
                 <button
                   type="submit"
                   className="w-full rounded-full bg-white px-4 py-2 text-sm font-semibold text-slate-900"
                 >
-                  Enter
+                  Upgrade and Continue
                 </button>
               </form>
+              <button
+                type="button"
+                onClick={() => {
+                  setUpgrade(null);
+                  setUpgradePassphrase("");
+                  setVaultError("");
+                }}
+                className="mt-4 text-xs text-slate-400 hover:text-white"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!currentUser || !unlocked) {
+    const firstRun = signInMode === "setup";
+    const updateSignIn = (key, value) =>
+      setSignInForm((prev) => ({ ...prev, [key]: value }));
+    return (
+      <div className="min-h-screen bg-slate-950 text-slate-100">
+        <div className="grid-bg min-h-screen">
+          <div className="mx-auto flex min-h-screen w-full max-w-md items-center px-6">
+            <div className="glass-panel w-full rounded-3xl p-8">
+              <h1 className="text-xl font-semibold text-white">
+                {firstRun ? "Create S151 Officer Account" : "MTFS Sign In"}
+              </h1>
+              <p className="mt-2 text-sm text-slate-400">
+                {firstRun
+                  ? "No accounts exist on this device yet. The first account is the S151 officer, who can then add other users. Any existing saved data is encrypted when the account is created."
+                  : signInMode === "blocked"
+                    ? "Encrypted data already exists on this device but its vault is missing or unreadable, so a new S151 account cannot be created over it. Restore the vault from a backup to sign in."
+                    : "Sign in with your local account to open the simulator."}
+              </p>
+              {signInMode === "blocked" ? null : (
+                <form onSubmit={submitSignIn} className="mt-6 space-y-4">
+                  <input
+                    value={signInForm.username}
+                    onChange={(event) => updateSignIn("username", event.target.value)}
+                    className="w-full rounded-lg border border-slate-700 bg-slate-950 px-4 py-3 text-sm text-slate-100"
+                    placeholder="Username"
+                    aria-label="Username"
+                    autoComplete="username"
+                  />
+                  {firstRun ? (
+                    <input
+                      value={signInForm.displayName}
+                      onChange={(event) => updateSignIn("displayName", event.target.value)}
+                      className="w-full rounded-lg border border-slate-700 bg-slate-950 px-4 py-3 text-sm text-slate-100"
+                      placeholder="Display name"
+                      aria-label="Display name"
+                    />
+                  ) : null}
+                  <input
+                    type="password"
+                    value={signInForm.password}
+                    onChange={(event) => updateSignIn("password", event.target.value)}
+                    className="w-full rounded-lg border border-slate-700 bg-slate-950 px-4 py-3 text-sm text-slate-100"
+                    placeholder={
+                      firstRun ? `Password (at least ${minPasswordLength} characters)` : "Password"
+                    }
+                    aria-label="Password"
+                    autoComplete={firstRun ? "new-password" : "current-password"}
+                  />
+                  {firstRun ? (
+                    <input
+                      type="password"
+                      value={signInForm.confirm}
+                      onChange={(event) => updateSignIn("confirm", event.target.value)}
+                      className="w-full rounded-lg border border-slate-700 bg-slate-950 px-4 py-3 text-sm text-slate-100"
+                      placeholder="Confirm password"
+                      aria-label="Confirm password"
+                      autoComplete="new-password"
+                    />
+                  ) : null}
+                  {signInError ? (
+                    <p className="text-xs text-rose-300">{signInError}</p>
+                  ) : null}
+                  <button
+                    type="submit"
+                    className="w-full rounded-full bg-white px-4 py-2 text-sm font-semibold text-slate-900"
+                  >
+                    {firstRun ? "Create Account" : "Sign In"}
+                  </button>
+                </form>
+              )}
               <p className="mt-4 text-xs text-slate-500">
-                This gate is a lightweight client-side lock for convenience, not a
-                security boundary.
+                Each account unlocks the encrypted storage on this device with its own password.
+                Ask your S151 officer for an account or a password reset.
               </p>
             </div>
           </div>
@@ -503,14 +1676,27 @@ export default function App() {
             </div>
           </div>
           <div className="flex items-center gap-3">
-            <button
-              type="button"
-              onClick={() => setSidebarOpen((open) => !open)}
-              className="no-print flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 lg:hidden"
-            >
-              <Settings2 className="h-4 w-4" />
-              Scenario
-            </button>
+            {modelAccess ? (
+              <button
+                type="button"
+                onClick={() => setSidebarOpen((open) => !open)}
+                className="no-print flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 lg:hidden"
+              >
+                <Settings2 className="h-4 w-4" />
+                Scenario
+              </button>
+            ) : null}
+            <div className="no-print flex items-center gap-2 rounded-full border border-slate-800 bg-slate-900/70 px-4 py-2 text-xs text-slate-300">
+              {currentUser.displayName} · {userRoles[currentUser.role]}
+              <button
+                type="button"
+                onClick={signOut}
+                aria-label="Sign out"
+                className="text-slate-400 hover:text-white"
+              >
+                <LogOut className="h-3.5 w-3.5" />
+              </button>
+            </div>
             <div className="hidden items-center gap-2 rounded-full border border-slate-800 bg-slate-900/70 px-4 py-2 text-xs text-slate-300 lg:flex print:flex print:border-slate-300 print:bg-white">
               <span className={`h-2 w-2 rounded-full ${rag.tone}`} />
               {rag.label} — {rag.message}
@@ -518,9 +1704,23 @@ export default function App() {
           </div>
         </header>
 
-        <div className="mx-auto grid w-full max-w-7xl grid-cols-1 gap-6 px-6 pb-12 lg:grid-cols-[minmax(0,1fr)_360px]">
+        <div
+          className={`mx-auto grid w-full max-w-7xl grid-cols-1 gap-6 px-6 pb-12 ${
+            modelAccess ? "lg:grid-cols-[minmax(0,1fr)_360px]" : ""
+          }`}
+        >
           <main className="space-y-6">
-            {printMeta ? (
+            {Object.keys(storageErrors).length ? (
+              <div className="no-print rounded-2xl border border-rose-500/40 bg-rose-500/10 p-4 text-xs text-rose-200">
+                <p className="font-semibold">Encrypted storage problem</p>
+                {Object.entries(storageErrors).map(([name, message]) => (
+                  <p key={`storage-error-${name}`} className="mt-1">
+                    {encryptedLabels[name]}: {message}
+                  </p>
+                ))}
+              </div>
+            ) : null}
+            {printMeta && modelAccess ? (
               <div className="print-meta">
                 <div className="flex items-center justify-between text-xs">
                   <div>
@@ -534,12 +1734,59 @@ export default function App() {
                 </div>
                 <div className="mt-3 grid grid-cols-2 gap-2 text-xs">
                   <p>CT Increase: {printMeta.inputs?.councilTaxIncrease}%</p>
+                  <p>ASC Precept: {printMeta.inputs?.ascPrecept ?? 0}%</p>
                   <p>Pay Award: {printMeta.inputs?.payAward}%</p>
                   <p>Inflation: {printMeta.inputs?.generalInflation}%</p>
                   <p>Demand: {printMeta.inputs?.socialCareGrowth}%</p>
-                  <p>Shock: {printMeta.fundingShock?.enabled ? "Enabled" : "None"}</p>
+                  <p>
+                    Shocks:{" "}
+                    {resolveFundingShocks(printMeta.fundingShocks).filter((shock) => shock.enabled)
+                      .length || "None"}
+                  </p>
                   <p>Debt Rate: {printMeta.debt?.debtInterestRate}%</p>
                 </div>
+                {printMeta.variance ? (
+                  <table className="mt-3 w-full text-left text-xs">
+                    <thead>
+                      <tr>
+                        <th>
+                          Gap variance: {printMeta.variance.from} to {printMeta.variance.to}
+                        </th>
+                        {printMeta.variance.years.map((year) => (
+                          <th key={`print-variance-${year}`}>{year}</th>
+                        ))}
+                        <th>Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr>
+                        <td>{printMeta.variance.from} gap</td>
+                        {printMeta.variance.start.map((value, idx) => (
+                          <td key={`print-variance-start-${idx}`}>{money(value)}</td>
+                        ))}
+                        <td />
+                      </tr>
+                      {printMeta.variance.factors.map((factor) => (
+                        <tr key={`print-variance-${factor.label}`}>
+                          <td>{factor.label}</td>
+                          {printMeta.variance.years.map((year, idx) => (
+                            <td key={`print-variance-${factor.label}-${year}`}>
+                              {money(factor.byYear[idx] ?? 0)}
+                            </td>
+                          ))}
+                          <td>{money(factor.total)}</td>
+                        </tr>
+                      ))}
+                      <tr>
+                        <td>{printMeta.variance.to} gap</td>
+                        {printMeta.variance.end.map((value, idx) => (
+                          <td key={`print-variance-end-${idx}`}>{money(value)}</td>
+                        ))}
+                        <td>{money(printMeta.variance.total)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                ) : null}
               </div>
             ) : null}
             <div className="glass-panel rounded-3xl p-6 print:border print:border-slate-300 print:bg-white print:shadow-none">
@@ -549,42 +1796,46 @@ export default function App() {
                     Strategic Position
                   </h2>
                   <p className="text-xs text-slate-400 print:text-slate-600">
-                    5-year MTFS outlook with deterministic budget mechanics.
+                    {horizon}-year MTFS outlook with deterministic budget mechanics.
                   </p>
                 </div>
                 <div className="flex items-center gap-3">
-                  <button
-                    type="button"
-                    onClick={copyCSV}
-                    className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
-                  >
-                    <ClipboardCopy className="h-4 w-4" />
-                    Copy Data to Clipboard
-                  </button>
-                  <button
-                    type="button"
-                    onClick={exportXLSX}
-                    className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
-                  >
-                    <FileDown className="h-4 w-4" />
-                    Export XLSX
-                  </button>
-                  <button
-                    type="button"
-                    onClick={exportAudit}
-                    className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
-                  >
-                    <FileText className="h-4 w-4" />
-                    Export Audit Trail
-                  </button>
-                  <button
-                    type="button"
-                    onClick={exportPDF}
-                    className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
-                  >
-                    <FileText className="h-4 w-4" />
-                    Export PDF
-                  </button>
+                  {modelAccess ? (
+                    <>
+                      <button
+                        type="button"
+                        onClick={copyCSV}
+                        className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
+                      >
+                        <ClipboardCopy className="h-4 w-4" />
+                        Copy Data to Clipboard
+                      </button>
+                      <button
+                        type="button"
+                        onClick={exportXLSX}
+                        className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
+                      >
+                        <FileDown className="h-4 w-4" />
+                        Export XLSX
+                      </button>
+                      <button
+                        type="button"
+                        onClick={exportAudit}
+                        className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
+                      >
+                        <FileText className="h-4 w-4" />
+                        Export Audit Trail
+                      </button>
+                      <button
+                        type="button"
+                        onClick={exportPDF}
+                        className="no-print inline-flex items-center gap-2 rounded-full border border-slate-700 px-4 py-2 text-xs font-medium text-slate-200 hover:border-slate-500"
+                      >
+                        <FileText className="h-4 w-4" />
+                        Export PDF
+                      </button>
+                    </>
+                  ) : null}
                   <button
                     type="button"
                     onClick={() => window.print()}
@@ -596,52 +1847,54 @@ export default function App() {
                 </div>
               </div>
 
-              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
-                <summary className="cursor-pointer text-sm font-semibold text-white">
-                  Walkthrough Guide
-                </summary>
-                <p className="mt-2 text-xs text-slate-400">
-                  Start with the baseline, pressure-test assumptions, then lock the scenario for
-                  reporting. The simulator recalculates instantly.
-                </p>
-                <ol className="mt-4 list-decimal space-y-2 pl-5 text-xs text-slate-200">
-                  <li>
-                    Set <strong>Core Assumptions</strong> (baseline budget, reserves, grants,
-                    tax base).
-                  </li>
-                  <li>
-                    Choose a <strong>Scenario</strong> or adjust the four primary drivers (CT,
-                    pay, inflation, demand).
-                  </li>
-                  <li>
-                    Add <strong>Per-Year Overrides</strong> to reflect expected shocks or policy
-                    shifts.
-                  </li>
-                  <li>
-                    Build the <strong>Savings Pipeline</strong> with confidence and start year.
-                  </li>
-                  <li>
-                    Review the <strong>Dashboard</strong> and trigger warnings; use the
-                    <strong> Balance Solver</strong> if required.
-                  </li>
-                  <li>
-                    Capture <strong>Governance Notes</strong> and export CSV/XLSX or the audit
-                    trail.
-                  </li>
-                  <li>
-                    Use <strong>Public Summary</strong> when sharing externally.
-                  </li>
-                </ol>
-              </details>
+              {modelAccess ? (
+                <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                  <summary className="cursor-pointer text-sm font-semibold text-white">
+                    Walkthrough Guide
+                  </summary>
+                  <p className="mt-2 text-xs text-slate-400">
+                    Start with the baseline, pressure-test assumptions, then lock the scenario for
+                    reporting. The simulator recalculates instantly.
+                  </p>
+                  <ol className="mt-4 list-decimal space-y-2 pl-5 text-xs text-slate-200">
+                    <li>
+                      Set <strong>Core Assumptions</strong> (baseline budget, reserves, grants,
+                      tax base).
+                    </li>
+                    <li>
+                      Choose a <strong>Scenario</strong> or adjust the primary drivers (core CT,
+                      ASC precept, pay, inflation, demand).
+                    </li>
+                    <li>
+                      Add <strong>Per-Year Overrides</strong> to reflect expected shocks or policy
+                      shifts.
+                    </li>
+                    <li>
+                      Build the <strong>Savings Pipeline</strong> with confidence and start year.
+                    </li>
+                    <li>
+                      Review the <strong>Dashboard</strong> and trigger warnings; use the
+                      <strong> Balance Solver</strong> if required.
+                    </li>
+                    <li>
+                      Capture <strong>Governance Notes</strong> and export CSV/XLSX or the audit
+                      trail.
+                    </li>
+                    <li>
+                      Use <strong>Public Summary</strong> when sharing externally.
+                    </li>
+                  </ol>
+                </details>
+              ) : null}
 
               <div className="mt-6 flex flex-wrap gap-3">
-                {["Dashboard", "Comparison", "Public Summary", "Methodology"].map((item) => (
+                {availableTabs.map((item) => (
                   <button
                     key={item}
                     type="button"
                     onClick={() => setTab(item)}
                     className={`rounded-full px-4 py-2 text-xs font-medium transition ${
-                      tab === item
+                      activeTab === item
                         ? "bg-white text-slate-900"
                         : "border border-slate-700 text-slate-300"
                     }`}
@@ -651,7 +1904,7 @@ export default function App() {
                 ))}
               </div>
 
-              {tab === "Dashboard" ? (
+              {activeTab === "Dashboard" ? (
                 <div className="mt-6 space-y-6">
                   <div className="grid gap-4 lg:grid-cols-3">
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
@@ -664,18 +1917,18 @@ export default function App() {
                       </p>
                     </div>
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-                      <p className="text-xs text-slate-400">Year 5 Reserves Delta</p>
+                      <p className="text-xs text-slate-400">Year {horizon} Reserves Delta</p>
                       <p className="mt-2 text-lg font-semibold text-white">
                         {money(deltaReserves)}
                       </p>
                       <p className="text-xs text-slate-400">
-                        vs baseline {tooltipLabel("Change in Y5 reserves")}
+                        vs baseline {tooltipLabel(`Change in ${finalLabel} reserves`)}
                       </p>
                     </div>
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-                      <p className="text-xs text-slate-400">Year 5 Gap</p>
+                      <p className="text-xs text-slate-400">Year {horizon} Gap</p>
                       <p className="mt-2 text-lg font-semibold text-white">
-                        {money(year5Gap)}
+                        {money(finalGap)}
                       </p>
                       <p className="text-xs text-slate-400">
                         Exhaustion: {exhaustion ? exhaustion.year : "None"}
@@ -683,6 +1936,33 @@ export default function App() {
                     </div>
                   </div>
 
+                  {Object.keys(reserveBreaches).length ? (
+                    <div className="rounded-2xl border border-amber-500/40 bg-amber-500/10 p-4 text-xs text-amber-200">
+                      <p className="font-semibold">Reserves below minimum prudent balance</p>
+                      <ul className="mt-2 space-y-1">
+                        {Object.entries(reserveBreaches).map(([name, year]) => (
+                          <li key={`breach-${name}`}>
+                            {name}: first breached in {year}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ) : null}
+
+                  {referendumBreaches.length ? (
+                    <div className="rounded-2xl border border-rose-500/40 bg-rose-500/10 p-4 text-xs text-rose-200">
+                      <p className="font-semibold">Council tax referendum limit breached</p>
+                      <ul className="mt-2 space-y-1">
+                        {referendumBreaches.map((breach) => (
+                          <li key={`referendum-${breach.year}-${breach.component}`}>
+                            {breach.year} ({breach.source}): {breach.component}{" "}
+                            {percent(breach.value)} exceeds {percent(breach.limit)}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ) : null}
+
                   {triggerBreached ? (
                     <div className="rounded-2xl border border-rose-500/40 bg-rose-500/10 p-4 text-xs text-rose-200">
                       Reserves drop below the 3% statutory risk threshold in the
@@ -695,31 +1975,53 @@ export default function App() {
                       <div className="flex items-center justify-between">
                         <div>
                           <p className="text-xs text-slate-400">
-                            Balance Solver {tooltipLabel("Calculates CT % and savings needed to close the Year 1 gap")}
+                            Balance Solver {tooltipLabel("Finds a per-year mix of council tax, fees, savings and reserves that meets the target, using levers in priority order")}
                           </p>
                           <p className="text-sm text-slate-200">
-                            Target Y1 gap = 0
+                            {solverTargets[budgetSolution.target]}
+                            {budgetSolution.target === "reserves"
+                              ? ` (${money(solverOptions.minimumReserves)} by Y${budgetSolution.targetYear})`
+                              : ""}
                           </p>
                         </div>
                         <ShieldAlert className="h-4 w-4 text-slate-400" />
                       </div>
                       <div className="mt-3 space-y-2 text-xs text-slate-200">
-                        <p>CT % required: {solverCT ? percent(solverCT) : "Out of range"}</p>
-                        <p>Additional savings required: {money(solverSavings)}</p>
-                        {solverCT ? (
+                        {budgetSolution.met ? (
+                          <p className="text-emerald-300">Target met within lever bounds.</p>
+                        ) : (
+                          <p className="text-amber-300">
+                            Lever bounds reached. Residual shortfall:{" "}
+                            {money(budgetSolution.residualGap)}
+                          </p>
+                        )}
+                        <p>
+                          Additional savings required:{" "}
+                          {money(
+                            budgetSolution.years.reduce(
+                              (sum, year) => sum + year.additionalSavings,
+                              0
+                            )
+                          )}
+                        </p>
+                        <div className="mt-2 flex flex-wrap gap-2">
                           <button
                             type="button"
-                            onClick={() =>
-                              setInputs((prev) => ({
-                                ...prev,
-                                councilTaxIncrease: solverCT,
-                              }))
-                            }
-                            className="mt-2 rounded-full border border-slate-700 px-3 py-1"
+                            onClick={applyBudgetPlan}
+                            className="rounded-full border border-slate-700 px-3 py-1"
                           >
-                            Apply CT Solver
+                            Apply Plan
                           </button>
-                        ) : null}
+                          {planApplied ? (
+                            <button
+                              type="button"
+                              onClick={clearBudgetPlan}
+                              className="rounded-full border border-slate-700 px-3 py-1"
+                            >
+                              Clear Applied Plan
+                            </button>
+                          ) : null}
+                        </div>
                       </div>
                     </div>
 
@@ -727,29 +2029,246 @@ export default function App() {
                       <p className="text-xs text-slate-400">
                         Stress Test Summary {tooltipLabel("Runs multiple simulations to show potential Year 1 gap and reserves outcomes")}
                       </p>
+                      {stressRunning ? (
+                        <div className="mt-2">
+                          <div className="h-1 overflow-hidden rounded-full bg-slate-800">
+                            <div
+                              className="h-full bg-sky-400 transition-all"
+                              style={{ width: `${Math.round(stressProgress * 100)}%` }}
+                            />
+                          </div>
+                          <p className="mt-1 text-[11px] text-slate-400">
+                            Running simulations… {Math.round(stressProgress * 100)}%
+                          </p>
+                        </div>
+                      ) : null}
                       <div className="mt-3 grid grid-cols-2 gap-2 text-xs text-slate-200">
                         <p>P10 Gap: {money(stressSummary.p10Gap)}</p>
                         <p>P50 Gap: {money(stressSummary.p50Gap)}</p>
                         <p>P90 Gap: {money(stressSummary.p90Gap)}</p>
-                        <p>P50 Y5 Reserves: {money(stressSummary.p50Reserves)}</p>
+                        <p>P50 {finalLabel} Reserves: {money(stressSummary.p50Reserves)}</p>
+                        <p className="col-span-2">
+                          P(reserves exhausted by {finalLabel}):{" "}
+                          {percent(
+                            (stressSummary.years[stressSummary.years.length - 1]
+                              ?.exhaustionProbability ?? 0) * 100
+                          )}
+                        </p>
                       </div>
                     </div>
                   </div>
 
                   <div className="overflow-hidden rounded-2xl border border-slate-800">
+                    <p className="bg-slate-900/70 px-4 py-3 text-xs text-slate-400">
+                      Balanced Budget Plan {tooltipLabel("Per-year lever amounts proposed by the solver; savings and fees recur in later years")}
+                    </p>
                     <table className="w-full text-left text-xs">
                       <thead className="bg-slate-900/70 text-slate-300">
                         <tr>
                           <th className="px-4 py-3">Year</th>
-                          <th
-                            className="px-4 py-3"
-                            title="Previous Year Base + Pay/Price Inflation + Demand Pressures + Debt Cost - Planned Savings"
-                          >
-                            Net Budget Requirement
-                          </th>
-                          <th
-                            className="px-4 py-3"
-                            title="Council Tax + Business Rates + Revenue Support Grant + Other Grants"
+                          <th className="px-4 py-3">Core CT %</th>
+                          <th className="px-4 py-3">ASC Precept %</th>
+                          <th className="px-4 py-3">Fees & Charges</th>
+                          <th className="px-4 py-3">Additional Savings</th>
+                          <th className="px-4 py-3">Reserves Drawdown</th>
+                          <th className="px-4 py-3">Gap After Plan</th>
+                          <th className="px-4 py-3">Usable Reserves</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-800">
+                        {budgetSolution.years.map((year) => (
+                          <tr key={`plan-${year.year}`}>
+                            <td className="px-4 py-3 text-slate-200">{year.year}</td>
+                            <td className="px-4 py-3 text-slate-100">
+                              {percent(year.councilTaxIncrease)}
+                            </td>
+                            <td className="px-4 py-3 text-slate-100">
+                              {percent(year.ascPrecept)}
+                            </td>
+                            <td className="px-4 py-3 text-slate-100">{money(year.feesIncome)}</td>
+                            <td className="px-4 py-3 text-slate-100">
+                              {money(year.additionalSavings)}
+                            </td>
+                            <td className="px-4 py-3 text-slate-100">{money(year.reserveUse)}</td>
+                            <td
+                              className={`px-4 py-3 font-semibold ${
+                                year.annualGap > 1 ? "text-rose-300" : "text-emerald-300"
+                              }`}
+                            >
+                              {money(year.annualGap)}
+                            </td>
+                            <td className="px-4 py-3 text-slate-100">
+                              {money(year.usableReserves)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div
+                    id="goal-seek"
+                    className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4"
+                  >
+                    <div className="flex items-center justify-between">
+                      <p className="text-xs text-slate-400">
+                        Goal Seek {tooltipLabel("Finds the value of one input or assumption that hits a target metric in a chosen year")}
+                      </p>
+                      <Target className="h-4 w-4 text-slate-400" />
+                    </div>
+                    <div className="mt-3 grid gap-2 text-xs text-slate-200 md:grid-cols-3">
+                      <label className="text-[11px] text-slate-400">
+                        Change
+                        <select
+                          value={goalSeekOptions.variable}
+                          onChange={(event) =>
+                            setGoalSeekOptions((prev) => ({
+                              ...prev,
+                              variable: event.target.value,
+                              min: null,
+                              max: null,
+                            }))
+                          }
+                          className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                        >
+                          {goalSeekVariables.map((variable) => (
+                            <option key={`seek-${variable.key}`} value={variable.key}>
+                              {variable.label}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="text-[11px] text-slate-400">
+                        So that
+                        <select
+                          value={goalSeekOptions.metric}
+                          onChange={(event) =>
+                            setGoalSeekOptions((prev) => ({
+                              ...prev,
+                              metric: event.target.value,
+                            }))
+                          }
+                          className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                        >
+                          {Object.entries(goalSeekMetrics).map(([key, label]) => (
+                            <option key={`seek-metric-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <div className="grid grid-cols-2 gap-2">
+                        <label className="text-[11px] text-slate-400">
+                          In year
+                          <select
+                            value={goalSeekResult?.yearIndex ?? goalSeekOptions.yearIndex}
+                            onChange={(event) =>
+                              setGoalSeekOptions((prev) => ({
+                                ...prev,
+                                yearIndex: Number(event.target.value),
+                              }))
+                            }
+                            className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                          >
+                            {projections.map((row, idx) => (
+                              <option key={`seek-year-${row.year}`} value={idx}>
+                                Y{idx + 1}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="text-[11px] text-slate-400">
+                          Equals
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={formatNumber(goalSeekOptions.target)}
+                            onChange={(event) =>
+                              setGoalSeekOptions((prev) => ({
+                                ...prev,
+                                target: parseNumber(event.target.value),
+                              }))
+                            }
+                            className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                          />
+                        </label>
+                      </div>
+                      <label className="text-[11px] text-slate-400">
+                        Lower bound
+                        <input
+                          type="number"
+                          value={goalSeekResult?.min ?? ""}
+                          onChange={(event) =>
+                            setGoalSeekOptions((prev) => ({
+                              ...prev,
+                              min: Number(event.target.value),
+                            }))
+                          }
+                          className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                        />
+                      </label>
+                      <label className="text-[11px] text-slate-400">
+                        Upper bound
+                        <input
+                          type="number"
+                          value={goalSeekResult?.max ?? ""}
+                          onChange={(event) =>
+                            setGoalSeekOptions((prev) => ({
+                              ...prev,
+                              max: Number(event.target.value),
+                            }))
+                          }
+                          className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                        />
+                      </label>
+                    </div>
+                    {goalSeekResult ? (
+                      <div className="mt-3 space-y-1 text-xs text-slate-200">
+                        <p>
+                          Current {goalSeekResult.label}:{" "}
+                          {goalSeekFormat(goalSeekResult.current)} giving{" "}
+                          {money(goalSeekResult.currentValue)}
+                        </p>
+                        {goalSeekResult.found ? (
+                          <>
+                            <p className="text-emerald-300">
+                              Required {goalSeekResult.label}:{" "}
+                              {goalSeekFormat(goalSeekResult.value)}
+                            </p>
+                            <button
+                              type="button"
+                              onClick={applyGoalSeekResult}
+                              className="mt-2 rounded-full border border-slate-700 px-3 py-1"
+                            >
+                              Apply Value
+                            </button>
+                          </>
+                        ) : (
+                          <p className="text-amber-300">
+                            No solution between {goalSeekFormat(goalSeekResult.min)} and{" "}
+                            {goalSeekFormat(goalSeekResult.max)}. Closest:{" "}
+                            {goalSeekFormat(goalSeekResult.value)} giving{" "}
+                            {money(goalSeekResult.achieved ?? goalSeekResult.currentValue)}
+                          </p>
+                        )}
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div className="overflow-hidden rounded-2xl border border-slate-800">
+                    <table className="w-full text-left text-xs">
+                      <thead className="bg-slate-900/70 text-slate-300">
+                        <tr>
+                          <th className="px-4 py-3">Year</th>
+                          <th
+                            className="px-4 py-3"
+                            title="Previous Year Base + Pay/Price Inflation + Demand Pressures + Debt Cost - Planned Savings"
+                          >
+                            Net Budget Requirement
+                          </th>
+                          <th
+                            className="px-4 py-3"
+                            title="Net Council Tax + Collection Fund + Business Rates + Revenue Support Grant + Other Grants + Funding Shocks"
                           >
                             Total Funding
                           </th>
@@ -761,10 +2280,16 @@ export default function App() {
                           </th>
                           <th
                             className="px-4 py-3"
-                            title="Current Reserves - Cumulative Gap"
+                            title="Opening Reserves + Planned Contributions - Planned Drawdowns - Cumulative Gap"
                           >
                             Reserves End
                           </th>
+                          <th
+                            className="px-4 py-3"
+                            title="General fund plus earmarked reserves available to absorb the gap"
+                          >
+                            Usable Reserves
+                          </th>
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-slate-800">
@@ -776,6 +2301,19 @@ export default function App() {
                             </td>
                             <td className="px-4 py-3 text-slate-100">
                               {money(row.totalFunding)}
+                              {row.shockDetail.map((shock) => (
+                                <span
+                                  key={`${row.year}-${shock.name}`}
+                                  className="block text-[11px] text-amber-300"
+                                >
+                                  {shock.name}: {money(shock.amount)}
+                                </span>
+                              ))}
+                              {row.reserveUse ? (
+                                <span className="block text-[11px] text-sky-300">
+                                  Use of reserves: {money(row.reserveUse)}
+                                </span>
+                              ) : null}
                             </td>
                             <td
                               className={`px-4 py-3 font-semibold ${
@@ -786,14 +2324,22 @@ export default function App() {
                             >
                               {money(row.annualGap)}
                             </td>
+                            <td className="px-4 py-3 text-slate-100">
+                              {money(row.reservesEnd)}
+                            </td>
                             <td
                               className={`px-4 py-3 font-semibold ${
-                                row.reservesEnd <= 0
+                                row.usableReserves <= 0
                                   ? "text-rose-400"
                                   : "text-slate-100"
                               }`}
                             >
-                              {money(row.reservesEnd)}
+                              {money(row.usableReserves)}
+                              {row.reserveBreaches.length ? (
+                                <span className="block text-[11px] font-normal text-amber-300">
+                                  Below minimum: {row.reserveBreaches.join(", ")}
+                                </span>
+                              ) : null}
                             </td>
                           </tr>
                         ))}
@@ -801,29 +2347,329 @@ export default function App() {
                     </table>
                   </div>
 
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Savings Delivery {tooltipLabel("Gross plan, confidence-weighted plan and delivery after slippage")}
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        Pipeline phasing with {percent(assumptions.savingsSlippage ?? 0)} slippage
+                        into the following year.
+                      </p>
+                    </div>
+                    <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                      <table className="w-full text-left text-xs">
+                        <thead className="bg-slate-900/70 text-slate-300">
+                          <tr>
+                            <th className="px-4 py-3">Year</th>
+                            <th className="px-4 py-3">Gross Plan</th>
+                            <th className="px-4 py-3">Risk-Adjusted</th>
+                            <th className="px-4 py-3">Actual to Date</th>
+                            <th className="px-4 py-3">Delivered</th>
+                            <th className="px-4 py-3">Impl. Costs (Revenue)</th>
+                            <th className="px-4 py-3">Flexible Capital Receipts</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {projections.map((row) => (
+                            <tr key={`savings-${row.year}`}>
+                              <td className="px-4 py-3 text-slate-200">{row.year}</td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.grossSavings)}</td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(row.riskAdjustedSavings)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.actualSavings)}</td>
+                              <td className="px-4 py-3 font-semibold text-slate-100">
+                                {money(row.pipelineSavings)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(row.implementationCosts)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(row.flexibleCapitalReceipts)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Savings Tracker {tooltipLabel("Risk-adjusted plan vs actual delivered per year")}
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        Projection uses{" "}
+                        {assumptions.useSavingsActuals
+                          ? "actuals where recorded, otherwise the plan"
+                          : "the confidence-weighted plan"}
+                        .
+                      </p>
+                    </div>
+                    <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                      <table className="w-full text-left text-xs">
+                        <thead className="bg-slate-900/70 text-slate-300">
+                          <tr>
+                            <th className="px-4 py-3">Initiative</th>
+                            <th className="px-4 py-3">Directorate</th>
+                            <th className="px-4 py-3">Owner</th>
+                            <th className="px-4 py-3">RAG</th>
+                            {projections.map((row) => (
+                              <th key={`tracker-head-${row.year}`} className="px-4 py-3">
+                                {row.year} Plan / Actual
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {savingsTracker.map((item, idx) => (
+                            <tr key={`tracker-${idx}`}>
+                              <td className="px-4 py-3 text-slate-200">{item.name}</td>
+                              <td className="px-4 py-3 text-slate-300">{item.directorate || "—"}</td>
+                              <td className="px-4 py-3 text-slate-300">{item.owner || "—"}</td>
+                              <td className="px-4 py-3">
+                                <span className="inline-flex items-center gap-2 text-slate-200">
+                                  <span
+                                    className={`h-2 w-2 rounded-full ${
+                                      ragTones[item.deliveryRag] ?? ragTones.Green
+                                    }`}
+                                  />
+                                  {item.deliveryRag}
+                                </span>
+                              </td>
+                              {item.profile.map((year, yearIdx) => (
+                                <td key={`tracker-${idx}-${yearIdx}`} className="px-4 py-3 text-slate-100">
+                                  {money(year.riskAdjusted)}
+                                  <span
+                                    className={`block text-[11px] ${
+                                      year.variance !== null && year.variance < 0
+                                        ? "text-rose-300"
+                                        : "text-slate-400"
+                                    }`}
+                                  >
+                                    {year.actual === null ? "No actual" : money(year.actual)}
+                                  </span>
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Pay & Price Inflation by Budget Line
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        Each line is indexed separately; income lines offset cost inflation.
+                      </p>
+                    </div>
+                    <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                      <table className="w-full text-left text-xs">
+                        <thead className="bg-slate-900/70 text-slate-300">
+                          <tr>
+                            <th className="px-4 py-3">Budget Line</th>
+                            {projections.map((row) => (
+                              <th key={`line-head-${row.year}`} className="px-4 py-3">
+                                {row.year}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {budgetLines.map((line, idx) => (
+                            <tr key={`line-${line.name}-${idx}`}>
+                              <td className="px-4 py-3 text-slate-200">{line.name}</td>
+                              {projections.map((row) => (
+                                <td key={`line-${idx}-${row.year}`} className="px-4 py-3 text-slate-100">
+                                  {money(row.inflationByLine[idx]?.amount ?? 0)}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                          <tr className="font-semibold">
+                            <td className="px-4 py-3 text-slate-200">Total</td>
+                            {projections.map((row) => (
+                              <td key={`line-total-${row.year}`} className="px-4 py-3 text-slate-100">
+                                {money(row.payPriceInflation)}
+                              </td>
+                            ))}
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Funding Reform {tooltipLabel("Annual gap with and without the enabled reform layers")}
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        {reformEnabled
+                          ? Object.entries(fundingReform)
+                              .filter(([, reform]) => reform.enabled)
+                              .map(([key, reform]) => `${fundingReforms[key]} (Y${reform.yearIndex + 1})`)
+                              .join(", ")
+                          : "No reforms enabled; both columns match."}
+                      </p>
+                    </div>
+                    <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                      <table className="w-full text-left text-xs">
+                        <thead className="bg-slate-900/70 text-slate-300">
+                          <tr>
+                            <th className="px-4 py-3">Year</th>
+                            <th className="px-4 py-3">Gap Without Reform</th>
+                            <th className="px-4 py-3">Gap With Reform</th>
+                            <th className="px-4 py-3">Reform Impact</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {reformComparison.map((row) => (
+                            <tr key={`reform-${row.year}`}>
+                              <td className="px-4 py-3 text-slate-200">{row.year}</td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.withoutReform)}</td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.withReform)}</td>
+                              <td
+                                className={`px-4 py-3 font-semibold ${
+                                  row.impact > 0 ? "text-rose-300" : "text-emerald-300"
+                                }`}
+                              >
+                                {money(row.impact)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Council Tax Build-up {tooltipLabel("Matches the budget report income line")}
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        Tax base growth, council tax support, collection rate and collection fund.
+                      </p>
+                    </div>
+                    <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                      <table className="w-full text-left text-xs">
+                        <thead className="bg-slate-900/70 text-slate-300">
+                          <tr>
+                            <th className="px-4 py-3">Year</th>
+                            <th className="px-4 py-3" title="Band D equivalent properties">Tax Base</th>
+                            <th className="px-4 py-3">Gross Yield</th>
+                            <th className="px-4 py-3">CT Support</th>
+                            <th className="px-4 py-3">Collection Losses</th>
+                            <th className="px-4 py-3">Net Council Tax</th>
+                            <th className="px-4 py-3" title="Surplus (+) or deficit (-) on the collection fund">
+                              Collection Fund
+                            </th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {projections.map((row) => (
+                            <tr key={`ct-${row.year}`}>
+                              <td className="px-4 py-3 text-slate-200">{row.year}</td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {formatNumber(Math.round(row.taxBase))}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(row.councilTaxGrossYield)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(-row.councilTaxSupportCost)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(-row.collectionLosses)}
+                              </td>
+                              <td className="px-4 py-3 font-semibold text-slate-100">
+                                {money(row.councilTaxRevenue)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(row.collectionFundSurplus)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Capital Financing {tooltipLabel("Derived from the capital programme")}
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        Borrowing-funded spend drives the CFR, MRP ({mrpPolicies[debt.mrpPolicy] ?? "Asset life"}) and interest.
+                      </p>
+                    </div>
+                    <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                      <table className="w-full text-left text-xs">
+                        <thead className="bg-slate-900/70 text-slate-300">
+                          <tr>
+                            <th className="px-4 py-3">Year</th>
+                            <th className="px-4 py-3">Capital Spend</th>
+                            <th className="px-4 py-3">New Borrowing</th>
+                            <th className="px-4 py-3" title="Capital Financing Requirement">CFR</th>
+                            <th className="px-4 py-3" title="Minimum Revenue Provision">MRP</th>
+                            <th className="px-4 py-3">Interest</th>
+                            <th className="px-4 py-3">Debt Cost</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {projections.map((row) => (
+                            <tr key={`capital-${row.year}`}>
+                              <td className="px-4 py-3 text-slate-200">{row.year}</td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.capitalSpend)}</td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.newBorrowing)}</td>
+                              <td className="px-4 py-3 text-slate-100">
+                                {money(row.capitalFinancingRequirement)}
+                              </td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.mrp)}</td>
+                              <td className="px-4 py-3 text-slate-100">{money(row.interestCost)}</td>
+                              <td className="px-4 py-3 font-semibold text-slate-100">
+                                {money(row.debtCost)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
                   <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
                     <div className="flex flex-wrap items-center justify-between gap-3">
                       <div>
                         <h3 className="text-sm font-semibold text-white">
-                          Service Breakdown (Indicative)
+                          Service Breakdown {bottomUpServices ? "(Bottom-Up)" : "(Indicative)"}
                         </h3>
                         <p className="text-xs text-slate-400">
-                          Proportional allocation of net requirement and gap.
+                          {bottomUpServices
+                            ? "Service budgets drive the net requirement; gap shared by requirement."
+                            : "Proportional allocation of net requirement and gap."}
                         </p>
                       </div>
                       <div className="flex flex-wrap gap-2">
-                        {Object.keys(assumptions.serviceSplits).map((service) => (
+                        {services.map((service, idx) => (
                           <button
-                            key={service}
+                            key={`service-tab-${idx}`}
                             type="button"
-                            onClick={() => setServiceTab(service)}
+                            onClick={() => setServiceTab(service.name)}
                             className={`rounded-full px-3 py-1 text-xs ${
-                              serviceTab === service
+                              serviceTab === service.name
                                 ? "bg-white text-slate-900"
                                 : "border border-slate-700 text-slate-300"
                             }`}
                           >
-                            {service}
+                            {service.name}
                           </button>
                         ))}
                       </div>
@@ -852,39 +2698,199 @@ export default function App() {
                         </tbody>
                       </table>
                     </div>
+                    <div className="mt-3 flex flex-wrap gap-2 text-[11px]">
+                      <span className="text-slate-400">
+                        Reconciliation (bottom-up less top-down):
+                      </span>
+                      {projections.map((row) => (
+                        <span
+                          key={`reconcile-${row.year}`}
+                          className={
+                            Math.abs(row.reconciliationDifference) >
+                            Math.abs(row.topDownRequirement) * 0.01
+                              ? "text-amber-300"
+                              : "text-slate-300"
+                          }
+                        >
+                          {row.year}: {money(row.reconciliationDifference)}
+                        </span>
+                      ))}
+                    </div>
                   </div>
 
-                  <div className="grid gap-6 lg:grid-cols-2">
-                    <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <h3 className="text-sm font-semibold text-white">Gap Waterfall</h3>
-                          <p className="text-xs text-slate-400">
-                            Drivers of Year 1 budget gap.
-                          </p>
-                        </div>
-                        <BarChart3 className="h-5 w-5 text-slate-400" />
-                      </div>
-                      <div className="mt-4 h-60">
-                        <ResponsiveContainer width="100%" height="100%">
-                          <BarChart data={waterfallData}>
-                            <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
-                            <XAxis dataKey="label" tick={{ fill: "#94a3b8", fontSize: 11 }} />
-                            <YAxis
-                              tick={{ fill: "#94a3b8", fontSize: 11 }}
-                              tickFormatter={(value) => `${value / 1_000_000}m`}
-                            />
-                            <Tooltip
-                              cursor={{ fill: "rgba(148,163,184,0.1)" }}
-                              formatter={(value) => money(value)}
-                            />
-                            <Bar dataKey="value" fill="#38bdf8" radius={[6, 6, 0, 0]} />
-                          </BarChart>
-                        </ResponsiveContainer>
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div>
+                      <h3 className="text-sm font-semibold text-white">
+                        Demand Drill-down {tooltipLabel("Cohort pressure split into volume and price effects")}
+                      </h3>
+                      <p className="text-xs text-slate-400">
+                        {demandCohorts.length
+                          ? "Volume effect: growth in clients at last year's unit cost. Price effect: unit cost uplift on this year's clients."
+                          : "No service uses the client cohort demand driver."}
+                      </p>
+                    </div>
+                    {demandCohorts.length ? (
+                      <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                        <table className="w-full text-left text-xs">
+                          <thead className="bg-slate-900/70 text-slate-300">
+                            <tr>
+                              <th className="px-4 py-3">Service</th>
+                              <th className="px-4 py-3">Cohort</th>
+                              {projections.map((row) => (
+                                <th key={`demand-head-${row.year}`} className="px-4 py-3">
+                                  {row.year}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-slate-800">
+                            {demandCohorts.map((item, idx) => (
+                              <tr key={`demand-${idx}`}>
+                                <td className="px-4 py-3 text-slate-300">{item.service}</td>
+                                <td className="px-4 py-3 text-slate-200">{item.cohort}</td>
+                                {projections.map((row) => {
+                                  const detail = row.demandDetail[idx];
+                                  return (
+                                    <td key={`demand-${idx}-${row.year}`} className="px-4 py-3 text-slate-100">
+                                      {money(detail.pressure)}
+                                      <span className="block text-[11px] text-slate-400">
+                                        Vol {money(detail.volumeEffect)} · Price{" "}
+                                        {money(detail.priceEffect)}
+                                      </span>
+                                    </td>
+                                  );
+                                })}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
                       </div>
-                    </section>
+                    ) : null}
+                  </div>
 
-                    <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                      <div>
+                        <h3 className="text-sm font-semibold text-white">
+                          Stress Test Fan Chart {tooltipLabel("P10–P90 and P25–P75 bands with the median")}
+                        </h3>
+                        <p className="text-xs text-slate-400">
+                          {formatNumber(stress.simulations)} correlated simulations
+                          {stressCorrelation.valid
+                            ? "."
+                            : " (correlation matrix invalid; drivers treated as independent)."}
+                          {stressRunning
+                            ? ` Updating (${Math.round(stressProgress * 100)}%)…`
+                            : ""}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        {[
+                          ["reserves", "Usable Reserves"],
+                          ["gap", "Annual Gap"],
+                        ].map(([key, label]) => (
+                          <button
+                            key={`fan-${key}`}
+                            type="button"
+                            onClick={() => setFanMetric(key)}
+                            className={`rounded-full px-3 py-1 text-xs ${
+                              fanMetric === key
+                                ? "bg-white text-slate-900"
+                                : "border border-slate-700 text-slate-300"
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="mt-4 h-60">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={fanSeries}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+                          <XAxis dataKey="year" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                          <YAxis
+                            tick={{ fill: "#94a3b8", fontSize: 11 }}
+                            tickFormatter={(value) => `${value / 1_000_000}m`}
+                          />
+                          <Tooltip
+                            formatter={(value) =>
+                              Array.isArray(value)
+                                ? `${money(value[0])} – ${money(value[1])}`
+                                : money(value)
+                            }
+                          />
+                          <ReferenceLine y={0} stroke="#f43f5e" strokeDasharray="4 4" />
+                          <Area
+                            type="monotone"
+                            dataKey="outer"
+                            name="P10–P90"
+                            stroke="none"
+                            fill="#38bdf8"
+                            fillOpacity={0.15}
+                          />
+                          <Area
+                            type="monotone"
+                            dataKey="inner"
+                            name="P25–P75"
+                            stroke="none"
+                            fill="#38bdf8"
+                            fillOpacity={0.3}
+                          />
+                          <Line
+                            type="monotone"
+                            dataKey="median"
+                            name="Median"
+                            stroke="#f8fafc"
+                            dot={false}
+                          />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div className="mt-3 flex flex-wrap gap-3 text-[11px] text-slate-300">
+                      <span className="text-slate-400">P(reserves exhausted):</span>
+                      {fanSeries.map((year) => (
+                        <span
+                          key={`exhaust-${year.year}`}
+                          className={year.exhaustion > 0.1 ? "text-rose-300" : undefined}
+                        >
+                          {year.year}: {percent(year.exhaustion * 100)}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="grid gap-6 lg:grid-cols-2">
+                    <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <h3 className="text-sm font-semibold text-white">Gap Waterfall</h3>
+                          <p className="text-xs text-slate-400">
+                            Drivers of Year 1 budget gap.
+                          </p>
+                        </div>
+                        <BarChart3 className="h-5 w-5 text-slate-400" />
+                      </div>
+                      <div className="mt-4 h-60">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <BarChart data={waterfallData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+                            <XAxis dataKey="label" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                            <YAxis
+                              tick={{ fill: "#94a3b8", fontSize: 11 }}
+                              tickFormatter={(value) => `${value / 1_000_000}m`}
+                            />
+                            <Tooltip
+                              cursor={{ fill: "rgba(148,163,184,0.1)" }}
+                              formatter={(value) => money(value)}
+                            />
+                            <Bar dataKey="value" fill="#38bdf8" radius={[6, 6, 0, 0]} />
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                    </section>
+
+                    <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
                       <div className="flex items-center justify-between">
                         <div>
                           <h3 className="text-sm font-semibold text-white">
@@ -940,7 +2946,8 @@ export default function App() {
                             Reserves Depletion Line
                           </h3>
                           <p className="text-xs text-slate-400">
-                            Burn rate across MTFS horizon. {tooltipLabel("Includes 3% trigger line")}
+                            Usable reserves and each reserve balance across MTFS horizon.{" "}
+                            {tooltipLabel("Includes 3% trigger line")}
                           </p>
                         </div>
                         <LineChartIcon className="h-5 w-5 text-slate-400" />
@@ -958,10 +2965,22 @@ export default function App() {
                             <Line
                               type="monotone"
                               dataKey="reserves"
+                              name="Usable reserves"
                               stroke="#f97316"
                               strokeWidth={2}
                               dot={{ r: 3 }}
                             />
+                            {reserves.map((reserve, idx) => (
+                              <Line
+                                key={`reserve-line-${reserve.name}-${idx}`}
+                                type="monotone"
+                                dataKey={reserve.name}
+                                stroke={reservePalette[idx % reservePalette.length]}
+                                strokeWidth={1}
+                                strokeDasharray="3 3"
+                                dot={false}
+                              />
+                            ))}
                             <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" />
                             <ReferenceLine
                               y={triggerLevel}
@@ -999,12 +3018,29 @@ export default function App() {
                             Sensitivity Tornado
                           </h3>
                           <p className="text-xs text-slate-400">
-                            Impact on Year 1 gap from ±1% shocks.
+                            Impact on {sensitivityMetrics[sensitivityOptions.metric]} across each
+                            driver&apos;s low/high range. Configure drivers in the sidebar.
                           </p>
                         </div>
-                        <ShieldAlert className="h-5 w-5 text-slate-400" />
+                        <select
+                          value={sensitivityOptions.metric}
+                          aria-label="Sensitivity metric"
+                          onChange={(event) =>
+                            setSensitivityOptions((prev) => ({
+                              ...prev,
+                              metric: event.target.value,
+                            }))
+                          }
+                          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-200"
+                        >
+                          {Object.entries(sensitivityMetrics).map(([key, label]) => (
+                            <option key={`metric-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
                       </div>
-                      <div className="mt-4 h-60">
+                      <div className="mt-4" style={{ height: Math.max(240, sensitivity.length * 36) }}>
                         <ResponsiveContainer width="100%" height="100%">
                           <BarChart data={sensitivity} layout="vertical">
                             <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
@@ -1016,6 +3052,7 @@ export default function App() {
                             <YAxis
                               type="category"
                               dataKey="driver"
+                              width={150}
                               tick={{ fill: "#94a3b8", fontSize: 11 }}
                             />
                             <Tooltip formatter={(value) => money(value)} />
@@ -1025,6 +3062,92 @@ export default function App() {
                         </ResponsiveContainer>
                       </div>
                     </section>
+
+                    <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5 lg:col-span-2">
+                      <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div>
+                          <h3 className="text-sm font-semibold text-white">
+                            Two-Way Sensitivity Table
+                          </h3>
+                          <p className="text-xs text-slate-400">
+                            {sensitivityMetrics[sensitivityOptions.metric]} for each combination of
+                            the two drivers across their ranges.
+                          </p>
+                        </div>
+                        <div className="flex flex-wrap gap-2 text-xs">
+                          {[
+                            ["rowDriver", "Rows"],
+                            ["colDriver", "Columns"],
+                          ].map(([field, label]) => (
+                            <select
+                              key={`two-way-${field}`}
+                              value={sensitivityOptions[field]}
+                              aria-label={`Two-way ${label.toLowerCase()} driver`}
+                              onChange={(event) =>
+                                setSensitivityOptions((prev) => ({
+                                  ...prev,
+                                  [field]: event.target.value,
+                                }))
+                              }
+                              className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-200"
+                            >
+                              {sensitivityDrivers.map((driver) => (
+                                <option key={`${field}-${driver.key}`} value={driver.key}>
+                                  {label}: {driver.label}
+                                </option>
+                              ))}
+                            </select>
+                          ))}
+                        </div>
+                      </div>
+                      {twoWay ? (
+                        <div className="mt-4 overflow-x-auto rounded-xl border border-slate-800">
+                          <table className="w-full text-left text-xs">
+                            <thead className="bg-slate-900/70 text-slate-300">
+                              <tr>
+                                <th className="px-3 py-2">
+                                  {twoWay.rowDriver} ↓ / {twoWay.colDriver} →
+                                </th>
+                                {twoWay.colValues.map((value, idx) => (
+                                  <th key={`col-${idx}`} className="px-3 py-2">
+                                    {formatNumber(Math.round(value * 100) / 100)}
+                                  </th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-800">
+                              {twoWay.rowValues.map((rowValue, rowIdx) => (
+                                <tr key={`row-${rowIdx}`}>
+                                  <td className="px-3 py-2 text-slate-300">
+                                    {formatNumber(Math.round(rowValue * 100) / 100)}
+                                  </td>
+                                  {twoWay.cells[rowIdx].map((cell, colIdx) => {
+                                    const worse =
+                                      sensitivityOptions.metric === "finalReserves"
+                                        ? cell < twoWayBase
+                                        : cell > twoWayBase;
+                                    return (
+                                      <td
+                                        key={`cell-${rowIdx}-${colIdx}`}
+                                        className={`px-3 py-2 ${
+                                          Math.abs(cell - twoWayBase) < 1
+                                            ? "font-semibold text-white"
+                                            : worse
+                                              ? "text-rose-300"
+                                              : "text-emerald-300"
+                                        }`}
+                                      >
+                                        {money(cell)}
+                                      </td>
+                                    );
+                                  })}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      ) : null}
+                    </section>
                   </div>
 
                   <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
@@ -1040,7 +3163,7 @@ export default function App() {
                       <ShieldAlert className="h-5 w-5 text-slate-400" />
                     </div>
                     <div className="mt-4 grid gap-3">
-                      {governanceNotes.map((note, idx) => (
+                      {governanceNotes.slice(0, horizon).map((note, idx) => (
                         <div key={`note-${idx}`} className="space-y-2">
                           <label className="text-xs text-slate-300">Y{idx + 1}</label>
                           <textarea
@@ -1055,8 +3178,118 @@ export default function App() {
                       ))}
                     </div>
                   </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div>
+                        <h3 className="text-sm font-semibold text-white">Audit Trail</h3>
+                        <p className="text-xs text-slate-400">
+                          Field-level changes with the Y1 gap and {finalLabel} reserves impact.{" "}
+                          {tooltipLabel(
+                            `All ${auditTrail.length} changes kept; the table shows the latest 50 matches`
+                          )}
+                        </p>
+                        {auditVerification ? (
+                          <p
+                            className={`mt-1 text-xs ${
+                              auditVerification.valid ? "text-emerald-300" : "text-rose-300"
+                            }`}
+                          >
+                            {auditVerification.valid
+                              ? `Hash chain verified (${auditVerification.checked} entries${
+                                  auditVerification.anchored
+                                    ? ""
+                                    : ", starting after entries dropped by an earlier version"
+                                })`
+                              : `Hash chain broken: ${auditVerification.breaks
+                                  .map(
+                                    (item) =>
+                                      item.timestamp
+                                        ? `${item.reason} at ${new Date(item.timestamp).toLocaleString()}`
+                                        : item.reason
+                                  )
+                                  .join("; ")}`}
+                          </p>
+                        ) : null}
+                        {auditError ? (
+                          <p className="mt-1 text-xs text-rose-300">{auditError}</p>
+                        ) : null}
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <input
+                          value={auditFilter.query}
+                          onChange={(event) =>
+                            setAuditFilter((prev) => ({ ...prev, query: event.target.value }))
+                          }
+                          placeholder="Search changes"
+                          aria-label="Search audit trail"
+                          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100"
+                        />
+                        <select
+                          value={auditFilter.scope}
+                          onChange={(event) =>
+                            setAuditFilter((prev) => ({ ...prev, scope: event.target.value }))
+                          }
+                          aria-label="Filter audit trail"
+                          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100"
+                        >
+                          <option value="all">All areas</option>
+                          {Object.entries(auditScopes).map(([key, label]) => (
+                            <option key={`audit-scope-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={exportAuditChain}
+                          className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                        >
+                          Export Chain (JSON)
+                        </button>
+                      </div>
+                    </div>
+                    <div className="mt-4 max-h-96 space-y-2 overflow-y-auto text-xs">
+                      {filteredAudit.slice(0, 50).map((entry) => (
+                        <details
+                          key={`audit-${entry.timestamp}-${entry.summary}`}
+                          className="rounded-lg border border-slate-800 p-2"
+                        >
+                          <summary className="cursor-pointer text-slate-200">
+                            {new Date(entry.timestamp).toLocaleString()} — {entry.scenario}
+                            {entry.user ? ` (${entry.user})` : ""}: {entry.summary}
+                            {entry.year1GapImpact !== undefined ? (
+                              <span className="ml-2 text-slate-400">
+                                Y1 gap {money(entry.year1GapImpact)}, {finalLabel} reserves{" "}
+                                {money(entry.finalReservesImpact)}
+                              </span>
+                            ) : null}
+                          </summary>
+                          <table className="mt-2 w-full text-left text-[11px]">
+                            <tbody className="divide-y divide-slate-800 text-slate-300">
+                              {(entry.changes ?? []).map((change) => (
+                                <tr key={`audit-change-${entry.timestamp}-${change.path}`}>
+                                  <td className="py-1 pr-2 break-all">{change.path}</td>
+                                  <td className="py-1 pr-2">{describeValue(change.from)}</td>
+                                  <td className="py-1">{describeValue(change.to)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {entry.truncated ? (
+                            <p className="mt-1 text-[11px] text-slate-400">
+                              …and {entry.truncated} more fields
+                            </p>
+                          ) : null}
+                        </details>
+                      ))}
+                      {filteredAudit.length === 0 ? (
+                        <p className="text-slate-400">No audit entries match.</p>
+                      ) : null}
+                    </div>
+                  </div>
                 </div>
-              ) : tab === "Comparison" ? (
+              ) : activeTab === "Comparison" ? (
                 <div className="mt-6 space-y-6">
                   <div className="grid gap-4 lg:grid-cols-3">
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
@@ -1069,12 +3302,12 @@ export default function App() {
                       </p>
                     </div>
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-                      <p className="text-xs text-slate-400">Y5 Reserves (Current)</p>
+                      <p className="text-xs text-slate-400">{finalLabel} Reserves (Current)</p>
                       <p className="mt-2 text-lg font-semibold text-white">
-                        {money(projections[4]?.reservesEnd ?? 0)}
+                        {money(finalYear?.usableReserves ?? 0)}
                       </p>
                       <p className="text-xs text-slate-400">
-                        Baseline {money(baselineProjections[4]?.reservesEnd ?? 0)}
+                        Baseline {money(baselineFinalYear?.usableReserves ?? 0)}
                       </p>
                     </div>
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
@@ -1096,13 +3329,41 @@ export default function App() {
                     <div className="flex items-center justify-between">
                       <div>
                         <h3 className="text-sm font-semibold text-white">
-                          Gap Comparison
+                          Scenario Comparison
                         </h3>
                         <p className="text-xs text-slate-400">
-                          Current scenario vs baseline across 5 years.
+                          Live scenario, presets and saved scenarios across {horizon} years.
                         </p>
                       </div>
-                      <LineChartIcon className="h-5 w-5 text-slate-400" />
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={comparisonMetric}
+                          aria-label="Comparison metric"
+                          onChange={(event) => setComparisonMetric(event.target.value)}
+                          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100"
+                        >
+                          {Object.entries(comparisonMetrics).map(([key, label]) => (
+                            <option key={`compare-metric-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                        <LineChartIcon className="h-5 w-5 text-slate-400" />
+                      </div>
+                    </div>
+                    <div className="mt-3 flex flex-wrap gap-3 text-xs text-slate-200">
+                      {comparisonOptions.map((option) => (
+                        <label key={`compare-${option.id}`} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={comparisonSelection.includes(option.id)}
+                            onChange={(event) =>
+                              toggleComparison(option.id, event.target.checked)
+                            }
+                          />
+                          {option.entry.name}
+                        </label>
+                      ))}
                     </div>
                     <div className="mt-4 h-60">
                       <ResponsiveContainer width="100%" height="100%">
@@ -1114,26 +3375,183 @@ export default function App() {
                             tickFormatter={(value) => `${value / 1_000_000}m`}
                           />
                           <Tooltip formatter={(value) => money(value)} />
-                          <Line
-                            type="monotone"
-                            dataKey="baseGap"
-                            stroke="#94a3b8"
-                            strokeWidth={2}
-                            dot={{ r: 3 }}
-                          />
-                          <Line
-                            type="monotone"
-                            dataKey="currentGap"
-                            stroke="#38bdf8"
-                            strokeWidth={2}
-                            dot={{ r: 3 }}
-                          />
+                          {scenarioComparison.map((item, idx) => (
+                            <Line
+                              key={`compare-line-${item.name}`}
+                              type="monotone"
+                              dataKey={item.name}
+                              stroke={reservePalette[idx % reservePalette.length]}
+                              strokeWidth={2}
+                              dot={{ r: 3 }}
+                            />
+                          ))}
                         </LineChart>
                       </ResponsiveContainer>
                     </div>
+                    <div className="mt-4 overflow-x-auto">
+                      <table className="w-full text-left text-xs">
+                        <thead className="text-slate-400">
+                          <tr>
+                            <th className="py-2">Scenario</th>
+                            <th className="py-2">Total Gap</th>
+                            <th className="py-2">{finalLabel} Usable Reserves</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800 text-slate-200">
+                          {scenarioComparison.map((item) => (
+                            <tr key={`compare-row-${item.name}`}>
+                              <td className="py-2">{item.name}</td>
+                              <td className="py-2">{money(item.totalGap)}</td>
+                              <td className="py-2">{money(item.finalReserves)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div>
+                        <h3 className="text-sm font-semibold text-white">
+                          Assumption Variance {tooltipLabel("Each difference is applied one at a time, in the order listed, and its effect on the gap recorded")}
+                        </h3>
+                        <p className="text-xs text-slate-400">
+                          Reference: {varianceReference?.entry.name ?? "select two scenarios"}
+                        </p>
+                      </div>
+                      {selectedComparisons.length > 1 ? (
+                        <select
+                          value={varianceCompared?.id ?? ""}
+                          aria-label="Compare against reference"
+                          onChange={(event) => setVarianceTarget(event.target.value)}
+                          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100"
+                        >
+                          {selectedComparisons.slice(1).map((option) => (
+                            <option key={`variance-${option.id}`} value={option.id}>
+                              {option.entry.name}
+                            </option>
+                          ))}
+                        </select>
+                      ) : null}
+                    </div>
+                    {scenarioVariance ? (
+                      <div className="mt-4 overflow-x-auto">
+                        <table className="w-full text-left text-xs">
+                          <thead className="text-slate-400">
+                            <tr>
+                              <th className="py-2">Assumption</th>
+                              <th className="py-2">{scenarioVariance.from}</th>
+                              <th className="py-2">{scenarioVariance.to}</th>
+                              <th className="py-2">Y1 Gap Effect</th>
+                              <th className="py-2">Total Gap Effect</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-slate-800 text-slate-200">
+                            {scenarioVariance.factors.map((factor) => (
+                              <tr key={`variance-row-${factor.key}`}>
+                                <td className="py-2">{factor.label}</td>
+                                <td className="py-2">{describeValue(factor.from)}</td>
+                                <td className="py-2">{describeValue(factor.to)}</td>
+                                <td className="py-2">{money(factor.byYear[0] ?? 0)}</td>
+                                <td
+                                  className={`py-2 ${
+                                    factor.total > 0 ? "text-rose-300" : "text-emerald-300"
+                                  }`}
+                                >
+                                  {money(factor.total)}
+                                </td>
+                              </tr>
+                            ))}
+                            <tr className="font-semibold">
+                              <td className="py-2" colSpan={4}>
+                                Total gap variance
+                              </td>
+                              <td className="py-2">{money(scenarioVariance.total)}</td>
+                            </tr>
+                          </tbody>
+                        </table>
+                        {scenarioVariance.factors.length === 0 ? (
+                          <p className="mt-2 text-xs text-slate-400">
+                            The scenarios use identical assumptions.
+                          </p>
+                        ) : null}
+                      </div>
+                    ) : (
+                      <p className="mt-3 text-xs text-slate-400">
+                        Select at least two scenarios to compare their assumptions.
+                      </p>
+                    )}
                   </div>
+
+                  {scenarioVariance ? (
+                    <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-5">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <h3 className="text-sm font-semibold text-white">
+                            Gap Variance Bridge
+                          </h3>
+                          <p className="text-xs text-slate-400">
+                            {scenarioVariance.from} to {scenarioVariance.to}, one factor at a
+                            time. Included in the XLSX and print exports.
+                          </p>
+                        </div>
+                        <select
+                          value={Math.min(bridgeYear, horizon - 1)}
+                          aria-label="Bridge year"
+                          onChange={(event) => setBridgeYear(Number(event.target.value))}
+                          className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100"
+                        >
+                          {projections.map((row, idx) => (
+                            <option key={`bridge-year-${row.year}`} value={idx}>
+                              {row.year}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="mt-4 h-64">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <BarChart data={varianceBridge}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
+                            <XAxis dataKey="label" tick={{ fill: "#94a3b8", fontSize: 10 }} />
+                            <YAxis
+                              tick={{ fill: "#94a3b8", fontSize: 11 }}
+                              tickFormatter={(value) => `${value / 1_000_000}m`}
+                            />
+                            <Tooltip
+                              cursor={{ fill: "rgba(148,163,184,0.1)" }}
+                              formatter={(value, name, item) => money(item.payload.value)}
+                            />
+                            <Bar dataKey="range" radius={[4, 4, 0, 0]}>
+                              {varianceBridge.map((step, idx) => (
+                                <Cell
+                                  key={`bridge-${idx}`}
+                                  fill={
+                                    step.kind === "total"
+                                      ? "#94a3b8"
+                                      : step.value > 0
+                                        ? "#f43f5e"
+                                        : "#22c55e"
+                                  }
+                                />
+                              ))}
+                            </Bar>
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                      <p className="mt-2 text-xs text-slate-300">
+                        {varianceBridge
+                          .filter((step) => step.kind === "step")
+                          .map(
+                            (step) =>
+                              `${step.label} ${step.value > 0 ? "+" : "−"}${money(Math.abs(step.value))}`
+                          )
+                          .join(", ") || "No gap movement in this year."}
+                      </p>
+                    </div>
+                  ) : null}
                 </div>
-              ) : tab === "Public Summary" ? (
+              ) : activeTab === "Public Summary" ? (
                 <div className="mt-6 space-y-6">
                   <div className="grid gap-4 lg:grid-cols-3">
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
@@ -1146,10 +3564,10 @@ export default function App() {
                     </div>
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
                       <p className="text-xs text-slate-400">
-                        Projected Y5 Reserves {tooltipLabel("Public-facing summary metric")}
+                        Projected {finalLabel} Reserves {tooltipLabel("Public-facing summary metric")}
                       </p>
                       <p className="mt-2 text-lg font-semibold text-white">
-                        {money(projections[4]?.reservesEnd ?? 0)}
+                        {money(finalYear?.usableReserves ?? 0)}
                       </p>
                     </div>
                     <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
@@ -1194,761 +3612,2552 @@ export default function App() {
                     projection. The Net Budget Requirement is calculated as:
                   </p>
                   <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-xs text-slate-200">
-                    (Previous Year Base + Pay/Price Inflation + Demand Pressures + Debt Cost) - Planned Savings
+                    (Previous Year Base + Pay/Price Inflation + Demand Pressures + Debt Cost +
+                    Implementation Costs + Reserve Contributions - Reserve Drawdowns) - Planned
+                    Savings
+                  </div>
+                  <p>
+                    Planned Savings are the base savings plus the delivered pipeline. Each
+                    initiative ramps in by its phasing profile and is weighted by confidence to give
+                    the risk-adjusted plan; the slippage assumption then defers part of each
+                    year&apos;s risk-adjusted savings to the following year. Revenue-funded
+                    implementation costs are one-off and do not roll into the next year&apos;s base.
+                    Planned reserve contributions and drawdowns are likewise one-off transfers
+                    between the revenue budget and the named reserve.
+                  </p>
+                  <p>
+                    Pay/Price Inflation is built up line by line. The previous year base is split
+                    into pay, non-pay/contract and income lines by share, and each line is uplifted
+                    by its own index: the pay award, CPI, or a contract-specific rate such as the
+                    National Living Wage for care contracts.
+                  </p>
+                  <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-xs text-slate-200">
+                    Σ (Previous Year Base × Line Share × Line Index %)
                   </div>
                   <p>
-                    Council Tax Revenue is computed using a fixed tax base and a percentage
-                    multiplier. The tax base is held constant to isolate policy impact.
+                    Council Tax Revenue starts from the tax base grown each year for new housing
+                    and band mix changes. Council tax support is deducted from the gross yield and
+                    the collection rate is applied to the remainder. Any collection fund surplus or
+                    deficit for the year is added as a separate funding line.
                   </p>
                   <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-xs text-slate-200">
-                    Tax Base × Average Band D × (1 + Council Tax % Increase)
+                    Tax Base × (1 + Base Growth %) × Average Band D × (1 + Core CT % + ASC Precept %) ×
+                    (1 - CT Support %) × Collection Rate %
                   </div>
+                  <p>
+                    Services using the client cohort driver replace their lump-sum demand pressure
+                    with the year-on-year change in cohort cost. Each cohort&apos;s volume grows at its
+                    demographic rate and its unit cost at its own inflation rate; the change splits
+                    into a volume effect and a price effect. In the top-down model the lump sum is
+                    reduced by those services&apos; budget split. Adults and Children use the cohort
+                    driver by default; switch a service back to Scenario demand growth to restore the
+                    single lump-sum demand pressure.
+                  </p>
+                  <p>
+                    In the bottom-up service model each directorate carries its own base budget,
+                    pay/non-pay mix, demand pressure and savings, and the Net Budget Requirement is
+                    the sum of services plus corporate items (debt, implementation costs and the
+                    savings pipeline). The top-down figure is still calculated as a reconciliation
+                    check.
+                  </p>
+                  <p>
+                    Funding reforms are optional layers on the fixed funding growth rates. A
+                    business rates reset removes the growth retained since the base year (less any
+                    share kept) and can move the baseline; needs-based redistribution phases in a
+                    change to core funding along a damping path; a grant rollover moves a share of
+                    other grants into core funding, which then grows at the Revenue Support Grant
+                    rate. Named funding shocks are applied last.
+                  </p>
                   <p>
                     Funding totals are then combined and compared to the Net Budget Requirement to
                     show the Annual Gap and its effect on reserves.
                   </p>
+                  <p>
+                    Each reserve moves by its planned contributions and drawdowns. An unfunded gap
+                    is then drawn from usable reserves in gap-priority order, down to each
+                    reserve&apos;s minimum prudent balance, with any remainder taken from the
+                    General Fund. Surpluses are returned to the General Fund. Ring-fenced reserves
+                    never absorb the gap and are excluded from usable reserves.
+                  </p>
+                  <p>
+                    Debt Cost combines interest and Minimum Revenue Provision (MRP). Existing debt
+                    carries its own rate and MRP; capital schemes funded by prudential borrowing are
+                    assumed to be drawn at year end, so interest (at the new borrowing rate) and MRP
+                    (asset life or annuity) start the following year.
+                  </p>
                 </div>
               )}
             </div>
           </main>
 
-          <aside
-            className={`glass-panel no-print h-fit rounded-3xl p-6 transition lg:sticky lg:top-6 lg:block ${
-              sidebarOpen ? "block" : "hidden lg:block"
-            }`}
-          >
-            <div className="flex items-center justify-between">
-              <h3 className="text-sm font-semibold text-white">What-If Controls</h3>
-              <span className="text-xs text-slate-400">Scenario</span>
-            </div>
-
-            <div className="mt-5 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <p className="text-xs text-slate-300">
-                Core Assumptions {tooltipLabel("Baseline budget, funding, and reserves")}
-              </p>
-              <div className="mt-3 grid gap-2 text-xs">
-                <label className="text-[11px] text-slate-400">Previous year base (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.previousYearBase)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      previousYearBase: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Previous year base"
-                  aria-label="Previous year base budget"
-                />
-                <label className="text-[11px] text-slate-400">Demand pressures (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.demandPressures)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      demandPressures: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Demand pressures"
-                  aria-label="Demand pressures"
-                />
-                <label className="text-[11px] text-slate-400">Planned savings base (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.plannedSavings)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      plannedSavings: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Planned savings (base)"
-                  aria-label="Planned savings base"
-                />
-                <label className="text-[11px] text-slate-400">Current reserves (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.currentReserves)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      currentReserves: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Current reserves"
-                  aria-label="Current reserves"
-                />
-                <label className="text-[11px] text-slate-400">Council tax base (properties)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.taxBase)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      taxBase: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Tax base"
-                  aria-label="Council tax base"
-                />
-                <label className="text-[11px] text-slate-400">Average Band D (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.averageBandD)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      averageBandD: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Average Band D"
-                  aria-label="Average Band D"
-                />
-                <label className="text-[11px] text-slate-400">Business rates (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.businessRates)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      businessRates: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Business rates"
-                  aria-label="Business rates"
-                />
-                <label className="text-[11px] text-slate-400">Revenue support grant (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.revenueSupportGrant)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      revenueSupportGrant: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Revenue support grant"
-                  aria-label="Revenue support grant"
-                />
-                <label className="text-[11px] text-slate-400">Other grants (£)</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(assumptions.otherGrants)}
-                  onChange={(event) =>
-                    setAssumptions((prev) => ({
-                      ...prev,
-                      otherGrants: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Other grants"
-                  aria-label="Other grants"
-                />
+          {modelAccess ? (
+            <aside
+              className={`glass-panel no-print h-fit rounded-3xl p-6 transition lg:sticky lg:top-6 lg:block ${
+                sidebarOpen ? "block" : "hidden lg:block"
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-white">What-If Controls</h3>
+                <span className="text-xs text-slate-400">Scenario</span>
               </div>
-              <p className="mt-2 text-[11px] text-slate-400">
-                These values drive the baseline net budget requirement and funding totals.
-              </p>
-            </div>
-
-            <div className="mt-4 grid gap-2">
-              {Object.keys(scenarioPresets).map((name) => (
-                <button
-                  key={name}
-                  type="button"
-                  onClick={() => handleScenario(name)}
-                  className={`rounded-xl px-4 py-2 text-xs font-medium transition ${
-                    scenario === name
-                      ? "bg-slate-100 text-slate-900"
-                      : "border border-slate-700 text-slate-200"
-                  }`}
-                >
-                  {name}
-                </button>
-              ))}
-            </div>
 
-            <div className="mt-5 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <p className="text-xs text-slate-300">Save / Load Scenario</p>
-              <div className="mt-2 flex items-center gap-2">
-                <input
-                  value={scenarioName}
-                  onChange={(event) => setScenarioName(event.target.value)}
-                  placeholder="Scenario name"
-                  className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-xs text-slate-100"
-                />
-                <button
-                  type="button"
-                  onClick={saveScenario}
-                  className="inline-flex items-center gap-1 rounded-lg border border-slate-700 px-2 py-2 text-xs text-slate-200"
-                >
-                  <Save className="h-3.5 w-3.5" />
-                  Save
-                </button>
-              </div>
-              <div className="mt-2 flex items-center gap-2">
-                <select
-                  onChange={(event) => loadScenario(event.target.value)}
-                  aria-label="Load saved scenario"
-                  className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-xs text-slate-100"
-                  defaultValue=""
-                >
-                  <option value="" disabled>
-                    Load saved scenario
-                  </option>
-                  {savedScenarios.map((entry) => (
-                    <option key={entry.name} value={entry.name}>
-                      {entry.name}
-                    </option>
-                  ))}
-                </select>
-                <FolderOpen className="h-4 w-4 text-slate-400" />
-              </div>
-              <div className="mt-3 flex items-center gap-2">
-                <label className="inline-flex items-center gap-2 text-xs text-slate-300">
+              <div className="mt-5 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <p className="text-xs text-slate-300">
+                  Core Assumptions {tooltipLabel("Baseline budget, funding, and reserves")}
+                </p>
+                <div className="mt-3 grid gap-2 text-xs">
+                  <label className="text-[11px] text-slate-400">
+                    MTFS horizon (years, {minHorizonYears}–{maxHorizonYears})
+                  </label>
                   <input
-                    type="file"
-                    accept="application/json"
-                    onChange={importConfig}
-                    aria-label="Import JSON configuration"
-                    className="hidden"
-                    id="config-import"
+                    type="number"
+                    min={minHorizonYears}
+                    max={maxHorizonYears}
+                    step="1"
+                    value={horizon}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        horizonYears: horizonLength({
+                          horizonYears: Number(event.target.value),
+                        }),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="MTFS horizon in years"
+                  />
+                  <label className="text-[11px] text-slate-400">Previous year base (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.previousYearBase)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        previousYearBase: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Previous year base"
+                    aria-label="Previous year base budget"
+                  />
+                  <label className="text-[11px] text-slate-400">Demand pressures (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.demandPressures)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        demandPressures: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Demand pressures"
+                    aria-label="Demand pressures"
+                  />
+                  <label className="text-[11px] text-slate-400">Planned savings base (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.plannedSavings)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        plannedSavings: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Planned savings (base)"
+                    aria-label="Planned savings base"
+                  />
+                  <label className="text-[11px] text-slate-400">Council tax base (properties)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.taxBase)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        taxBase: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Tax base"
+                    aria-label="Council tax base"
+                  />
+                  <label className="text-[11px] text-slate-400">Average Band D (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.averageBandD)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        averageBandD: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Average Band D"
+                    aria-label="Average Band D"
+                  />
+                  <label className="text-[11px] text-slate-400">Business rates (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.businessRates)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        businessRates: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Business rates"
+                    aria-label="Business rates"
+                  />
+                  <label className="text-[11px] text-slate-400">Revenue support grant (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.revenueSupportGrant)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        revenueSupportGrant: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Revenue support grant"
+                    aria-label="Revenue support grant"
+                  />
+                  <label className="text-[11px] text-slate-400">Other grants (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(assumptions.otherGrants)}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        otherGrants: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Other grants"
+                    aria-label="Other grants"
                   />
-                  <span className="rounded-lg border border-slate-700 px-3 py-2 text-xs text-slate-200">
-                    Import JSON config
-                  </span>
-                </label>
-              </div>
-            </div>
-
-            <div className="mt-6 space-y-5 text-xs text-slate-200">
-              <div>
-                <div className="flex items-center justify-between">
-                  <span title="Council Tax increase applied to fixed Tax Base">
-                    Council Tax % increase {tooltipLabel("Fixed Tax Base")}
-                  </span>
-                  <span className="text-slate-300">{percent(inputs.councilTaxIncrease)}</span>
                 </div>
-                <label className="text-[11px] text-slate-400">0–15%</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="15"
-                  step="0.1"
-                  value={inputs.councilTaxIncrease}
-                  aria-label="Council Tax increase percentage"
-                  onChange={(event) =>
-                    setInputs((prev) => ({
-                      ...prev,
-                      councilTaxIncrease: Number(event.target.value),
-                    }))
-                  }
-                  className="mt-2 w-full accent-sky-400"
-                />
+                <p className="mt-2 text-[11px] text-slate-400">
+                  These values drive the baseline net budget requirement and funding totals.
+                </p>
               </div>
 
-              <div>
-                <div className="flex items-center justify-between">
-                  <span title="Annual pay award applied to pay budgets">
-                    Pay Award % {tooltipLabel("Pay award")}
-                  </span>
-                  <span className="text-slate-300">{percent(inputs.payAward)}</span>
-                </div>
-                <label className="text-[11px] text-slate-400">0–10%</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="10"
-                  step="0.1"
-                  value={inputs.payAward}
-                  aria-label="Pay award percentage"
-                  onChange={(event) =>
-                    setInputs((prev) => ({
-                      ...prev,
-                      payAward: Number(event.target.value),
-                    }))
-                  }
-                  className="mt-2 w-full accent-sky-400"
-                />
+              <div className="mt-4 grid gap-2">
+                {Object.keys(scenarioPresets).map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => handleScenario(name)}
+                    className={`rounded-xl px-4 py-2 text-xs font-medium transition ${
+                      scenario === name
+                        ? "bg-slate-100 text-slate-900"
+                        : "border border-slate-700 text-slate-200"
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
               </div>
 
-              <div>
-                <div className="flex items-center justify-between">
-                  <span title="Non-pay inflation on contracts and services">
-                    General Inflation % {tooltipLabel("Price inflation")}
-                  </span>
-                  <span className="text-slate-300">{percent(inputs.generalInflation)}</span>
+              <div className="mt-5 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <p className="text-xs text-slate-300">Save / Load Scenario</p>
+                <div className="mt-2 flex items-center gap-2">
+                  <input
+                    value={scenarioName}
+                    onChange={(event) => setScenarioName(event.target.value)}
+                    placeholder="Scenario name"
+                    className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-xs text-slate-100"
+                  />
+                  <button
+                    type="button"
+                    onClick={saveScenario}
+                    disabled={!can("saveScenario")}
+                    className="inline-flex items-center gap-1 rounded-lg border border-slate-700 px-2 py-2 text-xs text-slate-200 disabled:opacity-40"
+                  >
+                    <Save className="h-3.5 w-3.5" />
+                    Save
+                  </button>
                 </div>
-                <label className="text-[11px] text-slate-400">0–10%</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="10"
-                  step="0.1"
-                  value={inputs.generalInflation}
-                  aria-label="General inflation percentage"
-                  onChange={(event) =>
-                    setInputs((prev) => ({
-                      ...prev,
-                      generalInflation: Number(event.target.value),
-                    }))
-                  }
-                  className="mt-2 w-full accent-sky-400"
-                />
-              </div>
-
-              <div>
-                <div className="flex items-center justify-between">
-                  <span title="Social care demand growth factor">
-                    Social Care Demand Growth {tooltipLabel("Demand growth")}
-                  </span>
-                  <span className="text-slate-300">{percent(inputs.socialCareGrowth)}</span>
+                <div className="mt-2 grid grid-cols-2 gap-2">
+                  <input
+                    value={versionMeta.round}
+                    list="budget-rounds"
+                    onChange={(event) =>
+                      setVersionMeta((prev) => ({ ...prev, round: event.target.value }))
+                    }
+                    placeholder="Budget round"
+                    aria-label="Budget round"
+                    className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-xs text-slate-100"
+                  />
+                  <datalist id="budget-rounds">
+                    {budgetRounds.map((round) => (
+                      <option key={round} value={round} />
+                    ))}
+                  </datalist>
+                  <p className="self-center text-[11px] text-slate-400">
+                    Author: {currentUser.displayName}
+                  </p>
+                  <input
+                    value={versionMeta.comment}
+                    onChange={(event) =>
+                      setVersionMeta((prev) => ({ ...prev, comment: event.target.value }))
+                    }
+                    placeholder="Version comment"
+                    aria-label="Version comment"
+                    className="col-span-2 w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-xs text-slate-100"
+                  />
+                </div>
+                <p className="mt-1 text-[11px] text-slate-400">
+                  {can("saveScenario")
+                    ? "Saving an existing name adds a new version; earlier versions are kept."
+                    : `${userRoles[currentUser.role]} accounts can load scenarios but not save them.`}
+                </p>
+                {saveError ? <p className="mt-1 text-[11px] text-rose-300">{saveError}</p> : null}
+                <div className="mt-2 flex items-center gap-2">
+                  <select
+                    onChange={(event) => loadScenario(event.target.value)}
+                    aria-label="Load saved scenario"
+                    className="w-full rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-xs text-slate-100"
+                    defaultValue=""
+                  >
+                    <option value="" disabled>
+                      Load saved scenario
+                    </option>
+                    {savedScenarios.map((entry) => (
+                      <option key={entry.name} value={entry.name}>
+                        {entry.name}
+                      </option>
+                    ))}
+                  </select>
+                  <FolderOpen className="h-4 w-4 text-slate-400" />
+                </div>
+                <div className="mt-3 flex items-center gap-2">
+                  <label className="inline-flex items-center gap-2 text-xs text-slate-300">
+                    <input
+                      type="file"
+                      accept="application/json"
+                      onChange={importConfig}
+                      aria-label="Import JSON configuration"
+                      className="hidden"
+                      id="config-import"
+                    />
+                    <span className="rounded-lg border border-slate-700 px-3 py-2 text-xs text-slate-200">
+                      Import JSON config
+                    </span>
+                  </label>
                 </div>
-                <label className="text-[11px] text-slate-400">0–10%</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="10"
-                  step="0.1"
-                  value={inputs.socialCareGrowth}
-                  aria-label="Social care demand growth percentage"
-                  onChange={(event) =>
-                    setInputs((prev) => ({
-                      ...prev,
-                      socialCareGrowth: Number(event.target.value),
-                    }))
-                  }
-                  className="mt-2 w-full accent-sky-400"
-                />
               </div>
-            </div>
 
-            <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <summary className="cursor-pointer text-xs text-slate-300">Per-Year Overrides</summary>
-              <div className="mt-3 grid gap-3 text-xs text-slate-200">
-                {overrides.map((override, index) => (
-                  <div key={`override-${index}`} className="rounded-lg border border-slate-800 p-3">
-                    <div className="flex items-center justify-between">
-                      <span>Y{index + 1}</span>
-                      <label className="flex items-center gap-2">
-                        <input
-                          type="checkbox"
-                          checked={override.enabled}
-                          aria-label={`Enable overrides for year ${index + 1}`}
-                          onChange={(event) =>
-                            updateOverride(index, "enabled", event.target.checked)
-                          }
-                        />
-                        <span className="text-slate-400">Enable</span>
-                      </label>
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Version History {tooltipLabel("Immutable versions per saved scenario; restore, fork or diff any two")}
+                </summary>
+                <div className="mt-3 grid gap-2 text-xs text-slate-200">
+                  <select
+                    value={historyScenario}
+                    onChange={(event) => {
+                      setHistoryScenario(event.target.value);
+                      setHistoryDiff({ from: null, to: null });
+                    }}
+                    aria-label="Scenario history"
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                  >
+                    <option value="">Select scenario</option>
+                    {savedScenarios.map((entry) => (
+                      <option key={`history-${entry.name}`} value={entry.name}>
+                        {entry.name} ({entry.versions.length})
+                      </option>
+                    ))}
+                  </select>
+                  {historyRounds.length ? (
+                    <div className="rounded-lg border border-slate-800 p-2">
+                      <p className="text-[11px] text-slate-400">
+                        Budget rounds {tooltipLabel("Locked rounds accept no further versions; only the S151 officer can lock")}
+                      </p>
+                      {historyRounds.map((round) => (
+                        <div
+                          key={`round-${historyScenario}-${round}`}
+                          className="mt-1 flex items-center justify-between"
+                        >
+                          <span>{round}</span>
+                          {isRoundLocked(historyEntry, round) ? (
+                            <span className="text-[11px] text-amber-300">
+                              Locked by{" "}
+                              {historyEntry.lockedRounds.find((lock) => lock.round === round)
+                                .lockedBy}
+                            </span>
+                          ) : can("lockRound") ? (
+                            <button
+                              type="button"
+                              onClick={() => lockRound(round)}
+                              className="rounded-full border border-slate-700 px-2 py-0.5"
+                            >
+                              Lock
+                            </button>
+                          ) : (
+                            <span className="text-[11px] text-slate-500">Open</span>
+                          )}
+                        </div>
+                      ))}
                     </div>
-                    <div className="mt-2 grid gap-2">
-                      <input
-                        type="number"
-                        step="0.1"
-                        min="0"
-                        max="15"
-                        value={override.councilTaxIncrease ?? ""}
-                        disabled={!override.enabled}
-                        aria-label={`Year ${index + 1} council tax override`}
-                        onChange={(event) =>
-                          updateOverride(
-                            index,
-                            "councilTaxIncrease",
-                            event.target.value === "" ? null : Number(event.target.value)
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Council Tax %"
-                      />
-                      <input
-                        type="number"
-                        step="0.1"
-                        min="0"
-                        max="10"
-                        value={override.payAward ?? ""}
-                        disabled={!override.enabled}
-                        aria-label={`Year ${index + 1} pay award override`}
-                        onChange={(event) =>
-                          updateOverride(
-                            index,
-                            "payAward",
-                            event.target.value === "" ? null : Number(event.target.value)
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Pay Award %"
-                      />
-                      <input
-                        type="number"
-                        step="0.1"
-                        min="0"
-                        max="10"
-                        value={override.generalInflation ?? ""}
-                        disabled={!override.enabled}
-                        aria-label={`Year ${index + 1} inflation override`}
-                        onChange={(event) =>
-                          updateOverride(
-                            index,
-                            "generalInflation",
-                            event.target.value === "" ? null : Number(event.target.value)
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Inflation %"
-                      />
-                      <input
-                        type="number"
-                        step="0.1"
-                        min="0"
-                        max="10"
-                        value={override.socialCareGrowth ?? ""}
-                        disabled={!override.enabled}
-                        aria-label={`Year ${index + 1} demand override`}
-                        onChange={(event) =>
-                          updateOverride(
-                            index,
-                            "socialCareGrowth",
-                            event.target.value === "" ? null : Number(event.target.value)
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Demand Growth %"
-                      />
+                  ) : null}
+                  {historyVersions.length && can("saveScenario") ? (
+                    <input
+                      value={forkName}
+                      onChange={(event) => setForkName(event.target.value)}
+                      placeholder="New scenario name for forks"
+                      aria-label="Fork name"
+                      className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    />
+                  ) : null}
+                  {[...historyVersions].reverse().map((version) => (
+                    <div
+                      key={`version-${historyScenario}-${version.version}`}
+                      className="rounded-lg border border-slate-800 p-2"
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-semibold">
+                          v{version.version} {version.round}
+                          {isRoundLocked(historyEntry, version.round) ? " (locked)" : ""}
+                        </span>
+                        <span className="text-[11px] text-slate-400">
+                          {version.timestamp
+                            ? new Date(version.timestamp).toLocaleString()
+                            : "Undated"}
+                        </span>
+                      </div>
+                      <p className="text-[11px] text-slate-400">
+                        {version.author || "Unknown author"}
+                        {version.comment ? ` — ${version.comment}` : ""}
+                        {version.forkedFrom ? ` (from ${version.forkedFrom})` : ""}
+                      </p>
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        <button
+                          type="button"
+                          onClick={() => restoreVersion(version.version)}
+                          className="rounded-full border border-slate-700 px-2 py-0.5"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => forkVersion(version.version)}
+                          disabled={!forkName.trim() || !can("saveScenario")}
+                          className="rounded-full border border-slate-700 px-2 py-0.5 disabled:opacity-40"
+                        >
+                          Fork
+                        </button>
+                        <label className="flex items-center gap-1 text-[11px] text-slate-400">
+                          <input
+                            type="radio"
+                            name="history-from"
+                            checked={historyDiff.from === version.version}
+                            onChange={() =>
+                              setHistoryDiff((prev) => ({ ...prev, from: version.version }))
+                            }
+                          />
+                          Diff from
+                        </label>
+                        <label className="flex items-center gap-1 text-[11px] text-slate-400">
+                          <input
+                            type="radio"
+                            name="history-to"
+                            checked={historyDiff.to === version.version}
+                            onChange={() =>
+                              setHistoryDiff((prev) => ({ ...prev, to: version.version }))
+                            }
+                          />
+                          to
+                        </label>
+                      </div>
                     </div>
-                  </div>
-                ))}
-              </div>
-            </details>
-
-            <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <summary className="cursor-pointer text-xs text-slate-300">
-                Savings Pipeline {tooltipLabel("Recurring/one-off with confidence weighting")}
-              </summary>
-              <div className="mt-3 grid gap-3 text-xs">
-                {pipeline.map((item, index) => (
-                  <div key={`pipeline-${index}`} className="rounded-lg border border-slate-800 p-3">
-                    <div className="flex items-center justify-between">
-                      <label className="sr-only">Savings initiative name</label>
-                      <input
-                        value={item.name}
+                  ))}
+                  {historyDiff.from !== null && historyDiff.to !== null ? (
+                    <div className="max-h-64 overflow-y-auto rounded-lg border border-slate-800">
+                      <table className="w-full text-left text-[11px]">
+                        <thead className="text-slate-400">
+                          <tr>
+                            <th className="px-2 py-1">Field</th>
+                            <th className="px-2 py-1">v{historyDiff.from}</th>
+                            <th className="px-2 py-1">v{historyDiff.to}</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                          {historyChanges.map((change) => (
+                            <tr key={`diff-${change.path}`}>
+                              <td className="px-2 py-1 break-all">{change.path}</td>
+                              <td className="px-2 py-1">{describeValue(change.from)}</td>
+                              <td className="px-2 py-1">{describeValue(change.to)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {historyChanges.length === 0 ? (
+                        <p className="p-2 text-[11px] text-slate-400">No field differences.</p>
+                      ) : null}
+                    </div>
+                  ) : null}
+                </div>
+              </details>
+
+              {can("manageUsers") ? (
+                <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                  <summary className="cursor-pointer text-xs text-slate-300">
+                    User Accounts {tooltipLabel("Local accounts and roles; viewers see only the Public Summary")}
+                  </summary>
+                  <div className="mt-3 grid gap-2 text-xs text-slate-200">
+                    {users.map((account) => (
+                      <div
+                        key={`user-${account.username}`}
+                        className="flex items-center justify-between rounded-lg border border-slate-800 px-2 py-1"
+                      >
+                        <span>
+                          {account.displayName}{" "}
+                          <span className="text-[11px] text-slate-400">
+                            {account.username} · {userRoles[account.role]}
+                            {vault?.keys?.[account.username] ? "" : " · needs a password"}
+                          </span>
+                        </span>
+                        {account.username !== currentUser.username ? (
+                          <button
+                            type="button"
+                            onClick={() => removeAccount(account.username)}
+                            className="text-[11px] text-rose-300"
+                          >
+                            Remove
+                          </button>
+                        ) : null}
+                      </div>
+                    ))}
+                    <input
+                      value={newAccount.username}
+                      onChange={(event) =>
+                        setNewAccount((prev) => ({ ...prev, username: event.target.value }))
+                      }
+                      placeholder="Username"
+                      aria-label="New account username"
+                      className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    />
+                    <input
+                      value={newAccount.displayName}
+                      onChange={(event) =>
+                        setNewAccount((prev) => ({ ...prev, displayName: event.target.value }))
+                      }
+                      placeholder="Display name"
+                      aria-label="New account display name"
+                      className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    />
+                    <input
+                      type="password"
+                      value={newAccount.password}
+                      onChange={(event) =>
+                        setNewAccount((prev) => ({ ...prev, password: event.target.value }))
+                      }
+                      placeholder={`Initial password (${minPasswordLength}+ characters)`}
+                      aria-label="New account password"
+                      autoComplete="new-password"
+                      className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    />
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={newAccount.role}
                         onChange={(event) =>
-                          updatePipeline(index, "name", event.target.value)
+                          setNewAccount((prev) => ({ ...prev, role: event.target.value }))
                         }
+                        aria-label="New account role"
                         className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        aria-label={`Pipeline name ${index + 1}`}
-                      />
+                      >
+                        {Object.entries(userRoles).map(([key, label]) => (
+                          <option key={`role-${key}`} value={key}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
                       <button
                         type="button"
-                        onClick={() => removePipelineItem(index)}
-                        className="ml-2 text-xs text-rose-300"
+                        onClick={addAccount}
+                        className="rounded-full border border-slate-700 px-3 py-1"
                       >
-                        Remove
+                        Add
                       </button>
                     </div>
-                    <div className="mt-2 grid gap-2">
-                      <label className="text-[11px] text-slate-400">Annual savings (£)</label>
-                      <input
-                        type="text"
-                        inputMode="numeric"
-                        value={formatNumber(item.amount)}
-                        onChange={(event) =>
-                          updatePipeline(index, "amount", parseNumber(event.target.value))
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Amount"
-                      />
-                      <label className="text-[11px] text-slate-400">Start year</label>
+                    <div className="flex items-center gap-2">
                       <select
-                        value={item.startYear}
+                        value={passwordReset.username}
                         onChange={(event) =>
-                          updatePipeline(index, "startYear", Number(event.target.value))
+                          setPasswordReset((prev) => ({ ...prev, username: event.target.value }))
                         }
+                        aria-label="Account to reset"
                         className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
                       >
-                        {[1, 2, 3, 4, 5].map((year) => (
-                          <option key={`pipe-year-${year}`} value={year}>
-                            Start Year {year}
+                        <option value="">Reset password for…</option>
+                        {users.map((account) => (
+                          <option key={`reset-${account.username}`} value={account.username}>
+                            {account.username}
                           </option>
                         ))}
                       </select>
-                      <label className="text-[11px] text-slate-400">Delivery type</label>
-                      <select
-                        value={item.recurring ? "recurring" : "oneoff"}
-                        onChange={(event) =>
-                          updatePipeline(
-                            index,
-                            "recurring",
-                            event.target.value === "recurring"
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                      >
-                        <option value="recurring">Recurring</option>
-                        <option value="oneoff">One-off</option>
-                      </select>
-                      <label className="text-[11px] text-slate-400">Confidence (0-1)</label>
                       <input
-                        type="text"
-                        inputMode="decimal"
-                        step="0.05"
-                        min="0"
-                        max="1"
-                        value={item.confidence}
+                        type="password"
+                        value={passwordReset.password}
                         onChange={(event) =>
-                          updatePipeline(index, "confidence", Number(event.target.value))
+                          setPasswordReset((prev) => ({ ...prev, password: event.target.value }))
                         }
+                        placeholder="New password"
+                        aria-label="New password"
+                        autoComplete="new-password"
                         className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Confidence 0-1"
                       />
+                      <button
+                        type="button"
+                        onClick={resetPassword}
+                        className="rounded-full border border-slate-700 px-3 py-1"
+                      >
+                        Set
+                      </button>
                     </div>
+                    {accountMessage ? (
+                      <p className="text-[11px] text-slate-400">{accountMessage}</p>
+                    ) : null}
                   </div>
-                ))}
-                <button
-                  type="button"
-                  onClick={addPipelineItem}
-                  className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
-                >
-                  Add Savings Item
-                </button>
-              </div>
-            </details>
-
-            <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <summary className="cursor-pointer text-xs text-slate-300">
-                Service Assumptions {tooltipLabel("Adjust demand/inflation by service")}
-              </summary>
-              <div className="mt-3 grid gap-3 text-xs">
-                {Object.keys(assumptions.serviceSplits).map((service) => (
-                  <div key={`service-${service}`} className="rounded-lg border border-slate-800 p-3">
-                    <div className="flex items-center justify-between text-slate-200">
-                      <span>{service}</span>
-                      <label className="text-[11px] text-slate-400">Budget split</label>
-                      <input
-                        type="text"
-                        inputMode="decimal"
-                        step="0.05"
-                        value={assumptions.serviceSplits[service]}
-                        onChange={(event) =>
-                          updateSplit(service, Number(event.target.value))
-                        }
-                        className="w-20 rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        aria-label={`${service} split`}
-                      />
-                    </div>
-                    <div className="mt-2 grid gap-2">
-                      <label className="text-[11px] text-slate-400">Inflation adj (%)</label>
-                      <input
-                        type="text"
-                        inputMode="decimal"
-                        step="0.1"
-                        value={assumptions.serviceAssumptions[service]?.inflationAdj ?? 0}
-                        onChange={(event) =>
-                          updateServiceAssumption(
-                            service,
-                            "inflationAdj",
-                            Number(event.target.value)
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Inflation adj %"
-                      />
-                      <label className="text-[11px] text-slate-400">Demand adj (%)</label>
-                      <input
-                        type="text"
-                        inputMode="decimal"
-                        step="0.1"
-                        value={assumptions.serviceAssumptions[service]?.demandAdj ?? 0}
-                        onChange={(event) =>
-                          updateServiceAssumption(
-                            service,
-                            "demandAdj",
-                            Number(event.target.value)
-                          )
-                        }
-                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                        placeholder="Demand adj %"
-                      />
-                    </div>
+                </details>
+              ) : null}
+
+              <div className="mt-6 space-y-5 text-xs text-slate-200">
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span title="Core council tax increase applied to the projected Tax Base">
+                      Core Council Tax % {tooltipLabel(`Referendum limit ${percent(referendumLimits.core)}`)}
+                    </span>
+                    <span
+                      className={
+                        inputs.councilTaxIncrease > referendumLimits.core
+                          ? "text-rose-300"
+                          : "text-slate-300"
+                      }
+                    >
+                      {percent(inputs.councilTaxIncrease)}
+                    </span>
                   </div>
-                ))}
-              </div>
-            </details>
+                  <button
+                    type="button"
+                    onClick={() => openGoalSeek("councilTaxIncrease")}
+                    className="mt-1 flex items-center gap-1 text-[11px] text-sky-300"
+                  >
+                    <Target className="h-3 w-3" />
+                    Goal seek Core Council Tax
+                  </button>
+                  <label className="text-[11px] text-slate-400">0–15%</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="15"
+                    step="0.01"
+                    value={inputs.councilTaxIncrease}
+                    aria-label="Council Tax increase percentage"
+                    onChange={(event) =>
+                      setInputs((prev) => ({
+                        ...prev,
+                        councilTaxIncrease: Number(event.target.value),
+                      }))
+                    }
+                    className="mt-2 w-full accent-sky-400"
+                  />
+                </div>
 
-            <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <summary className="cursor-pointer text-xs text-slate-300">Funding Shock</summary>
-              <div className="mt-2 flex items-center gap-2 text-xs text-slate-200">
-                <label className="flex items-center gap-2">
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span title="Adult social care precept on top of core council tax">
+                      ASC Precept % {tooltipLabel(`Referendum limit ${percent(referendumLimits.ascPrecept)}`)}
+                    </span>
+                    <span
+                      className={
+                        (inputs.ascPrecept ?? 0) > referendumLimits.ascPrecept
+                          ? "text-rose-300"
+                          : "text-slate-300"
+                      }
+                    >
+                      {percent(inputs.ascPrecept ?? 0)}
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => openGoalSeek("ascPrecept")}
+                    className="mt-1 flex items-center gap-1 text-[11px] text-sky-300"
+                  >
+                    <Target className="h-3 w-3" />
+                    Goal seek ASC Precept
+                  </button>
+                  <label className="text-[11px] text-slate-400">0–10%</label>
                   <input
-                    type="checkbox"
-                    checked={fundingShock.enabled}
-                    aria-label="Enable funding shock"
+                    type="range"
+                    min="0"
+                    max="10"
+                    step="0.01"
+                    value={inputs.ascPrecept ?? 0}
+                    aria-label="Adult social care precept percentage"
                     onChange={(event) =>
-                      setFundingShock((prev) => ({
+                      setInputs((prev) => ({
                         ...prev,
-                        enabled: event.target.checked,
+                        ascPrecept: Number(event.target.value),
                       }))
                     }
+                    className="mt-2 w-full accent-sky-400"
                   />
-                  Enable shock
-                </label>
-              </div>
-              <div className="mt-3 grid gap-2">
-                <select
-                  value={fundingShock.yearIndex}
-                  aria-label="Funding shock year"
-                  onChange={(event) =>
-                    setFundingShock((prev) => ({
-                      ...prev,
-                      yearIndex: Number(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs"
-                >
-                  {[0, 1, 2, 3, 4].map((year) => (
-                    <option key={`shock-${year}`} value={year}>
-                      Y{year + 1}
-                    </option>
-                  ))}
-                </select>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(fundingShock.amount)}
-                  aria-label="Funding shock amount"
-                  onChange={(event) =>
-                    setFundingShock((prev) => ({
-                      ...prev,
-                      amount: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs"
-                  placeholder="Shock amount"
-                />
-                <p className="text-[11px] text-slate-400">
-                  Negative values represent funding cuts.
-                </p>
-              </div>
-            </details>
+                </div>
 
-            <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <summary className="cursor-pointer text-xs text-slate-300">
-                Debt & Capital Financing
-              </summary>
-              <div className="mt-3 grid gap-2 text-xs">
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(debt.debtPrincipal)}
-                  aria-label="Debt principal"
-                  onChange={(event) =>
-                    setDebt((prev) => ({
-                      ...prev,
-                      debtPrincipal: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Debt principal"
-                />
-                <input
-                  type="text"
-                  inputMode="decimal"
-                  step="0.1"
-                  value={debt.debtInterestRate}
-                  aria-label="Debt interest rate"
-                  onChange={(event) =>
-                    setDebt((prev) => ({
-                      ...prev,
-                      debtInterestRate: Number(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Debt interest rate %"
-                />
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(debt.annualCapitalFinancing)}
-                  aria-label="Annual capital financing"
-                  onChange={(event) =>
-                    setDebt((prev) => ({
-                      ...prev,
-                      annualCapitalFinancing: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Annual capital financing"
-                />
-              </div>
-            </details>
-
-            <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <summary className="cursor-pointer text-xs text-slate-300">
-                Stress Test {tooltipLabel("Monte Carlo seed + sample size")}
-              </summary>
-              <div className="mt-3 grid gap-2 text-xs">
-                <label className="text-[11px] text-slate-400">Simulations</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(stress.simulations)}
-                  onChange={(event) =>
-                    setStress((prev) => ({
-                      ...prev,
-                      simulations: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Simulations"
-                />
-                <label className="text-[11px] text-slate-400">Random seed</label>
-                <input
-                  type="text"
-                  inputMode="numeric"
-                  value={formatNumber(stress.seed)}
-                  onChange={(event) =>
-                    setStress((prev) => ({
-                      ...prev,
-                      seed: parseNumber(event.target.value),
-                    }))
-                  }
-                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
-                  placeholder="Seed"
-                />
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span title="Annual pay award applied to pay budgets">
+                      Pay Award % {tooltipLabel("Pay award")}
+                    </span>
+                    <span className="text-slate-300">{percent(inputs.payAward)}</span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => openGoalSeek("payAward")}
+                    className="mt-1 flex items-center gap-1 text-[11px] text-sky-300"
+                  >
+                    <Target className="h-3 w-3" />
+                    Goal seek Pay Award
+                  </button>
+                  <label className="text-[11px] text-slate-400">0–10%</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="10"
+                    step="0.1"
+                    value={inputs.payAward}
+                    aria-label="Pay award percentage"
+                    onChange={(event) =>
+                      setInputs((prev) => ({
+                        ...prev,
+                        payAward: Number(event.target.value),
+                      }))
+                    }
+                    className="mt-2 w-full accent-sky-400"
+                  />
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span title="Non-pay inflation on contracts and services">
+                      General Inflation % {tooltipLabel("Price inflation")}
+                    </span>
+                    <span className="text-slate-300">{percent(inputs.generalInflation)}</span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => openGoalSeek("generalInflation")}
+                    className="mt-1 flex items-center gap-1 text-[11px] text-sky-300"
+                  >
+                    <Target className="h-3 w-3" />
+                    Goal seek General Inflation
+                  </button>
+                  <label className="text-[11px] text-slate-400">0–10%</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="10"
+                    step="0.1"
+                    value={inputs.generalInflation}
+                    aria-label="General inflation percentage"
+                    onChange={(event) =>
+                      setInputs((prev) => ({
+                        ...prev,
+                        generalInflation: Number(event.target.value),
+                      }))
+                    }
+                    className="mt-2 w-full accent-sky-400"
+                  />
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span title="Social care demand growth factor">
+                      Social Care Demand Growth {tooltipLabel("Demand growth")}
+                    </span>
+                    <span className="text-slate-300">{percent(inputs.socialCareGrowth)}</span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => openGoalSeek("socialCareGrowth")}
+                    className="mt-1 flex items-center gap-1 text-[11px] text-sky-300"
+                  >
+                    <Target className="h-3 w-3" />
+                    Goal seek Social Care Demand Growth
+                  </button>
+                  <label className="text-[11px] text-slate-400">0–10%</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="10"
+                    step="0.1"
+                    value={inputs.socialCareGrowth}
+                    aria-label="Social care demand growth percentage"
+                    onChange={(event) =>
+                      setInputs((prev) => ({
+                        ...prev,
+                        socialCareGrowth: Number(event.target.value),
+                      }))
+                    }
+                    className="mt-2 w-full accent-sky-400"
+                  />
+                </div>
               </div>
-            </details>
 
-            <div className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
-              <div className="flex items-center gap-2 text-xs text-slate-300">
-                <AlertTriangle className="h-4 w-4 text-amber-400" />
-                Reserves Exhaustion Alert
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">Per-Year Overrides</summary>
+                <div className="mt-3 grid gap-3 text-xs text-slate-200">
+                  {overrides.slice(0, horizon).map((override, index) => (
+                    <div key={`override-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center justify-between">
+                        <span>Y{index + 1}</span>
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={override.enabled}
+                            aria-label={`Enable overrides for year ${index + 1}`}
+                            onChange={(event) =>
+                              updateOverride(index, "enabled", event.target.checked)
+                            }
+                          />
+                          <span className="text-slate-400">Enable</span>
+                        </label>
+                      </div>
+                      <div className="mt-2 grid gap-2">
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          max="15"
+                          value={override.councilTaxIncrease ?? ""}
+                          disabled={!override.enabled}
+                          aria-label={`Year ${index + 1} council tax override`}
+                          onChange={(event) =>
+                            updateOverride(
+                              index,
+                              "councilTaxIncrease",
+                              event.target.value === "" ? null : Number(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Council Tax %"
+                        />
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          max="10"
+                          value={override.ascPrecept ?? ""}
+                          disabled={!override.enabled}
+                          aria-label={`Year ${index + 1} ASC precept override`}
+                          onChange={(event) =>
+                            updateOverride(
+                              index,
+                              "ascPrecept",
+                              event.target.value === "" ? null : Number(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="ASC Precept %"
+                        />
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          max="10"
+                          value={override.payAward ?? ""}
+                          disabled={!override.enabled}
+                          aria-label={`Year ${index + 1} pay award override`}
+                          onChange={(event) =>
+                            updateOverride(
+                              index,
+                              "payAward",
+                              event.target.value === "" ? null : Number(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Pay Award %"
+                        />
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          max="10"
+                          value={override.generalInflation ?? ""}
+                          disabled={!override.enabled}
+                          aria-label={`Year ${index + 1} inflation override`}
+                          onChange={(event) =>
+                            updateOverride(
+                              index,
+                              "generalInflation",
+                              event.target.value === "" ? null : Number(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Inflation %"
+                        />
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          max="10"
+                          value={override.socialCareGrowth ?? ""}
+                          disabled={!override.enabled}
+                          aria-label={`Year ${index + 1} demand override`}
+                          onChange={(event) =>
+                            updateOverride(
+                              index,
+                              "socialCareGrowth",
+                              event.target.value === "" ? null : Number(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Demand Growth %"
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Budget Lines {tooltipLabel("Pay, non-pay and income shares of the base")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  {budgetLines.map((line, index) => (
+                    <div key={`budget-line-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center justify-between">
+                        <input
+                          value={line.name}
+                          onChange={(event) => updateBudgetLine(index, "name", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`Budget line name ${index + 1}`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeBudgetLine(index)}
+                          className="ml-2 text-xs text-rose-300"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">
+                          Share of base (negative for income)
+                        </label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          value={line.share}
+                          onChange={(event) =>
+                            updateBudgetLine(index, "share", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${line.name} share of base`}
+                        />
+                        <label className="text-[11px] text-slate-400">Inflation index</label>
+                        <select
+                          value={line.index}
+                          onChange={(event) => updateBudgetLine(index, "index", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${line.name} inflation index`}
+                        >
+                          {Object.entries(budgetIndices).map(([key, label]) => (
+                            <option key={`index-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                        {line.index === "fixed" ? (
+                          <>
+                            <label className="text-[11px] text-slate-400">Contract rate (%)</label>
+                            <input
+                              type="text"
+                              inputMode="decimal"
+                              value={line.rate ?? 0}
+                              onChange={(event) =>
+                                updateBudgetLine(index, "rate", Number(event.target.value))
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                              aria-label={`${line.name} contract rate`}
+                            />
+                          </>
+                        ) : null}
+                      </div>
+                    </div>
+                  ))}
+                  <p
+                    className={`text-[11px] ${
+                      Math.abs(budgetShareTotal - 1) > 0.001 ? "text-amber-300" : "text-slate-400"
+                    }`}
+                  >
+                    Shares total {percent(budgetShareTotal * 100)} of the net base (target 100%).
+                  </p>
+                  <button
+                    type="button"
+                    onClick={addBudgetLine}
+                    className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                  >
+                    Add Budget Line
+                  </button>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Council Tax Base & Collection {tooltipLabel("Growth, CTS and collection fund")}
+                </summary>
+                <div className="mt-3 grid gap-2 text-xs">
+                  <label className="text-[11px] text-slate-400">New housing growth (% a year)</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={councilTax.newHousingGrowth ?? 0}
+                    onChange={(event) =>
+                      updateCouncilTax("newHousingGrowth", Number(event.target.value))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="New housing tax base growth"
+                  />
+                  <label className="text-[11px] text-slate-400">Band mix change (% a year)</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={councilTax.bandMixGrowth ?? 0}
+                    onChange={(event) =>
+                      updateCouncilTax("bandMixGrowth", Number(event.target.value))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="Band mix tax base growth"
+                  />
+                  <label className="text-[11px] text-slate-400">Collection rate (%)</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={councilTax.collectionRate ?? 100}
+                    onChange={(event) =>
+                      updateCouncilTax("collectionRate", Number(event.target.value))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="Council tax collection rate"
+                  />
+                  <label className="text-[11px] text-slate-400">
+                    Council tax support (% of gross yield)
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={councilTax.supportSchemeRate ?? 0}
+                    onChange={(event) =>
+                      updateCouncilTax("supportSchemeRate", Number(event.target.value))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="Council tax support scheme cost"
+                  />
+                  <label className="text-[11px] text-slate-400">
+                    Referendum limit: core council tax (%)
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={assumptions.referendumLimits?.core ?? ""}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        referendumLimits: {
+                          ...(prev.referendumLimits ?? {}),
+                          core: Number(event.target.value),
+                        },
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="Core council tax referendum limit"
+                  />
+                  <label className="text-[11px] text-slate-400">
+                    Referendum limit: ASC precept (%)
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={assumptions.referendumLimits?.ascPrecept ?? ""}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        referendumLimits: {
+                          ...(prev.referendumLimits ?? {}),
+                          ascPrecept: Number(event.target.value),
+                        },
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="ASC precept referendum limit"
+                  />
+                  <label className="text-[11px] text-slate-400">
+                    Collection fund surplus / (deficit) (£)
+                  </label>
+                  {horizonYearOptions.map((year) => (
+                    <div key={`collection-fund-${year}`} className="grid grid-cols-[32px_1fr] items-center gap-2">
+                      <span className="text-slate-400">Y{year + 1}</span>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        value={formatNumber(councilTax.collectionFund?.[year] ?? 0)}
+                        onChange={(event) =>
+                          updateCollectionFund(year, parseNumber(event.target.value))
+                        }
+                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        aria-label={`Year ${year + 1} collection fund surplus or deficit`}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Savings Pipeline {tooltipLabel("Phased recurring/one-off savings with confidence weighting")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  <label className="text-[11px] text-slate-400">
+                    Slippage (% of each year&apos;s savings delivered a year late)
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={assumptions.savingsSlippage ?? 0}
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({
+                        ...prev,
+                        savingsSlippage: Number(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    aria-label="Savings slippage percentage"
+                  />
+                  {pipeline.map((item, index) => (
+                    <div key={`pipeline-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center justify-between">
+                        <label className="sr-only">Savings initiative name</label>
+                        <input
+                          value={item.name}
+                          onChange={(event) =>
+                            updatePipeline(index, "name", event.target.value)
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`Pipeline name ${index + 1}`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removePipelineItem(index)}
+                          className="ml-2 text-xs text-rose-300"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">Annual savings (£)</label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={formatNumber(item.amount)}
+                          onChange={(event) =>
+                            updatePipeline(index, "amount", parseNumber(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Amount"
+                        />
+                        <label className="text-[11px] text-slate-400">Start year</label>
+                        <select
+                          value={item.startYear}
+                          onChange={(event) =>
+                            updatePipeline(index, "startYear", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          {horizonYearOptions.map((idx) => (
+                            <option key={`pipe-year-${idx + 1}`} value={idx + 1}>
+                              Start Year {idx + 1}
+                            </option>
+                          ))}
+                        </select>
+                        <label className="text-[11px] text-slate-400">Delivery type</label>
+                        <select
+                          value={item.recurring ? "recurring" : "oneoff"}
+                          onChange={(event) =>
+                            updatePipeline(
+                              index,
+                              "recurring",
+                              event.target.value === "recurring"
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          <option value="recurring">Recurring</option>
+                          <option value="oneoff">One-off</option>
+                        </select>
+                        <label className="text-[11px] text-slate-400">Confidence (0-1)</label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          step="0.05"
+                          min="0"
+                          max="1"
+                          value={item.confidence}
+                          onChange={(event) =>
+                            updatePipeline(index, "confidence", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Confidence 0-1"
+                        />
+                        {item.recurring ? (
+                          <>
+                            <label className="text-[11px] text-slate-400">
+                              Ramp-up (share of full saving by year)
+                            </label>
+                            {horizonYearOptions
+                              .filter((year) => year + 1 >= item.startYear)
+                              .map((year) => {
+                                const step = year + 1 - item.startYear;
+                                const phasing = item.phasing?.length ? item.phasing : [1];
+                                return (
+                                  <div
+                                    key={`phasing-${index}-${year}`}
+                                    className="grid grid-cols-[32px_1fr] items-center gap-2"
+                                  >
+                                    <span className="text-slate-400">Y{year + 1}</span>
+                                    <input
+                                      type="text"
+                                      inputMode="decimal"
+                                      value={phasing[Math.min(step, phasing.length - 1)]}
+                                      onChange={(event) =>
+                                        updatePhasing(index, step, Number(event.target.value))
+                                      }
+                                      className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                      aria-label={`${item.name} year ${year + 1} phasing`}
+                                    />
+                                  </div>
+                                );
+                              })}
+                          </>
+                        ) : null}
+                        <label className="text-[11px] text-slate-400">
+                          One-off implementation cost (£, start year)
+                        </label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={formatNumber(item.implementationCost ?? 0)}
+                          onChange={(event) =>
+                            updatePipeline(
+                              index,
+                              "implementationCost",
+                              parseNumber(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${item.name} implementation cost`}
+                        />
+                        <label className="text-[11px] text-slate-400">Implementation funded by</label>
+                        <select
+                          value={item.implementationFunding ?? "revenue"}
+                          onChange={(event) =>
+                            updatePipeline(index, "implementationFunding", event.target.value)
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${item.name} implementation funding`}
+                        >
+                          {Object.entries(implementationFunding).map(([key, label]) => (
+                            <option key={`impl-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={addPipelineItem}
+                    className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                  >
+                    Add Savings Item
+                  </button>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Savings Tracker {tooltipLabel("Delivery RAG, ownership and actuals")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  <label className="flex items-center gap-2 text-slate-200">
+                    <input
+                      type="checkbox"
+                      checked={assumptions.useSavingsActuals ?? false}
+                      aria-label="Use savings actuals in projection"
+                      onChange={(event) =>
+                        setAssumptions((prev) => ({
+                          ...prev,
+                          useSavingsActuals: event.target.checked,
+                        }))
+                      }
+                    />
+                    Use actuals in place of plan where recorded
+                  </label>
+                  {pipeline.map((item, index) => (
+                    <div key={`tracker-edit-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <p className="text-slate-200">{item.name}</p>
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">Directorate</label>
+                        <input
+                          value={item.directorate ?? ""}
+                          onChange={(event) =>
+                            updatePipeline(index, "directorate", event.target.value)
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${item.name} directorate`}
+                        />
+                        <label className="text-[11px] text-slate-400">Owner</label>
+                        <input
+                          value={item.owner ?? ""}
+                          onChange={(event) => updatePipeline(index, "owner", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${item.name} owner`}
+                        />
+                        <label className="text-[11px] text-slate-400">Delivery RAG</label>
+                        <select
+                          value={item.deliveryRag ?? "Green"}
+                          onChange={(event) =>
+                            updatePipeline(index, "deliveryRag", event.target.value)
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${item.name} delivery RAG`}
+                        >
+                          {deliveryRagOptions.map((option) => (
+                            <option key={`rag-${option}`} value={option}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
+                        <label className="text-[11px] text-slate-400">
+                          Actual delivered to date (£, blank if none)
+                        </label>
+                        {horizonYearOptions.map((year) => (
+                          <div key={`actual-${index}-${year}`} className="grid grid-cols-[32px_1fr] items-center gap-2">
+                            <span className="text-slate-400">Y{year + 1}</span>
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              value={
+                                Number.isFinite(item.actuals?.[year])
+                                  ? formatNumber(item.actuals[year])
+                                  : ""
+                              }
+                              onChange={(event) =>
+                                updateActual(
+                                  index,
+                                  year,
+                                  event.target.value.trim() === ""
+                                    ? null
+                                    : parseNumber(event.target.value)
+                                )
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                              aria-label={`${item.name} year ${year + 1} actual`}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Services {tooltipLabel("Add, rename or remove directorates and set their assumptions")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  <label className="text-[11px] text-slate-400">Service model</label>
+                  <select
+                    value={assumptions.serviceModel ?? "topDown"}
+                    aria-label="Service model"
+                    onChange={(event) =>
+                      setAssumptions((prev) => ({ ...prev, serviceModel: event.target.value }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                  >
+                    {Object.entries(serviceModels).map(([key, label]) => (
+                      <option key={`model-${key}`} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {services.map((service, index) => (
+                    <div key={`service-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center justify-between gap-2">
+                        <input
+                          value={serviceNameDrafts[index] ?? service.name}
+                          onChange={(event) => {
+                            const value = event.target.value;
+                            setServiceNameDrafts((prev) => ({ ...prev, [index]: value }));
+                            setServiceNameErrors((prev) => ({ ...prev, [index]: "" }));
+                          }}
+                          onBlur={() => commitServiceName(index)}
+                          onKeyDown={(event) => {
+                            if (event.key === "Enter") commitServiceName(index);
+                          }}
+                          className={`w-full rounded-md border bg-slate-950 px-2 py-1 text-slate-200 ${
+                            serviceNameErrors[index] ? "border-rose-500" : "border-slate-700"
+                          }`}
+                          aria-label="Service name"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeService(index)}
+                          disabled={services.length <= 1}
+                          className="rounded-md border border-slate-700 px-2 py-1 text-slate-300 disabled:opacity-40"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                      {serviceNameErrors[index] ? (
+                        <p className="mt-1 text-[11px] text-rose-300">
+                          {serviceNameErrors[index]}{" "}
+                          The name stays &quot;{service.name}&quot; until this is fixed.
+                        </p>
+                      ) : null}
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">Budget split (0–1)</label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          step="0.05"
+                          value={service.split}
+                          onChange={(event) =>
+                            updateService(index, "split", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${service.name} split`}
+                        />
+                        <label className="text-[11px] text-slate-400">Inflation adj (%)</label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          step="0.1"
+                          value={service.inflationAdj ?? 0}
+                          onChange={(event) =>
+                            updateService(index, "inflationAdj", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Inflation adj %"
+                        />
+                        <label className="text-[11px] text-slate-400">Demand adj (%)</label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          step="0.1"
+                          value={service.demandAdj ?? 0}
+                          onChange={(event) =>
+                            updateService(index, "demandAdj", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          placeholder="Demand adj %"
+                        />
+                        <label className="text-[11px] text-slate-400">
+                          Demand driver {tooltipLabel("Adults and Children default to client cohorts, which replace their share of the lump-sum demand pressure")}
+                        </label>
+                        <select
+                          value={service.demandDriver ?? "socialCareGrowth"}
+                          onChange={(event) =>
+                            updateService(index, "demandDriver", event.target.value)
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${service.name} demand driver`}
+                        >
+                          {Object.entries(serviceDemandDrivers).map(([key, label]) => (
+                            <option key={`${index}-driver-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      {service.demandDriver === "cohorts" ? (
+                        <div className="mt-3 grid gap-2 border-t border-slate-800 pt-3">
+                          <p className="text-[11px] text-slate-400">
+                            Client cohorts (annual unit cost per client)
+                          </p>
+                          {(service.cohorts ?? []).map((cohort, cohortIndex) => (
+                            <div
+                              key={`cohort-${index}-${cohortIndex}`}
+                              className="grid gap-2 rounded-md border border-slate-800 p-2"
+                            >
+                              <div className="flex items-center gap-2">
+                                <input
+                                  value={cohort.name}
+                                  onChange={(event) =>
+                                    updateCohort(index, cohortIndex, "name", event.target.value)
+                                  }
+                                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                  aria-label="Cohort name"
+                                />
+                                <button
+                                  type="button"
+                                  onClick={() => removeCohort(index, cohortIndex)}
+                                  className="rounded-md border border-slate-700 px-2 py-1 text-slate-300"
+                                >
+                                  Remove
+                                </button>
+                              </div>
+                              <div className="grid grid-cols-2 gap-2">
+                                <input
+                                  type="text"
+                                  inputMode="numeric"
+                                  value={formatNumber(cohort.volume ?? 0)}
+                                  onChange={(event) =>
+                                    updateCohort(index, cohortIndex, "volume", parseNumber(event.target.value))
+                                  }
+                                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                  aria-label={`${cohort.name} volume`}
+                                  placeholder="Clients"
+                                />
+                                <input
+                                  type="number"
+                                  step="0.1"
+                                  value={cohort.demographicGrowth ?? 0}
+                                  onChange={(event) =>
+                                    updateCohort(
+                                      index,
+                                      cohortIndex,
+                                      "demographicGrowth",
+                                      Number(event.target.value)
+                                    )
+                                  }
+                                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                  aria-label={`${cohort.name} demographic growth`}
+                                  placeholder="Growth %"
+                                />
+                                <input
+                                  type="text"
+                                  inputMode="numeric"
+                                  value={formatNumber(cohort.unitCost ?? 0)}
+                                  onChange={(event) =>
+                                    updateCohort(index, cohortIndex, "unitCost", parseNumber(event.target.value))
+                                  }
+                                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                  aria-label={`${cohort.name} unit cost`}
+                                  placeholder="Unit cost"
+                                />
+                                <input
+                                  type="number"
+                                  step="0.1"
+                                  value={cohort.unitCostInflation ?? 0}
+                                  onChange={(event) =>
+                                    updateCohort(
+                                      index,
+                                      cohortIndex,
+                                      "unitCostInflation",
+                                      Number(event.target.value)
+                                    )
+                                  }
+                                  className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                  aria-label={`${cohort.name} unit cost inflation`}
+                                  placeholder="Cost inflation %"
+                                />
+                              </div>
+                            </div>
+                          ))}
+                          <button
+                            type="button"
+                            onClick={() => addCohort(index)}
+                            className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                          >
+                            Add Cohort
+                          </button>
+                        </div>
+                      ) : null}
+                      {bottomUpServices ? (
+                        <div className="mt-3 grid gap-2 border-t border-slate-800 pt-3">
+                          <label className="text-[11px] text-slate-400">Base budget (£)</label>
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={formatNumber(service.baseBudget ?? 0)}
+                            onChange={(event) =>
+                              updateService(index, "baseBudget", parseNumber(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            aria-label={`${service.name} base budget`}
+                          />
+                          <label className="text-[11px] text-slate-400">Pay share (0–1)</label>
+                          <input
+                            type="number"
+                            step="0.05"
+                            min="0"
+                            max="1"
+                            value={service.payShare ?? 0}
+                            onChange={(event) =>
+                              updateService(index, "payShare", Number(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            aria-label={`${service.name} pay share`}
+                          />
+                          {service.demandDriver === "fixed" ? (
+                            <>
+                              <label className="text-[11px] text-slate-400">Demand growth (%)</label>
+                              <input
+                                type="number"
+                                step="0.1"
+                                value={service.demandGrowth ?? 0}
+                                onChange={(event) =>
+                                  updateService(index, "demandGrowth", Number(event.target.value))
+                                }
+                                className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                aria-label={`${service.name} demand growth`}
+                              />
+                            </>
+                          ) : null}
+                          {service.demandDriver !== "cohorts" ? (
+                            <>
+                              <label className="text-[11px] text-slate-400">Demand pressure (£)</label>
+                              <input
+                                type="text"
+                                inputMode="numeric"
+                                value={formatNumber(service.demandBase ?? 0)}
+                                onChange={(event) =>
+                                  updateService(index, "demandBase", parseNumber(event.target.value))
+                                }
+                                className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                                aria-label={`${service.name} demand pressure`}
+                              />
+                            </>
+                          ) : null}
+                          <label className="text-[11px] text-slate-400">Annual savings (£)</label>
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={formatNumber(service.savings ?? 0)}
+                            onChange={(event) =>
+                              updateService(index, "savings", parseNumber(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            aria-label={`${service.name} annual savings`}
+                          />
+                        </div>
+                      ) : null}
+                    </div>
+                  ))}
+                  <p
+                    className={`text-[11px] ${
+                      Math.abs(splitTotal - 1) > 0.001 ? "text-amber-300" : "text-slate-400"
+                    }`}
+                  >
+                    Splits total {percent(splitTotal * 100)} (must equal 100%).
+                  </p>
+                  <button
+                    type="button"
+                    onClick={addService}
+                    className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                  >
+                    Add Service
+                  </button>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Reserves {tooltipLabel("General fund and earmarked reserves")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  {reserves.map((reserve, index) => (
+                    <div key={`reserve-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center justify-between">
+                        <input
+                          value={reserve.name}
+                          onChange={(event) => updateReserve(index, "name", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`Reserve name ${index + 1}`}
+                        />
+                        {reserve.type === "general" ? (
+                          <span className="ml-2 text-[11px] text-slate-400">General</span>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => removeReserve(index)}
+                            className="ml-2 text-xs text-rose-300"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">Opening balance (£)</label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={formatNumber(reserve.opening)}
+                          onChange={(event) =>
+                            updateReserve(index, "opening", parseNumber(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${reserve.name} opening balance`}
+                        />
+                        <label className="text-[11px] text-slate-400">Minimum prudent balance (£)</label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={formatNumber(reserve.minimumBalance)}
+                          onChange={(event) =>
+                            updateReserve(
+                              index,
+                              "minimumBalance",
+                              parseNumber(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${reserve.name} minimum balance`}
+                        />
+                        <label className="text-[11px] text-slate-400">
+                          Gap priority (1 = drawn first, blank = ring-fenced)
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={reserve.gapPriority ?? ""}
+                          onChange={(event) =>
+                            updateReserve(
+                              index,
+                              "gapPriority",
+                              event.target.value === "" ? null : Number(event.target.value)
+                            )
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${reserve.name} gap priority`}
+                        />
+                        <label className="text-[11px] text-slate-400">
+                          Planned contributions / drawdowns (£)
+                        </label>
+                        {horizonYearOptions.map((year) => (
+                          <div key={`reserve-${index}-y${year}`} className="grid grid-cols-[32px_1fr_1fr] items-center gap-2">
+                            <span className="text-slate-400">Y{year + 1}</span>
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              value={formatNumber(reserve.contributions?.[year] ?? 0)}
+                              onChange={(event) =>
+                                updateReserveMovement(
+                                  index,
+                                  "contributions",
+                                  year,
+                                  parseNumber(event.target.value)
+                                )
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                              aria-label={`${reserve.name} year ${year + 1} contribution`}
+                              placeholder="Contribution"
+                            />
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              value={formatNumber(reserve.drawdowns?.[year] ?? 0)}
+                              onChange={(event) =>
+                                updateReserveMovement(
+                                  index,
+                                  "drawdowns",
+                                  year,
+                                  parseNumber(event.target.value)
+                                )
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                              aria-label={`${reserve.name} year ${year + 1} drawdown`}
+                              placeholder="Drawdown"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={addReserve}
+                    className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                  >
+                    Add Earmarked Reserve
+                  </button>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Funding Shocks {tooltipLabel("Named one-off or recurring changes to funding")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  {fundingShocks.map((shock, index) => (
+                    <div key={`shock-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={shock.enabled}
+                          aria-label={`Enable ${shock.name}`}
+                          onChange={(event) =>
+                            updateFundingShock(index, "enabled", event.target.checked)
+                          }
+                        />
+                        <input
+                          value={shock.name}
+                          onChange={(event) => updateFundingShock(index, "name", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label="Funding shock name"
+                        />
+                      </div>
+                      <div className="mt-2 grid grid-cols-2 gap-2">
+                        <select
+                          value={shock.yearIndex}
+                          aria-label={`${shock.name} start year`}
+                          onChange={(event) =>
+                            updateFundingShock(index, "yearIndex", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          {horizonYearOptions.map((year) => (
+                            <option key={`shock-${index}-${year}`} value={year}>
+                              Y{year + 1}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={shock.recurring ? "recurring" : "oneOff"}
+                          aria-label={`${shock.name} duration`}
+                          onChange={(event) =>
+                            updateFundingShock(index, "recurring", event.target.value === "recurring")
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          <option value="oneOff">One-off</option>
+                          <option value="recurring">Permanent from start</option>
+                        </select>
+                        <select
+                          value={shock.basis ?? "amount"}
+                          aria-label={`${shock.name} basis`}
+                          onChange={(event) => updateFundingShock(index, "basis", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          <option value="amount">Amount (£)</option>
+                          <option value="percent">% of stream</option>
+                        </select>
+                        <select
+                          value={shock.stream ?? "total"}
+                          aria-label={`${shock.name} funding stream`}
+                          onChange={(event) => updateFundingShock(index, "stream", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          {Object.entries(fundingStreams).map(([key, label]) => (
+                            <option key={`stream-${key}`} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="mt-2 flex items-center gap-2">
+                        {shock.basis === "percent" ? (
+                          <input
+                            type="number"
+                            step="0.5"
+                            value={shock.percent ?? 0}
+                            aria-label={`${shock.name} percent`}
+                            onChange={(event) =>
+                              updateFundingShock(index, "percent", Number(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            placeholder="% change"
+                          />
+                        ) : (
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={formatNumber(shock.amount)}
+                            aria-label={`${shock.name} amount`}
+                            onChange={(event) =>
+                              updateFundingShock(index, "amount", parseNumber(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            placeholder="Shock amount"
+                          />
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => removeFundingShock(index)}
+                          className="rounded-md border border-slate-700 px-2 py-1 text-slate-300"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-[11px] text-slate-400">
+                    Negative values represent funding cuts.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={addFundingShock}
+                    className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                  >
+                    Add Funding Shock
+                  </button>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Funding Reform {tooltipLabel("Toggleable reform layers on top of the funding growth rates")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  {Object.entries(fundingReforms).map(([key, label]) => (
+                    <div key={`reform-${key}`} className="rounded-lg border border-slate-800 p-3">
+                      <label className="flex items-center gap-2 text-slate-200">
+                        <input
+                          type="checkbox"
+                          checked={fundingReform[key].enabled}
+                          aria-label={`Enable ${label}`}
+                          onChange={(event) =>
+                            updateFundingReform(key, "enabled", event.target.checked)
+                          }
+                        />
+                        {label}
+                      </label>
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">Start year</label>
+                        <select
+                          value={fundingReform[key].yearIndex}
+                          aria-label={`${label} start year`}
+                          onChange={(event) =>
+                            updateFundingReform(key, "yearIndex", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                        >
+                          {horizonYearOptions.map((year) => (
+                            <option key={`reform-${key}-${year}`} value={year}>
+                              Y{year + 1}
+                            </option>
+                          ))}
+                        </select>
+                        {key === "ratesReset" ? (
+                          <>
+                            <label className="text-[11px] text-slate-400">
+                              Growth retained at reset (%)
+                            </label>
+                            <input
+                              type="number"
+                              step="5"
+                              value={fundingReform.ratesReset.growthRetained}
+                              aria-label="Business rates growth retained"
+                              onChange={(event) =>
+                                updateFundingReform(key, "growthRetained", Number(event.target.value))
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            />
+                            <label className="text-[11px] text-slate-400">
+                              Baseline change at reset (%)
+                            </label>
+                            <input
+                              type="number"
+                              step="0.5"
+                              value={fundingReform.ratesReset.baselineChange}
+                              aria-label="Business rates baseline change"
+                              onChange={(event) =>
+                                updateFundingReform(key, "baselineChange", Number(event.target.value))
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            />
+                          </>
+                        ) : null}
+                        {key === "needsRedistribution" ? (
+                          <>
+                            <label className="text-[11px] text-slate-400">
+                              Full change in core funding (£)
+                            </label>
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              value={formatNumber(fundingReform.needsRedistribution.change)}
+                              aria-label="Needs redistribution change"
+                              onChange={(event) =>
+                                updateFundingReform(key, "change", parseNumber(event.target.value))
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            />
+                            <label className="text-[11px] text-slate-400">
+                              Damping path (% of change by year)
+                            </label>
+                            <input
+                              key={(fundingReform.needsRedistribution.damping ?? []).join(",")}
+                              defaultValue={(fundingReform.needsRedistribution.damping ?? []).join(", ")}
+                              aria-label="Needs redistribution damping"
+                              onBlur={(event) =>
+                                updateFundingReform(
+                                  key,
+                                  "damping",
+                                  event.target.value
+                                    .split(",")
+                                    .filter((value) => value.trim() !== "")
+                                    .map(Number)
+                                    .filter((value) => Number.isFinite(value))
+                                )
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            />
+                          </>
+                        ) : null}
+                        {key === "grantRollover" ? (
+                          <>
+                            <label className="text-[11px] text-slate-400">
+                              Share of other grants rolled in (%)
+                            </label>
+                            <input
+                              type="number"
+                              step="5"
+                              value={fundingReform.grantRollover.share}
+                              aria-label="Grant rollover share"
+                              onChange={(event) =>
+                                updateFundingReform(key, "share", Number(event.target.value))
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                            />
+                          </>
+                        ) : null}
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-[11px] text-slate-400">
+                    Rolled-in grants take the Revenue Support Grant growth rate from the rollover year.
+                  </p>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Debt & Capital Financing
+                </summary>
+                <div className="mt-3 grid gap-2 text-xs">
+                  <label className="text-[11px] text-slate-400">Existing debt principal (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(debt.debtPrincipal)}
+                    aria-label="Debt principal"
+                    onChange={(event) =>
+                      setDebt((prev) => ({
+                        ...prev,
+                        debtPrincipal: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Debt principal"
+                  />
+                  <label className="text-[11px] text-slate-400">Existing debt interest rate (%)</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    step="0.1"
+                    value={debt.debtInterestRate}
+                    aria-label="Debt interest rate"
+                    onChange={(event) =>
+                      setDebt((prev) => ({
+                        ...prev,
+                        debtInterestRate: Number(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Debt interest rate %"
+                  />
+                  <label className="text-[11px] text-slate-400">Existing MRP / capital financing (£)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(debt.annualCapitalFinancing)}
+                    aria-label="Annual capital financing"
+                    onChange={(event) =>
+                      setDebt((prev) => ({
+                        ...prev,
+                        annualCapitalFinancing: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Annual capital financing"
+                  />
+                  <label className="text-[11px] text-slate-400">New borrowing rate (%, PWLB)</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    step="0.1"
+                    value={debt.newBorrowingRate ?? 0}
+                    aria-label="New borrowing interest rate"
+                    onChange={(event) =>
+                      setDebt((prev) => ({
+                        ...prev,
+                        newBorrowingRate: Number(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="New borrowing rate %"
+                  />
+                  <label className="text-[11px] text-slate-400">MRP policy</label>
+                  <select
+                    value={debt.mrpPolicy ?? "assetLife"}
+                    aria-label="MRP policy"
+                    onChange={(event) =>
+                      setDebt((prev) => ({
+                        ...prev,
+                        mrpPolicy: event.target.value,
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                  >
+                    {Object.entries(mrpPolicies).map(([key, label]) => (
+                      <option key={`mrp-${key}`} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <p className="mt-4 text-xs text-slate-300">
+                  Capital Programme {tooltipLabel("Borrowing share = 1 - grant - receipts")}
+                </p>
+                <div className="mt-2 grid gap-3 text-xs">
+                  {capitalProgramme.map((scheme, index) => (
+                    <div key={`scheme-${index}`} className="rounded-lg border border-slate-800 p-3">
+                      <div className="flex items-center justify-between">
+                        <input
+                          value={scheme.name}
+                          onChange={(event) => updateScheme(index, "name", event.target.value)}
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`Capital scheme name ${index + 1}`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeScheme(index)}
+                          className="ml-2 text-xs text-rose-300"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                      <div className="mt-2 grid gap-2">
+                        <label className="text-[11px] text-slate-400">Spend profile (£)</label>
+                        {horizonYearOptions.map((year) => (
+                          <div key={`scheme-${index}-y${year}`} className="grid grid-cols-[32px_1fr] items-center gap-2">
+                            <span className="text-slate-400">Y{year + 1}</span>
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              value={formatNumber(scheme.spend?.[year] ?? 0)}
+                              onChange={(event) =>
+                                updateSchemeSpend(index, year, parseNumber(event.target.value))
+                              }
+                              className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                              aria-label={`${scheme.name} year ${year + 1} spend`}
+                            />
+                          </div>
+                        ))}
+                        <label className="text-[11px] text-slate-400">Grant funded share (0-1)</label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          value={scheme.grantShare ?? 0}
+                          onChange={(event) =>
+                            updateScheme(index, "grantShare", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${scheme.name} grant share`}
+                        />
+                        <label className="text-[11px] text-slate-400">Capital receipts share (0-1)</label>
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          value={scheme.receiptsShare ?? 0}
+                          onChange={(event) =>
+                            updateScheme(index, "receiptsShare", Number(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${scheme.name} receipts share`}
+                        />
+                        <label className="text-[11px] text-slate-400">Asset life (years)</label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={scheme.assetLife ?? 25}
+                          onChange={(event) =>
+                            updateScheme(index, "assetLife", parseNumber(event.target.value))
+                          }
+                          className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          aria-label={`${scheme.name} asset life`}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={addScheme}
+                    className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-200"
+                  >
+                    Add Capital Scheme
+                  </button>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Balance Solver {tooltipLabel("Target, lever bounds and priorities for the balanced budget plan")}
+                </summary>
+                <div className="mt-3 grid gap-2 text-xs">
+                  <label className="text-[11px] text-slate-400">Target</label>
+                  <select
+                    value={solverOptions.target}
+                    onChange={(event) =>
+                      setSolverOptions((prev) => ({ ...prev, target: event.target.value }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                  >
+                    {Object.entries(solverTargets).map(([key, label]) => (
+                      <option key={`solver-target-${key}`} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {solverOptions.target === "reserves" ? (
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="text-[11px] text-slate-400">
+                        Year N
+                        <input
+                          type="number"
+                          min="1"
+                          max={horizon}
+                          value={solverOptions.targetYear}
+                          onChange={(event) =>
+                            setSolverOptions((prev) => ({
+                              ...prev,
+                              targetYear: Number(event.target.value),
+                            }))
+                          }
+                          className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                        />
+                      </label>
+                      <label className="text-[11px] text-slate-400">
+                        Minimum usable reserves
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={formatNumber(solverOptions.minimumReserves)}
+                          onChange={(event) =>
+                            setSolverOptions((prev) => ({
+                              ...prev,
+                              minimumReserves: parseNumber(event.target.value),
+                            }))
+                          }
+                          className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                        />
+                      </label>
+                    </div>
+                  ) : null}
+                  {solverOptions.levers.map((lever) => (
+                    <div key={`lever-${lever.key}`} className="rounded-lg border border-slate-800 p-2">
+                      <label className="flex items-center gap-2 text-slate-200">
+                        <input
+                          type="checkbox"
+                          checked={lever.enabled}
+                          aria-label={`Use ${solverLevers[lever.key]}`}
+                          onChange={(event) =>
+                            updateSolverLever(lever.key, "enabled", event.target.checked)
+                          }
+                        />
+                        {solverLevers[lever.key]}
+                      </label>
+                      <div className="mt-2 grid grid-cols-3 gap-2">
+                        <label className="text-[11px] text-slate-400">
+                          Priority
+                          <input
+                            type="number"
+                            min="1"
+                            value={lever.priority}
+                            onChange={(event) =>
+                              updateSolverLever(lever.key, "priority", Number(event.target.value))
+                            }
+                            className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                          />
+                        </label>
+                        {lever.key === "councilTax" ? (
+                          <>
+                            <label className="text-[11px] text-slate-400">
+                              Min core %
+                              <input
+                                type="number"
+                                step="0.1"
+                                value={lever.min ?? 0}
+                                onChange={(event) =>
+                                  updateSolverLever(lever.key, "min", Number(event.target.value))
+                                }
+                                className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                              />
+                            </label>
+                            <label className="text-[11px] text-slate-400">
+                              Max core %
+                              <input
+                                type="number"
+                                step="0.1"
+                                value={lever.max ?? referendumLimits.core}
+                                onChange={(event) =>
+                                  updateSolverLever(lever.key, "max", Number(event.target.value))
+                                }
+                                className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                              />
+                            </label>
+                          </>
+                        ) : (
+                          <>
+                            <label className="text-[11px] text-slate-400">
+                              Min / year
+                              <input
+                                type="text"
+                                inputMode="numeric"
+                                value={formatNumber(lever.min ?? 0)}
+                                onChange={(event) =>
+                                  updateSolverLever(lever.key, "min", parseNumber(event.target.value))
+                                }
+                                className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                              />
+                            </label>
+                            <label className="text-[11px] text-slate-400">
+                              Max / year
+                              <input
+                                type="text"
+                                inputMode="numeric"
+                                value={formatNumber(lever.max ?? 0)}
+                                onChange={(event) =>
+                                  updateSolverLever(lever.key, "max", parseNumber(event.target.value))
+                                }
+                                className="mt-1 w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-slate-100"
+                              />
+                            </label>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-[11px] text-slate-400">
+                    Council tax is capped at the referendum limit, then the ASC precept
+                    is raised to its cap. Reserves drawdown stays above minimum balances.
+                  </p>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Sensitivity {tooltipLabel("Drivers and low/high ranges for the tornado and two-way table")}
+                </summary>
+                <div className="mt-3 grid gap-3 text-xs">
+                  {sensitivityDrivers.map((driver) => {
+                    const range = {
+                      ...driver.range,
+                      ...(sensitivityOptions.ranges[driver.key] ?? {}),
+                    };
+                    return (
+                      <div key={`sens-${driver.key}`} className="rounded-lg border border-slate-800 p-2">
+                        <label className="flex items-center gap-2 text-slate-200">
+                          <input
+                            type="checkbox"
+                            checked={sensitivityOptions.drivers.includes(driver.key)}
+                            aria-label={`Include ${driver.label}`}
+                            onChange={(event) =>
+                              toggleSensitivityDriver(driver.key, event.target.checked)
+                            }
+                          />
+                          {driver.label}
+                        </label>
+                        <div className="mt-2 grid grid-cols-3 gap-2">
+                          <select
+                            value={range.mode}
+                            aria-label={`${driver.label} range mode`}
+                            onChange={(event) =>
+                              updateSensitivityRange(driver.key, "mode", event.target.value)
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-1 py-1"
+                          >
+                            {Object.entries(sensitivityRangeModes).map(([key, label]) => (
+                              <option key={`${driver.key}-mode-${key}`} value={key}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            step="0.5"
+                            value={range.down}
+                            aria-label={`${driver.label} low change`}
+                            onChange={(event) =>
+                              updateSensitivityRange(driver.key, "down", Number(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          />
+                          <input
+                            type="number"
+                            step="0.5"
+                            value={range.up}
+                            aria-label={`${driver.label} high change`}
+                            onChange={(event) =>
+                              updateSensitivityRange(driver.key, "up", Number(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                          />
+                        </div>
+                      </div>
+                    );
+                  })}
+                  <p className="text-[11px] text-slate-400">
+                    Absolute ranges add to the current value; percentage ranges scale it.
+                  </p>
+                </div>
+              </details>
+
+              <details className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <summary className="cursor-pointer text-xs text-slate-300">
+                  Stress Test {tooltipLabel("Monte Carlo seed + sample size")}
+                </summary>
+                <div className="mt-3 grid gap-2 text-xs">
+                  <label className="text-[11px] text-slate-400">Simulations</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(stress.simulations)}
+                    onChange={(event) =>
+                      setStress((prev) => ({
+                        ...prev,
+                        simulations: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Simulations"
+                  />
+                  <label className="text-[11px] text-slate-400">Random seed</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formatNumber(stress.seed)}
+                    onChange={(event) =>
+                      setStress((prev) => ({
+                        ...prev,
+                        seed: parseNumber(event.target.value),
+                      }))
+                    }
+                    className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                    placeholder="Seed"
+                  />
+                  {stressDrivers.map((driver) => (
+                    <div key={`stress-${driver.key}`} className="grid grid-cols-2 gap-2">
+                      <label className="col-span-2 text-[11px] text-slate-400">
+                        {driver.label} (sigma, distribution)
+                      </label>
+                      <input
+                        type="number"
+                        step="0.1"
+                        min="0"
+                        value={stress[driver.sigma] ?? 0}
+                        aria-label={`${driver.label} sigma`}
+                        onChange={(event) =>
+                          setStress((prev) => ({
+                            ...prev,
+                            [driver.sigma]: Number(event.target.value),
+                          }))
+                        }
+                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                      />
+                      <select
+                        value={stress.distributions?.[driver.key] ?? "normal"}
+                        aria-label={`${driver.label} distribution`}
+                        onChange={(event) =>
+                          setStress((prev) => ({
+                            ...prev,
+                            distributions: {
+                              ...(prev.distributions ?? {}),
+                              [driver.key]: event.target.value,
+                            },
+                          }))
+                        }
+                        className="w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1"
+                      >
+                        {Object.entries(stressDistributions).map(([key, label]) => (
+                          <option key={`${driver.key}-${key}`} value={key}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                  <label className="text-[11px] text-slate-400">Correlation matrix</label>
+                  <div className="grid grid-cols-[64px_repeat(4,1fr)] gap-1 text-[10px]">
+                    <span />
+                    {stressDrivers.map((driver) => (
+                      <span key={`corr-head-${driver.key}`} className="truncate text-slate-400">
+                        {driver.label}
+                      </span>
+                    ))}
+                    {stressDrivers.map((rowDriver, row) => (
+                      <div key={`corr-row-${rowDriver.key}`} className="contents">
+                        <span className="truncate text-slate-400">{rowDriver.label}</span>
+                        {stressDrivers.map((colDriver, col) => (
+                          <input
+                            key={`corr-${row}-${col}`}
+                            type="number"
+                            step="0.1"
+                            min="-1"
+                            max="1"
+                            disabled={row === col}
+                            value={correlationMatrix[row]?.[col] ?? 0}
+                            aria-label={`Correlation ${rowDriver.label} and ${colDriver.label}`}
+                            onChange={(event) =>
+                              updateCorrelation(row, col, Number(event.target.value))
+                            }
+                            className="w-full rounded-md border border-slate-700 bg-slate-950 px-1 py-1 disabled:opacity-50"
+                          />
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                  {!stressCorrelation.valid ? (
+                    <p className="text-[11px] text-amber-300">
+                      Matrix is not a valid correlation matrix; simulations use independent drivers.
+                    </p>
+                  ) : null}
+                </div>
+              </details>
+
+              <div className="mt-6 rounded-2xl border border-slate-800 bg-slate-900/60 p-4">
+                <div className="flex items-center gap-2 text-xs text-slate-300">
+                  <AlertTriangle className="h-4 w-4 text-amber-400" />
+                  Reserves Exhaustion Alert
+                </div>
+                <p className="mt-2 text-xs text-slate-200">
+                  The annual gap is absorbed by usable reserves in priority order. If usable reserves
+                  drop below zero, the system flags a Red alert.
+                </p>
+                <p className="mt-3 text-sm font-semibold text-white">
+                  Usable Reserves: {money(usableOpeningReserves(assumptions))}
+                </p>
               </div>
-              <p className="mt-2 text-xs text-slate-200">
-                Reserves are reduced by the cumulative gap each year. If reserves drop below zero,
-                the system flags a Red alert.
-              </p>
-              <p className="mt-3 text-sm font-semibold text-white">
-                Current Reserves: {money(assumptions.currentReserves)}
-              </p>
-            </div>
-          </aside>
+            </aside>
+          ) : null}
         </div>
       </div>
     </div>
@@ -1,13 +1,84 @@
 import { zipSync, strToU8 } from "fflate";
 
+export const minHorizonYears = 1;
+export const maxHorizonYears = 10;
+
 export const initialState = {
   baseYear: 2026,
+  horizonYears: 5,
   previousYearBase: 200_000_000,
+  budgetLines: [
+    { name: "Pay", share: 0.45, index: "payAward", rate: null },
+    {
+      name: "Non-pay & contracts",
+      share: 0.4,
+      index: "generalInflation",
+      rate: null,
+    },
+    { name: "Care contracts (NLW)", share: 0.3, index: "fixed", rate: 6.7 },
+    {
+      name: "Fees & charges income",
+      share: -0.15,
+      index: "generalInflation",
+      rate: null,
+    },
+  ],
   plannedSavings: 10_000_000,
+  savingsSlippage: 0,
+  useSavingsActuals: false,
+  budgetPlan: {
+    additionalSavings: [],
+    feesIncome: [],
+    reserveUse: [],
+  },
   demandPressures: 14_000_000,
-  currentReserves: 45_000_000,
+  reserves: [
+    {
+      name: "General Fund",
+      type: "general",
+      opening: 20_000_000,
+      minimumBalance: 10_000_000,
+      gapPriority: 2,
+      contributions: [],
+      drawdowns: [],
+    },
+    {
+      name: "Budget Smoothing Reserve",
+      type: "earmarked",
+      opening: 12_000_000,
+      minimumBalance: 2_000_000,
+      gapPriority: 1,
+      contributions: [],
+      drawdowns: [],
+    },
+    {
+      name: "Transformation Reserve",
+      type: "earmarked",
+      opening: 8_000_000,
+      minimumBalance: 1_000_000,
+      gapPriority: 3,
+      contributions: [],
+      drawdowns: [],
+    },
+    {
+      name: "Insurance Reserve",
+      type: "earmarked",
+      opening: 5_000_000,
+      minimumBalance: 5_000_000,
+      gapPriority: null,
+      contributions: [],
+      drawdowns: [],
+    },
+  ],
   taxBase: 120_000,
   averageBandD: 1_850,
+  councilTax: {
+    newHousingGrowth: 0.8,
+    bandMixGrowth: 0.2,
+    collectionRate: 98.5,
+    supportSchemeRate: 7.5,
+    collectionFund: [1_500_000, -500_000],
+  },
   businessRates: 62_000_000,
   revenueSupportGrant: 18_000_000,
   otherGrants: 26_000_000,
@@ -16,18 +87,111 @@ export const initialState = {
     revenueSupportGrant: -1.8,
     otherGrants: 0.4,
   },
-  serviceSplits: {
-    Adults: 0.45,
-    Children: 0.3,
-    Housing: 0.25,
+  fundingReform: {
+    ratesReset: {
+      enabled: false,
+      yearIndex: 1,
+      growthRetained: 0,
+      baselineChange: 0,
+    },
+    needsRedistribution: {
+      enabled: false,
+      yearIndex: 1,
+      change: -6_000_000,
+      damping: [25, 50, 75, 100],
+    },
+    grantRollover: {
+      enabled: false,
+      yearIndex: 2,
+      share: 50,
+    },
   },
-  serviceAssumptions: {
-    Adults: { inflationAdj: 0.8, demandAdj: 1.5 },
-    Children: { inflationAdj: 0.4, demandAdj: 1.0 },
-    Housing: { inflationAdj: 0.2, demandAdj: 0.6 },
+  serviceModel: "topDown",
+  services: [
+    {
+      name: "Adults",
+      split: 0.45,
+      inflationAdj: 0.8,
+      demandAdj: 1.5,
+      baseBudget: 90_000_000,
+      payShare: 0.3,
+      demandDriver: "cohorts",
+      demandGrowth: 0,
+      demandBase: 9_000_000,
+      savings: 4_500_000,
+      cohorts: [
+        {
+          name: "Residential care",
+          volume: 420,
+          demographicGrowth: 2.5,
+          unitCost: 42_000,
+          unitCostInflation: 5.0,
+        },
+        {
+          name: "Nursing care",
+          volume: 180,
+          demographicGrowth: 3.0,
+          unitCost: 55_000,
+          unitCostInflation: 5.5,
+        },
+        {
+          name: "Home care",
+          volume: 1_150,
+          demographicGrowth: 3.5,
+          unitCost: 16_000,
+          unitCostInflation: 6.0,
+        },
+      ],
+    },
+    {
+      name: "Children",
+      split: 0.3,
+      inflationAdj: 0.4,
+      demandAdj: 1.0,
+      baseBudget: 60_000_000,
+      payShare: 0.45,
+      demandDriver: "cohorts",
+      demandGrowth: 0,
+      demandBase: 4_000_000,
+      savings: 3_000_000,
+      cohorts: [
+        {
+          name: "Residential placements",
+          volume: 45,
+          demographicGrowth: 4.0,
+          unitCost: 260_000,
+          unitCostInflation: 7.0,
+        },
+        {
+          name: "Foster care placements",
+          volume: 310,
+          demographicGrowth: 2.0,
+          unitCost: 28_000,
+          unitCostInflation: 4.0,
+        },
+      ],
+    },
+    {
+      name: "Housing",
+      split: 0.25,
+      inflationAdj: 0.2,
+      demandAdj: 0.6,
+      baseBudget: 50_000_000,
+      payShare: 0.5,
+      demandDriver: "fixed",
+      demandGrowth: 2.0,
+      demandBase: 1_000_000,
+      savings: 2_500_000,
+      cohorts: [],
+    },
+  ],
+  referendumLimits: {
+    core: 2.99,
+    ascPrecept: 2.0,
   },
   baseline: {
-    councilTaxIncrease: 3.0,
+    councilTaxIncrease: 1.0,
+    ascPrecept: 2.0,
     payAward: 4.0,
     generalInflation: 3.0,
     socialCareGrowth: 4.5,
@@ -36,69 +200,512 @@ export const initialState = {
 
 export const scenarioPresets = {
   Base: {
-    councilTaxIncrease: 3.0,
+    councilTaxIncrease: 1.0,
+    ascPrecept: 2.0,
     payAward: 4.0,
     generalInflation: 3.0,
     socialCareGrowth: 4.5,
   },
   Optimistic: {
-    councilTaxIncrease: 5.0,
+    councilTaxIncrease: 2.99,
+    ascPrecept: 2.0,
     payAward: 2.5,
     generalInflation: 2.0,
     socialCareGrowth: 2.5,
   },
   Pessimistic: {
     councilTaxIncrease: 1.0,
+    ascPrecept: 0,
     payAward: 6.5,
     generalInflation: 5.5,
     socialCareGrowth: 7.0,
   },
 };
 
-export const defaultOverrides = Array.from({ length: 5 }, () => ({
+export const budgetIndices = {
+  payAward: "Pay award",
+  generalInflation: "CPI",
+  fixed: "Contract-specific rate",
+};
+
+export const createBudgetLine = (name = "New budget line") => ({
+  name,
+  share: 0,
+  index: "generalInflation",
+  rate: null,
+});
+
+export const resolveBudgetLines = (assumptions = initialState) => {
+  if (Array.isArray(assumptions?.budgetLines) && assumptions.budgetLines.length) {
+    return assumptions.budgetLines;
+  }
+  return initialState.budgetLines;
+};
+
+export const budgetLineShareTotal = (assumptions = initialState) =>
+  resolveBudgetLines(assumptions).reduce(
+    (sum, line) => sum + (line.share ?? 0),
+    0
+  );
+
+const budgetLineRate = (line, yearInputs) =>
+  line.index === "fixed" ? line.rate ?? 0 : yearInputs[line.index] ?? 0;
+
+export const horizonLength = (assumptions = initialState) => {
+  const years = Math.round(Number(assumptions?.horizonYears ?? 5));
+  if (!Number.isFinite(years)) return 5;
+  return Math.min(maxHorizonYears, Math.max(minHorizonYears, years));
+};
+
+export const serviceModels = {
+  topDown: "Top-down (council-wide base)",
+  bottomUp: "Bottom-up (sum of services)",
+};
+
+export const serviceDemandDrivers = {
+  socialCareGrowth: "Scenario demand growth",
+  fixed: "Service-specific rate",
+  cohorts: "Client cohorts (volume × unit cost)",
+};
+
+export const createService = (name = "New service") => ({
+  name,
+  split: 0,
+  inflationAdj: 0,
+  demandAdj: 0,
+  baseBudget: 0,
+  payShare: 0,
+  demandDriver: "fixed",
+  demandGrowth: 0,
+  demandBase: 0,
+  savings: 0,
+  cohorts: [],
+});
+
+export const uniqueServiceName = (services, name = "New service") => {
+  const taken = new Set(services.map((service) => service.name?.trim()));
+  if (!taken.has(name)) return name;
+  let suffix = 2;
+  while (taken.has(`${name} ${suffix}`)) suffix += 1;
+  return `${name} ${suffix}`;
+};
+
+export const validateServiceName = (services, index, name) => {
+  const trimmed = (name ?? "").trim();
+  if (!trimmed) return "Service name cannot be blank.";
+  return services.some(
+    (service, idx) => idx !== index && service.name?.trim() === trimmed
+  )
+    ? `A service called "${trimmed}" already exists.`
+    : "";
+};
+
+export const createCohort = (name = "New cohort") => ({
+  name,
+  volume: 0,
+  demographicGrowth: 0,
+  unitCost: 0,
+  unitCostInflation: 0,
+});
+
+const serviceDefaults = (assumptions, split) => ({
+  inflationAdj: 0,
+  demandAdj: 0,
+  baseBudget: (assumptions.previousYearBase ?? 0) * split,
+  payShare:
+    resolveBudgetLines(assumptions).find((line) => line.index === "payAward")
+      ?.share ?? 0,
+  demandDriver: "socialCareGrowth",
+  demandGrowth: 0,
+  demandBase: (assumptions.demandPressures ?? 0) * split,
+  savings: (assumptions.plannedSavings ?? 0) * split,
+});
+
+export const resolveServices = (assumptions = initialState) => {
+  if (Array.isArray(assumptions?.services)) {
+    return assumptions.services.map((service) => ({
+      ...serviceDefaults(assumptions, service.split ?? 0),
+      ...service,
+    }));
+  }
+  return Object.entries(assumptions?.serviceSplits ?? {}).map(
+    ([name, split]) => ({
+      ...serviceDefaults(assumptions, split),
+      ...(assumptions.serviceAssumptions?.[name] ?? {}),
+      ...(assumptions.serviceBudgets?.[name] ?? {}),
+      name,
+      split,
+    })
+  );
+};
+
+export const serviceSplitTotal = (assumptions = initialState) =>
+  resolveServices(assumptions).reduce(
+    (sum, service) => sum + (service.split ?? 0),
+    0
+  );
+
+const serviceDemandGrowth = (service, yearInputs) =>
+  service.demandDriver === "fixed"
+    ? service.demandGrowth ?? 0
+    : yearInputs.socialCareGrowth;
+
+export const computeCohortDemand = (cohorts, yearIndex) =>
+  (cohorts ?? []).map((cohort) => {
+    const volumeAt = (years) =>
+      (cohort.volume ?? 0) *
+      Math.pow(1 + (cohort.demographicGrowth ?? 0) / 100, years);
+    const unitCostAt = (years) =>
+      (cohort.unitCost ?? 0) *
+      Math.pow(1 + (cohort.unitCostInflation ?? 0) / 100, years);
+    const volume = volumeAt(yearIndex + 1);
+    const unitCost = unitCostAt(yearIndex + 1);
+    const volumeEffect =
+      (volume - volumeAt(yearIndex)) * unitCostAt(yearIndex);
+    const priceEffect = volume * (unitCost - unitCostAt(yearIndex));
+    return {
+      cohort: cohort.name,
+      volume,
+      unitCost,
+      cost: volume * unitCost,
+      volumeEffect,
+      priceEffect,
+      pressure: volumeEffect + priceEffect,
+    };
+  });
+
+const emptyOverride = () => ({
   enabled: false,
   councilTaxIncrease: null,
+  ascPrecept: null,
   payAward: null,
   generalInflation: null,
   socialCareGrowth: null,
-}));
+});
+
+export const createOverrides = (years) =>
+  Array.from({ length: years }, emptyOverride);
+
+export const budgetPlanLevers = {
+  additionalSavings: "Additional savings",
+  feesIncome: "Fees & charges income",
+  reserveUse: "Planned use of reserves",
+};
+
+export const resolveBudgetPlan = (assumptions = initialState) => {
+  const plan = assumptions?.budgetPlan ?? {};
+  return Object.keys(budgetPlanLevers).reduce((acc, key) => {
+    acc[key] = Array.isArray(plan[key]) ? plan[key] : [];
+    return acc;
+  }, {});
+};
+
+export const defaultOverrides = createOverrides(5);
+
+export const padSeries = (series, years, fill) => {
+  const current = series ?? [];
+  if (current.length >= years) return current;
+  return [
+    ...current,
+    ...Array.from({ length: years - current.length }, fill),
+  ];
+};
+
+export const padOverrides = (overrides, years) =>
+  padSeries(overrides, years, emptyOverride);
+
+export const fundingStreams = {
+  total: "Total funding",
+  councilTax: "Council tax",
+  businessRates: "Business rates",
+  revenueSupportGrant: "Revenue Support Grant",
+  otherGrants: "Other grants",
+};
 
 export const defaultFundingShock = {
+  name: "Funding shock",
   enabled: false,
   yearIndex: 0,
+  recurring: false,
+  basis: "amount",
   amount: -5_000_000,
+  percent: 0,
+  stream: "total",
+};
+
+export const createFundingShock = (name = "New funding shock") => ({
+  ...defaultFundingShock,
+  name,
+});
+
+export const defaultFundingShocks = [
+  {
+    ...defaultFundingShock,
+    name: "Business rates appeal loss",
+    amount: -2_000_000,
+    stream: "businessRates",
+  },
+  {
+    ...defaultFundingShock,
+    name: "Grant cut",
+    yearIndex: 1,
+    recurring: true,
+    basis: "percent",
+    percent: -10,
+    stream: "otherGrants",
+  },
+  {
+    ...defaultFundingShock,
+    name: "Fair Funding reset",
+    yearIndex: 2,
+    recurring: true,
+    basis: "percent",
+    percent: -15,
+    stream: "revenueSupportGrant",
+  },
+];
+
+export const resolveFundingShocks = (fundingShocks) => {
+  if (Array.isArray(fundingShocks)) return fundingShocks;
+  if (!fundingShocks) return [];
+  return [{ ...defaultFundingShock, ...fundingShocks }];
+};
+
+const fundingShockAmount = (shock, yearIndex, streams) => {
+  if (!shock?.enabled) return 0;
+  const start = shock.yearIndex ?? 0;
+  const applies = shock.recurring ? yearIndex >= start : yearIndex === start;
+  if (!applies) return 0;
+  if (shock.basis === "percent") {
+    return ((streams[shock.stream] ?? streams.total) * (shock.percent ?? 0)) / 100;
+  }
+  return shock.amount ?? 0;
+};
+
+export const fundingReforms = {
+  ratesReset: "Business rates baseline reset",
+  needsRedistribution: "Needs-based redistribution",
+  grantRollover: "Grant rollover into core funding",
+};
+
+export const resolveFundingReform = (assumptions = initialState) =>
+  Object.keys(fundingReforms).reduce((acc, key) => {
+    acc[key] = {
+      ...initialState.fundingReform[key],
+      enabled: false,
+      ...(assumptions?.fundingReform?.[key] ?? {}),
+    };
+    return acc;
+  }, {});
+
+export const withoutFundingReform = (assumptions = initialState) => {
+  const reform = resolveFundingReform(assumptions);
+  return {
+    ...assumptions,
+    fundingReform: Object.fromEntries(
+      Object.entries(reform).map(([key, value]) => [
+        key,
+        { ...value, enabled: false },
+      ])
+    ),
+  };
+};
+
+const dampingFactor = (damping, yearsSinceStart) => {
+  if (yearsSinceStart < 0) return 0;
+  if (!damping?.length) return 1;
+  return (damping[Math.min(yearsSinceStart, damping.length - 1)] ?? 100) / 100;
+};
+
+const computeFundingStreams = (assumptions, yearIndex) => {
+  const reform = resolveFundingReform(assumptions);
+  const growth = assumptions.fundingGrowth;
+  const grow = (amount, rate, years) =>
+    amount * Math.pow(1 + rate / 100, years);
+
+  let businessRates = grow(
+    assumptions.businessRates,
+    growth.businessRates,
+    yearIndex
+  );
+  const { ratesReset } = reform;
+  if (ratesReset.enabled && yearIndex >= ratesReset.yearIndex) {
+    const atReset = grow(
+      assumptions.businessRates,
+      growth.businessRates,
+      ratesReset.yearIndex
+    );
+    const resetLevel =
+      (assumptions.businessRates +
+        (atReset - assumptions.businessRates) *
+          ((ratesReset.growthRetained ?? 0) / 100)) *
+      (1 + (ratesReset.baselineChange ?? 0) / 100);
+    businessRates = grow(
+      resetLevel,
+      growth.businessRates,
+      yearIndex - ratesReset.yearIndex
+    );
+  }
+
+  let revenueSupportGrant = grow(
+    assumptions.revenueSupportGrant,
+    growth.revenueSupportGrant,
+    yearIndex
+  );
+  let otherGrants = grow(assumptions.otherGrants, growth.otherGrants, yearIndex);
+  const { grantRollover } = reform;
+  if (grantRollover.enabled && yearIndex >= grantRollover.yearIndex) {
+    const rolled =
+      grow(assumptions.otherGrants, growth.otherGrants, grantRollover.yearIndex) *
+      ((grantRollover.share ?? 0) / 100);
+    otherGrants -= grow(
+      rolled,
+      growth.otherGrants,
+      yearIndex - grantRollover.yearIndex
+    );
+    revenueSupportGrant += grow(
+      rolled,
+      growth.revenueSupportGrant,
+      yearIndex - grantRollover.yearIndex
+    );
+  }
+
+  const { needsRedistribution } = reform;
+  const needsAdjustment = needsRedistribution.enabled
+    ? (needsRedistribution.change ?? 0) *
+      dampingFactor(
+        needsRedistribution.damping,
+        yearIndex - needsRedistribution.yearIndex
+      )
+    : 0;
+
+  return { businessRates, revenueSupportGrant, otherGrants, needsAdjustment };
+};
+
+export const mrpPolicies = {
+  assetLife: "Asset life (straight line)",
+  annuity: "Annuity",
 };
 
 export const defaultDebt = {
   debtPrincipal: 120_000_000,
   debtInterestRate: 4.2,
   annualCapitalFinancing: 6_500_000,
+  newBorrowingRate: 4.8,
+  mrpPolicy: "assetLife",
+  capitalProgramme: [
+    {
+      name: "School places expansion",
+      spend: [8_000_000, 12_000_000, 5_000_000],
+      grantShare: 0.6,
+      receiptsShare: 0,
+      assetLife: 40,
+    },
+    {
+      name: "Highways resurfacing",
+      spend: [6_000_000, 6_000_000, 6_000_000, 6_000_000, 6_000_000],
+      grantShare: 0.5,
+      receiptsShare: 0,
+      assetLife: 20,
+    },
+    {
+      name: "Leisure centre refurbishment",
+      spend: [0, 4_000_000, 10_000_000],
+      grantShare: 0,
+      receiptsShare: 0.25,
+      assetLife: 30,
+    },
+  ],
+};
+
+export const createCapitalScheme = (name = "New scheme") => ({
+  name,
+  spend: [],
+  grantShare: 0,
+  receiptsShare: 0,
+  assetLife: 25,
+});
+
+export const deliveryRagOptions = ["Green", "Amber", "Red"];
+
+export const implementationFunding = {
+  revenue: "Revenue",
+  capitalReceipts: "Flexible use of capital receipts",
 };
 
 export const defaultSavingsPipeline = [
   {
     name: "Digital channel shift",
+    directorate: "Resources",
+    owner: "Head of Digital",
+    deliveryRag: "Green",
+    actuals: [],
     amount: 2_000_000,
     startYear: 1,
     recurring: true,
     confidence: 0.7,
+    phasing: [1],
+    implementationCost: 0,
+    implementationFunding: "revenue",
   },
   {
     name: "Commissioning re-tender",
+    directorate: "Adults",
+    owner: "Head of Commissioning",
+    deliveryRag: "Amber",
+    actuals: [],
     amount: 3_500_000,
     startYear: 2,
     recurring: true,
     confidence: 0.55,
+    phasing: [0.5, 1],
+    implementationCost: 600_000,
+    implementationFunding: "capitalReceipts",
   },
   {
     name: "Asset rationalisation",
+    directorate: "Place",
+    owner: "Head of Property",
+    deliveryRag: "Amber",
+    actuals: [],
     amount: 4_000_000,
     startYear: 1,
     recurring: false,
     confidence: 0.5,
+    phasing: [1],
+    implementationCost: 0,
+    implementationFunding: "revenue",
   },
 ];
 
+export const createSavingsItem = (name = "New initiative") => ({
+  name,
+  directorate: "",
+  owner: "",
+  deliveryRag: "Green",
+  actuals: [],
+  amount: 1_000_000,
+  startYear: 1,
+  recurring: true,
+  confidence: 0.6,
+  phasing: [1],
+  implementationCost: 0,
+  implementationFunding: "revenue",
+});
+
+export const stressDrivers = [
+  { key: "councilTaxIncrease", sigma: "ctSigma", label: "Council Tax %" },
+  { key: "payAward", sigma: "paySigma", label: "Pay Award %" },
+  { key: "generalInflation", sigma: "inflationSigma", label: "Inflation %" },
+  { key: "socialCareGrowth", sigma: "demandSigma", label: "Demand Growth %" },
+];
+
+export const stressDistributions = {
+  normal: "Normal",
+  triangular: "Triangular",
+  lognormal: "Lognormal (right-skewed)",
+};
+
 export const defaultStress = {
   seed: 12345,
   simulations: 200,
@@ -106,6 +713,192 @@ export const defaultStress = {
   demandSigma: 1.2,
   paySigma: 0.7,
   ctSigma: 0.6,
+  distributions: {
+    councilTaxIncrease: "normal",
+    payAward: "normal",
+    generalInflation: "normal",
+    socialCareGrowth: "normal",
+  },
+  correlation: [
+    [1, 0, 0, 0],
+    [0, 1, 0.7, 0.2],
+    [0, 0.7, 1, 0.2],
+    [0, 0.2, 0.2, 1],
+  ],
+};
+
+export const createEarmarkedReserve = (name = "New earmarked reserve") => ({
+  name,
+  type: "earmarked",
+  opening: 0,
+  minimumBalance: 0,
+  gapPriority: null,
+  contributions: [],
+  drawdowns: [],
+});
+
+const isGapAbsorbing = (reserve) =>
+  reserve.type === "general" || Number.isFinite(reserve.gapPriority);
+
+export const resolveReserves = (assumptions = initialState) => {
+  if (Array.isArray(assumptions?.reserves) && assumptions.reserves.length) {
+    return assumptions.reserves;
+  }
+  return [
+    {
+      name: "General Fund",
+      type: "general",
+      opening: assumptions?.currentReserves ?? 0,
+      minimumBalance: 0,
+      gapPriority: 1,
+      contributions: [],
+      drawdowns: [],
+    },
+  ];
+};
+
+export const totalOpeningReserves = (assumptions = initialState) =>
+  resolveReserves(assumptions).reduce(
+    (sum, reserve) => sum + (reserve.opening ?? 0),
+    0
+  );
+
+export const usableOpeningReserves = (assumptions = initialState) =>
+  resolveReserves(assumptions).reduce(
+    (sum, reserve) =>
+      isGapAbsorbing(reserve) ? sum + (reserve.opening ?? 0) : sum,
+    0
+  );
+
+const gapOrder = (reserves) =>
+  reserves
+    .map((reserve, index) => ({ reserve, index }))
+    .filter(({ reserve }) => isGapAbsorbing(reserve))
+    .sort(
+      (a, b) =>
+        (a.reserve.gapPriority ?? Infinity) -
+          (b.reserve.gapPriority ?? Infinity) || a.index - b.index
+    )
+    .map(({ index }) => index);
+
+const applyReserveMovements = (reserves, balances, gap, yearIndex) => {
+  const next = balances.map(
+    (balance, idx) =>
+      balance +
+      (reserves[idx].contributions?.[yearIndex] ?? 0) -
+      (reserves[idx].drawdowns?.[yearIndex] ?? 0)
+  );
+  const order = gapOrder(reserves);
+  const generalIndex = reserves.findIndex((item) => item.type === "general");
+  const fallbackIndex =
+    generalIndex >= 0 ? generalIndex : order[order.length - 1] ?? 0;
+
+  if (gap <= 0) {
+    next[fallbackIndex] -= gap;
+    return next;
+  }
+
+  let remaining = gap;
+  order.forEach((idx) => {
+    if (remaining <= 0) return;
+    const headroom = Math.max(
+      0,
+      next[idx] - (reserves[idx].minimumBalance ?? 0)
+    );
+    const draw = Math.min(headroom, remaining);
+    next[idx] -= draw;
+    remaining -= draw;
+  });
+  if (remaining > 0) {
+    next[fallbackIndex] -= remaining;
+  }
+  return next;
+};
+
+const schemeFunding = (scheme, yearIndex) => {
+  const spend = scheme.spend?.[yearIndex] ?? 0;
+  const grantShare = Math.min(1, Math.max(0, scheme.grantShare ?? 0));
+  const receiptsShare = Math.min(
+    1 - grantShare,
+    Math.max(0, scheme.receiptsShare ?? 0)
+  );
+  const grant = spend * grantShare;
+  const receipts = spend * receiptsShare;
+  return { spend, grant, receipts, borrowing: spend - grant - receipts };
+};
+
+const trancheMrp = (amount, life, rate, policy, yearsSinceDraw) => {
+  const n = Math.max(1, Math.round(life || 25));
+  if (yearsSinceDraw < 1 || yearsSinceDraw > n) return 0;
+  if (policy !== "annuity" || rate <= 0) return amount / n;
+  return (
+    ((amount * rate) / (Math.pow(1 + rate, n) - 1)) *
+    Math.pow(1 + rate, yearsSinceDraw - 1)
+  );
+};
+
+export const computeCapitalFinancing = (debt, years) => {
+  const programme = debt?.capitalProgramme ?? [];
+  const newRate = (debt?.newBorrowingRate ?? 0) / 100;
+  const policy = debt?.mrpPolicy ?? "assetLife";
+  const existingInterest =
+    (debt?.debtPrincipal ?? 0) * ((debt?.debtInterestRate ?? 0) / 100);
+  const existingMrp = debt?.annualCapitalFinancing ?? 0;
+  const tranches = [];
+  let newDebt = 0;
+  let cfr = debt?.debtPrincipal ?? 0;
+
+  return Array.from({ length: years }, (_, i) => {
+    const interestOnNew = newDebt * newRate;
+    const newMrp = tranches.reduce(
+      (sum, tranche) =>
+        sum +
+        trancheMrp(
+          tranche.amount,
+          tranche.life,
+          newRate,
+          policy,
+          i - tranche.yearIndex
+        ),
+      0
+    );
+
+    const funding = programme.reduce(
+      (acc, scheme) => {
+        const split = schemeFunding(scheme, i);
+        if (split.borrowing > 0) {
+          tranches.push({
+            amount: split.borrowing,
+            life: scheme.assetLife,
+            yearIndex: i,
+          });
+        }
+        return {
+          spend: acc.spend + split.spend,
+          grant: acc.grant + split.grant,
+          receipts: acc.receipts + split.receipts,
+          borrowing: acc.borrowing + split.borrowing,
+        };
+      },
+      { spend: 0, grant: 0, receipts: 0, borrowing: 0 }
+    );
+
+    const mrp = existingMrp + newMrp;
+    const interestCost = existingInterest + interestOnNew;
+    newDebt += funding.borrowing - newMrp;
+    cfr += funding.borrowing - mrp;
+
+    return {
+      capitalSpend: funding.spend,
+      capitalGrant: funding.grant,
+      capitalReceipts: funding.receipts,
+      newBorrowing: funding.borrowing,
+      capitalFinancingRequirement: cfr,
+      mrp,
+      interestCost,
+      debtCost: mrp + interestCost,
+    };
+  });
 };
 
 export const money = (value) =>
@@ -117,6 +910,14 @@ export const money = (value) =>
 
 export const percent = (value) => `${value.toFixed(1)}%`;
 
+export const csvEscape = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvEscape).join(",");
+
 export const buildCSV = (rows) => {
   const headers = [
     "Year",
@@ -124,17 +925,19 @@ export const buildCSV = (rows) => {
     "Total Funding",
     "Annual Gap",
     "Reserves End",
+    "Usable Reserves",
   ];
   const lines = rows.map((row) =>
-    [
+    csvLine([
       row.year,
       row.netBudgetRequirement,
       row.totalFunding,
       row.annualGap,
       row.reservesEnd,
-    ].join(",")
+      row.usableReserves,
+    ])
   );
-  return [headers.join(","), ...lines].join("\n");
+  return [csvLine(headers), ...lines].join("\n");
 };
 
 export const buildXlsxBinary = (rows, meta = null) => {
@@ -145,6 +948,7 @@ export const buildXlsxBinary = (rows, meta = null) => {
       "Total Funding",
       "Annual Gap",
       "Reserves End",
+      "Usable Reserves",
     ],
     ...rows.map((row) => [
       row.year,
@@ -152,10 +956,131 @@ export const buildXlsxBinary = (rows, meta = null) => {
       row.totalFunding,
       row.annualGap,
       row.reservesEnd,
+      row.usableReserves,
+    ]),
+  ];
+
+  const reserveNames = (rows[0]?.reserveDetail ?? []).map((item) => item.name);
+  const reserveRows = [
+    ["Year", ...reserveNames, "Usable Reserves", "Below Minimum"],
+    ...rows.map((row) => [
+      row.year,
+      ...(row.reserveDetail ?? []).map((item) => item.balance),
+      row.usableReserves,
+      (row.reserveBreaches ?? []).join("; "),
+    ]),
+  ];
+
+  const capitalRows = [
+    [
+      "Year",
+      "Capital Spend",
+      "New Borrowing",
+      "Capital Financing Requirement",
+      "MRP",
+      "Interest",
+      "Debt Cost",
+    ],
+    ...rows.map((row) => [
+      row.year,
+      row.capitalSpend,
+      row.newBorrowing,
+      row.capitalFinancingRequirement,
+      row.mrp,
+      row.interestCost,
+      row.debtCost,
+    ]),
+  ];
+
+  const councilTaxRows = [
+    [
+      "Year",
+      "Tax Base (Band D)",
+      "Gross Yield",
+      "Council Tax Support",
+      "Collection Losses",
+      "Net Council Tax",
+      "Collection Fund Surplus/(Deficit)",
+    ],
+    ...rows.map((row) => [
+      row.year,
+      row.taxBase,
+      row.councilTaxGrossYield,
+      row.councilTaxSupportCost,
+      row.collectionLosses,
+      row.councilTaxRevenue,
+      row.collectionFundSurplus,
+    ]),
+  ];
+
+  const lineNames = (rows[0]?.inflationByLine ?? []).map((line) => line.name);
+  const budgetLineRows = [
+    ["Year", ...lineNames, "Total Pay/Price Inflation"],
+    ...rows.map((row) => [
+      row.year,
+      ...(row.inflationByLine ?? []).map((line) => line.amount),
+      row.payPriceInflation,
+    ]),
+  ];
+
+  const serviceBreakdown = computeServiceBreakdown(
+    rows,
+    meta?.assumptions ?? initialState
+  );
+  const serviceNames = Object.keys(serviceBreakdown);
+  const serviceRows = [
+    [
+      "Year",
+      ...serviceNames.map((name) => `${name} Requirement`),
+      ...serviceNames.map((name) => `${name} Gap Share`),
+      "Bottom-Up Requirement",
+      "Top-Down Requirement",
+      "Difference",
+    ],
+    ...rows.map((row, idx) => [
+      row.year,
+      ...serviceNames.map((name) => serviceBreakdown[name][idx].requirement),
+      ...serviceNames.map((name) => serviceBreakdown[name][idx].gapShare),
+      row.bottomUpRequirement,
+      row.topDownRequirement,
+      row.reconciliationDifference,
     ]),
   ];
 
-  const sheets = [{ name: "Projections", rows: projectionRows }];
+  const demandRows = [
+    [
+      "Year",
+      "Service",
+      "Cohort",
+      "Volume",
+      "Unit Cost",
+      "Volume Effect",
+      "Price Effect",
+      "Pressure",
+    ],
+    ...rows.flatMap((row) =>
+      (row.demandDetail ?? []).map((item) => [
+        row.year,
+        item.service,
+        item.cohort,
+        item.volume,
+        item.unitCost,
+        item.volumeEffect,
+        item.priceEffect,
+        item.pressure,
+      ])
+    ),
+  ];
+
+  const sheets = [
+    { name: "Projections", rows: projectionRows },
+    { name: "Budget Lines", rows: budgetLineRows },
+    { name: "Services", rows: serviceRows },
+    { name: "Demand", rows: demandRows },
+    { name: "Reserves", rows: reserveRows },
+    { name: "Capital Financing", rows: capitalRows },
+    { name: "Council Tax", rows: councilTaxRows },
+  ];
 
   if (meta) {
     sheets.push({
@@ -164,7 +1089,9 @@ export const buildXlsxBinary = (rows, meta = null) => {
         ["Scenario Summary"],
         ["Scenario", meta.scenario ?? ""],
         ["Generated", meta.timestamp ?? ""],
+        ["Horizon (years)", rows.length],
         ["Council Tax %", meta.inputs?.councilTaxIncrease ?? ""],
+        ["ASC Precept %", meta.inputs?.ascPrecept ?? ""],
         ["Pay Award %", meta.inputs?.payAward ?? ""],
         ["Inflation %", meta.inputs?.generalInflation ?? ""],
         ["Demand %", meta.inputs?.socialCareGrowth ?? ""],
@@ -174,50 +1101,263 @@ export const buildXlsxBinary = (rows, meta = null) => {
       name: "Assumptions",
       rows: [
         ["Core Assumptions"],
+        ["Base Year", meta.assumptions?.baseYear ?? ""],
+        ["Horizon (years)", meta.assumptions?.horizonYears ?? ""],
+        [
+          "Service Model",
+          serviceModels[meta.assumptions?.serviceModel ?? "topDown"] ?? "",
+        ],
         ["Previous Year Base", meta.assumptions?.previousYearBase ?? ""],
+        ...resolveBudgetLines(meta.assumptions).map((line) => [
+          `Budget Line: ${line.name}`,
+          line.share ?? "",
+          budgetIndices[line.index] ?? "",
+          line.index === "fixed" ? line.rate ?? "" : "",
+        ]),
         ["Demand Pressures", meta.assumptions?.demandPressures ?? ""],
         ["Planned Savings", meta.assumptions?.plannedSavings ?? ""],
-        ["Current Reserves", meta.assumptions?.currentReserves ?? ""],
+        ["Opening Reserves", totalOpeningReserves(meta.assumptions)],
         ["Tax Base", meta.assumptions?.taxBase ?? ""],
         ["Average Band D", meta.assumptions?.averageBandD ?? ""],
+        [
+          "Tax Base Growth: New Housing %",
+          meta.assumptions?.councilTax?.newHousingGrowth ?? "",
+        ],
+        [
+          "Tax Base Growth: Band Mix %",
+          meta.assumptions?.councilTax?.bandMixGrowth ?? "",
+        ],
+        ["Collection Rate %", meta.assumptions?.councilTax?.collectionRate ?? ""],
+        [
+          "Referendum Limit: Core %",
+          meta.assumptions?.referendumLimits?.core ?? "",
+        ],
+        [
+          "Referendum Limit: ASC %",
+          meta.assumptions?.referendumLimits?.ascPrecept ?? "",
+        ],
+        [
+          "Council Tax Support %",
+          meta.assumptions?.councilTax?.supportSchemeRate ?? "",
+        ],
         ["Business Rates", meta.assumptions?.businessRates ?? ""],
         ["Revenue Support Grant", meta.assumptions?.revenueSupportGrant ?? ""],
         ["Other Grants", meta.assumptions?.otherGrants ?? ""],
         [],
-        ["Funding Shock"],
-        ["Enabled", meta.fundingShock?.enabled ? "Yes" : "No"],
-        ["Year Index", meta.fundingShock?.yearIndex ?? ""],
-        ["Amount", meta.fundingShock?.amount ?? ""],
+        ["Funding Shocks"],
+        ["Name", "Enabled", "Start Year", "Recurring", "Basis", "Amount", "Percent", "Stream"],
+        ...resolveFundingShocks(meta.fundingShocks).map((shock) => [
+          shock.name,
+          shock.enabled ? "Yes" : "No",
+          `Y${(shock.yearIndex ?? 0) + 1}`,
+          shock.recurring ? "Yes" : "No",
+          shock.basis === "percent" ? "% of stream" : "Amount",
+          shock.basis === "percent" ? "" : shock.amount ?? "",
+          shock.basis === "percent" ? shock.percent ?? "" : "",
+          fundingStreams[shock.stream] ?? "",
+        ]),
+        [],
+        ["Budget Plan"],
+        ["Lever", ...rows.map((row) => row.year)],
+        ...Object.entries(budgetPlanLevers).map(([key, label]) => [
+          label,
+          ...rows.map((row) => row[key] ?? 0),
+        ]),
+        [],
+        ["Services"],
+        [
+          "Service",
+          "Split",
+          "Inflation Adj %",
+          "Demand Adj %",
+          "Base Budget",
+          "Pay Share",
+          "Demand Driver",
+          "Demand Pressure",
+          "Savings",
+        ],
+        ...resolveServices(meta.assumptions ?? initialState).map((service) => [
+          service.name,
+          service.split ?? 0,
+          service.inflationAdj ?? 0,
+          service.demandAdj ?? 0,
+          service.baseBudget ?? 0,
+          service.payShare ?? 0,
+          service.demandDriver === "fixed"
+            ? `${serviceDemandDrivers.fixed} (${service.demandGrowth ?? 0}%)`
+            : serviceDemandDrivers[service.demandDriver] ?? "",
+          service.demandBase ?? 0,
+          service.savings ?? 0,
+        ]),
+        [],
+        ["Funding Reform"],
+        ["Reform", "Enabled", "Start Year", "Parameters"],
+        ...Object.entries(resolveFundingReform(meta.assumptions)).map(
+          ([key, reform]) => [
+            fundingReforms[key],
+            reform.enabled ? "Yes" : "No",
+            `Y${(reform.yearIndex ?? 0) + 1}`,
+            key === "ratesReset"
+              ? `Growth retained ${reform.growthRetained}%, baseline change ${reform.baselineChange}%`
+              : key === "needsRedistribution"
+                ? `Change ${reform.change}, damping ${(reform.damping ?? []).join("/")}%`
+                : `Share ${reform.share}%`,
+          ]
+        ),
         [],
         ["Debt & Capital Financing"],
         ["Debt Principal", meta.debt?.debtPrincipal ?? ""],
         ["Debt Interest Rate", meta.debt?.debtInterestRate ?? ""],
         ["Annual Capital Financing", meta.debt?.annualCapitalFinancing ?? ""],
+        ["New Borrowing Rate", meta.debt?.newBorrowingRate ?? ""],
+        ["MRP Policy", mrpPolicies[meta.debt?.mrpPolicy] ?? ""],
+        [],
+        ["Capital Programme"],
+        ["Scheme", "Grant Share", "Receipts Share", "Asset Life", "Spend Profile"],
+        ...(meta.debt?.capitalProgramme ?? []).map((scheme) => [
+          scheme.name ?? "",
+          scheme.grantShare ?? "",
+          scheme.receiptsShare ?? "",
+          scheme.assetLife ?? "",
+          (scheme.spend ?? []).slice(0, rows.length).join("; "),
+        ]),
+        [],
+        ["Reserves"],
+        ["Name", "Type", "Opening", "Minimum Balance", "Gap Priority"],
+        ...resolveReserves(meta.assumptions).map((reserve) => [
+          reserve.name ?? "",
+          reserve.type ?? "",
+          reserve.opening ?? "",
+          reserve.minimumBalance ?? "",
+          reserve.gapPriority ?? "Ring-fenced",
+        ]),
       ],
     });
     sheets.push({
       name: "Savings",
       rows: [
         ["Savings Pipeline"],
-        ["Name", "Amount", "Start Year", "Recurring", "Confidence"],
+        ["Slippage %", meta.assumptions?.savingsSlippage ?? 0],
+        [
+          "Name",
+          "Amount",
+          "Start Year",
+          "Recurring",
+          "Confidence",
+          "Phasing",
+          "Implementation Cost",
+          "Cost Funding",
+        ],
         ...(meta.pipeline ?? []).map((item) => [
           item.name ?? "",
           item.amount ?? "",
           item.startYear ?? "",
           item.recurring ? "Yes" : "No",
           item.confidence ?? "",
+          (item.phasing ?? [1]).join("; "),
+          item.implementationCost ?? 0,
+          implementationFunding[item.implementationFunding] ?? "",
+        ]),
+        [],
+        [
+          "Year",
+          "Gross Plan",
+          "Risk-Adjusted Plan",
+          "Delivered",
+          "Implementation Costs (Revenue)",
+          "Flexible Capital Receipts",
+        ],
+        ...rows.map((row) => [
+          row.year,
+          row.grossSavings,
+          row.riskAdjustedSavings,
+          row.pipelineSavings,
+          row.implementationCosts,
+          row.flexibleCapitalReceipts,
+        ]),
+      ],
+    });
+    const tracker = computeSavingsTracker(
+      meta.pipeline,
+      rows.length,
+      meta.assumptions?.savingsSlippage ?? 0,
+      meta.assumptions?.useSavingsActuals ?? false
+    );
+    sheets.push({
+      name: "Savings Tracker",
+      rows: [
+        ["Savings Delivery Tracker"],
+        [
+          "Projection Basis",
+          meta.assumptions?.useSavingsActuals ? "Actuals where recorded" : "Plan",
+        ],
+        [
+          "Name",
+          "Directorate",
+          "Owner",
+          "Delivery RAG",
+          ...rows.flatMap((row) => [
+            `${row.year} Plan`,
+            `${row.year} Actual`,
+            `${row.year} Variance`,
+          ]),
+        ],
+        ...tracker.map((item) => [
+          item.name ?? "",
+          item.directorate,
+          item.owner,
+          item.deliveryRag,
+          ...item.profile.flatMap((year) => [
+            year.riskAdjusted,
+            year.actual ?? "",
+            year.variance ?? "",
+          ]),
         ]),
       ],
     });
+    if (meta.variance) {
+      sheets.push({
+        name: "Variance",
+        rows: [
+          ["Gap Variance Attribution"],
+          ["From", meta.variance.from],
+          ["To", meta.variance.to],
+          [],
+          ["Factor", "From", "To", ...meta.variance.years, "Total"],
+          [
+            `${meta.variance.from} gap`,
+            "",
+            "",
+            ...meta.variance.start,
+            meta.variance.start.reduce((sum, value) => sum + value, 0),
+          ],
+          ...meta.variance.factors.map((factor) => [
+            factor.label,
+            factor.from,
+            factor.to,
+            ...meta.variance.years.map((year, i) => factor.byYear[i] ?? 0),
+            factor.total,
+          ]),
+          [
+            `${meta.variance.to} gap`,
+            "",
+            "",
+            ...meta.variance.end,
+            meta.variance.end.reduce((sum, value) => sum + value, 0),
+          ],
+        ],
+      });
+    }
     sheets.push({
       name: "Overrides",
       rows: [
         ["Per-Year Overrides"],
-        ["Year", "Enabled", "CT %", "Pay %", "Inflation %", "Demand %"],
-        ...(meta.overrides ?? []).map((item, idx) => [
+        ["Year", "Enabled", "CT %", "ASC %", "Pay %", "Inflation %", "Demand %"],
+        ...(meta.overrides ?? []).slice(0, rows.length).map((item, idx) => [
           `Y${idx + 1}`,
           item.enabled ? "Yes" : "No",
           item.councilTaxIncrease ?? "",
+          item.ascPrecept ?? "",
           item.payAward ?? "",
           item.generalInflation ?? "",
           item.socialCareGrowth ?? "",
@@ -228,7 +1368,7 @@ export const buildXlsxBinary = (rows, meta = null) => {
       name: "Governance",
       rows: [
         ["Governance Notes"],
-        ...(meta.governanceNotes ?? []).map((note, idx) => [
+        ...(meta.governanceNotes ?? []).slice(0, rows.length).map((note, idx) => [
           `Y${idx + 1}`,
           note ?? "",
         ]),
@@ -240,6 +1380,44 @@ export const buildXlsxBinary = (rows, meta = null) => {
         ["Stress Test"],
         ["Simulations", meta.stress?.simulations ?? ""],
         ["Seed", meta.stress?.seed ?? ""],
+        [],
+        ["Driver", "Sigma", "Distribution"],
+        ...stressDrivers.map((driver) => [
+          driver.label,
+          meta.stress?.[driver.sigma] ?? "",
+          stressDistributions[meta.stress?.distributions?.[driver.key] ?? "normal"],
+        ]),
+        [],
+        ["Correlation", ...stressDrivers.map((driver) => driver.label)],
+        ...stressDrivers.map((driver, idx) => [
+          driver.label,
+          ...(meta.stress?.correlation?.[idx] ?? []),
+        ]),
+        ...(meta.stressSummary?.years?.length
+          ? [
+              [],
+              [
+                "Year",
+                "Gap P10",
+                "Gap P50",
+                "Gap P90",
+                "Reserves P10",
+                "Reserves P50",
+                "Reserves P90",
+                "Probability Reserves Exhausted",
+              ],
+              ...meta.stressSummary.years.map((year) => [
+                year.year,
+                year.gap.p10,
+                year.gap.p50,
+                year.gap.p90,
+                year.reserves.p10,
+                year.reserves.p50,
+                year.reserves.p90,
+                year.exhaustionProbability,
+              ]),
+            ]
+          : []),
       ],
     });
   }
@@ -347,11 +1525,18 @@ export const buildXlsxBinary = (rows, meta = null) => {
   return zipSync(zipEntries);
 };
 
-export const ragStatus = (reserves, budget) => {
+export const ragStatus = (reserves, budget, breaches = []) => {
   if (reserves <= 0) {
     return { label: "Red", tone: "bg-rose-600", message: "Reserves exhausted" };
   }
   const ratio = reserves / budget;
+  if (ratio > 0.05 && breaches.length) {
+    return {
+      label: "Amber",
+      tone: "bg-amber-400",
+      message: `Below minimum: ${breaches.join(", ")}`,
+    };
+  }
   if (ratio > 0.05) {
     return { label: "Green", tone: "bg-emerald-500", message: "Healthy buffer" };
   }
@@ -367,23 +1552,140 @@ const resolveInputsForYear = (inputs, overrides, index) => {
   return {
     councilTaxIncrease:
       override.councilTaxIncrease ?? inputs.councilTaxIncrease,
+    ascPrecept: override.ascPrecept ?? inputs.ascPrecept,
     payAward: override.payAward ?? inputs.payAward,
     generalInflation: override.generalInflation ?? inputs.generalInflation,
     socialCareGrowth: override.socialCareGrowth ?? inputs.socialCareGrowth,
   };
 };
 
-const calcPipelineSavings = (pipeline, yearIndex) =>
-  (pipeline ?? []).reduce((sum, item) => {
-    if (item.startYear > yearIndex + 1) return sum;
-    if (!item.recurring && item.startYear !== yearIndex + 1) return sum;
-    return sum + item.amount * (item.confidence ?? 1);
-  }, 0);
+export const totalCouncilTaxIncrease = (inputs) =>
+  (inputs?.councilTaxIncrease ?? 0) + (inputs?.ascPrecept ?? 0);
+
+export const resolveReferendumLimits = (assumptions = initialState) => ({
+  core: assumptions?.referendumLimits?.core ?? Infinity,
+  ascPrecept: assumptions?.referendumLimits?.ascPrecept ?? Infinity,
+});
+
+export const findReferendumBreaches = (inputs, overrides, assumptions) => {
+  const limits = resolveReferendumLimits(assumptions);
+  const components = [
+    { key: "councilTaxIncrease", label: "Core council tax", limit: limits.core },
+    { key: "ascPrecept", label: "ASC precept", limit: limits.ascPrecept },
+  ];
+  const breaches = [];
+  for (let i = 0; i < horizonLength(assumptions); i += 1) {
+    const yearInputs = resolveInputsForYear(inputs, overrides, i);
+    const override = overrides?.[i];
+    components.forEach(({ key, label, limit }) => {
+      const value = yearInputs[key] ?? 0;
+      if (value <= limit + 1e-9) return;
+      breaches.push({
+        year: `Y${i + 1}`,
+        source:
+          override?.enabled && override[key] !== null && override[key] !== undefined
+            ? "Override"
+            : "Scenario",
+        component: label,
+        value,
+        limit,
+      });
+    });
+  }
+  return breaches;
+};
+
+const phaseFactor = (item, yearIndex) => {
+  const offset = yearIndex + 1 - item.startYear;
+  if (offset < 0) return 0;
+  if (!item.recurring) return offset === 0 ? 1 : 0;
+  const phasing = item.phasing?.length ? item.phasing : [1];
+  return phasing[Math.min(offset, phasing.length - 1)] ?? 0;
+};
+
+const hasActual = (item, yearIndex) =>
+  Number.isFinite(item.actuals?.[yearIndex]);
+
+export const computeSavingsTracker = (
+  pipeline,
+  years,
+  slippage = 0,
+  useActuals = false
+) => {
+  const slip = Math.min(1, Math.max(0, slippage / 100));
+  return (pipeline ?? []).map((item) => {
+    let previousRiskAdjusted = 0;
+    const profile = Array.from({ length: years }, (_, i) => {
+      const gross = item.amount * phaseFactor(item, i);
+      const riskAdjusted = gross * (item.confidence ?? 1);
+      const forecast = riskAdjusted * (1 - slip) + previousRiskAdjusted * slip;
+      previousRiskAdjusted = riskAdjusted;
+      const actual = hasActual(item, i) ? item.actuals[i] : null;
+      return {
+        gross,
+        riskAdjusted,
+        forecast,
+        actual,
+        delivered: useActuals && actual !== null ? actual : forecast,
+        variance: actual === null ? null : actual - riskAdjusted,
+      };
+    });
+    return {
+      name: item.name,
+      directorate: item.directorate ?? "",
+      owner: item.owner ?? "",
+      deliveryRag: item.deliveryRag ?? "Green",
+      profile,
+    };
+  });
+};
+
+export const computeSavingsProfile = (
+  pipeline,
+  years,
+  slippage = 0,
+  useActuals = false
+) => {
+  const tracker = computeSavingsTracker(pipeline, years, slippage, useActuals);
+  return Array.from({ length: years }, (_, i) => {
+    const totals = (pipeline ?? []).reduce(
+      (acc, item, idx) => {
+        const year = tracker[idx].profile[i];
+        const cost = item.startYear === i + 1 ? item.implementationCost ?? 0 : 0;
+        const viaReceipts = item.implementationFunding === "capitalReceipts";
+        return {
+          gross: acc.gross + year.gross,
+          riskAdjusted: acc.riskAdjusted + year.riskAdjusted,
+          delivered: acc.delivered + year.delivered,
+          actual: acc.actual + (year.actual ?? 0),
+          revenueCosts: acc.revenueCosts + (viaReceipts ? 0 : cost),
+          receiptsCosts: acc.receiptsCosts + (viaReceipts ? cost : 0),
+        };
+      },
+      {
+        gross: 0,
+        riskAdjusted: 0,
+        delivered: 0,
+        actual: 0,
+        revenueCosts: 0,
+        receiptsCosts: 0,
+      }
+    );
+    return {
+      grossSavings: totals.gross,
+      riskAdjustedSavings: totals.riskAdjusted,
+      deliveredSavings: totals.delivered,
+      actualSavings: totals.actual,
+      implementationCosts: totals.revenueCosts,
+      flexibleCapitalReceipts: totals.receiptsCosts,
+    };
+  });
+};
 
 export const computeProjections = (
   inputs,
   overrides,
-  fundingShock,
+  fundingShocks,
   debt,
   assumptions = initialState,
   pipeline = defaultSavingsPipeline
@@ -391,56 +1693,234 @@ export const computeProjections = (
   const rows = [];
   let previousBase = assumptions.previousYearBase;
   let cumulativeGap = 0;
+  const years = horizonLength(assumptions);
+  const reserves = resolveReserves(assumptions);
+  let reserveBalances = reserves.map((reserve) => reserve.opening ?? 0);
+  const capital = computeCapitalFinancing(debt, years);
+  const budgetLines = resolveBudgetLines(assumptions);
+  const services = resolveServices(assumptions);
+  let serviceBases = services.map((service) => service.baseBudget ?? 0);
+  const bottomUp = assumptions.serviceModel === "bottomUp";
+  const shocks = resolveFundingShocks(fundingShocks);
+  const budgetPlan = resolveBudgetPlan(assumptions);
+  const unreformedAssumptions = withoutFundingReform(assumptions);
+  const savings = computeSavingsProfile(
+    pipeline,
+    years,
+    assumptions.savingsSlippage ?? 0,
+    assumptions.useSavingsActuals ?? false
+  );
 
-  for (let i = 0; i < 5; i += 1) {
+  for (let i = 0; i < years; i += 1) {
     const yearInputs = resolveInputsForYear(inputs, overrides, i);
     const year = assumptions.baseYear + i + 1;
-    const payPriceInflation =
-      previousBase * ((yearInputs.payAward + yearInputs.generalInflation) / 100);
-    const demandPressures =
+    const lineInflation = budgetLines.map((line) => ({
+      name: line.name,
+      base: previousBase * (line.share ?? 0),
+      rate: budgetLineRate(line, yearInputs),
+      amount:
+        previousBase * (line.share ?? 0) * (budgetLineRate(line, yearInputs) / 100),
+    }));
+    const demandDetail = services
+      .filter((service) => service.demandDriver === "cohorts")
+      .flatMap((service) =>
+        computeCohortDemand(service.cohorts, i).map((item) => ({
+          service: service.name,
+          ...item,
+        }))
+      );
+    const cohortDemandFor = (name) =>
+      demandDetail
+        .filter((item) => item.service === name)
+        .reduce((sum, item) => sum + item.pressure, 0);
+    const cohortShare = services
+      .filter((service) => service.demandDriver === "cohorts")
+      .reduce((sum, service) => sum + (service.split ?? 0), 0);
+    const topDownDemand =
       assumptions.demandPressures *
-      Math.pow(1 + yearInputs.socialCareGrowth / 100, i);
-    const baseSavings = assumptions.plannedSavings;
-    const pipelineSavings = calcPipelineSavings(pipeline, i);
-    const plannedSavings = baseSavings + pipelineSavings;
-    const debtCost =
-      (debt?.debtPrincipal ?? 0) * ((debt?.debtInterestRate ?? 0) / 100) +
-      (debt?.annualCapitalFinancing ?? 0);
-
-    const netBudgetRequirement =
-      previousBase +
-      payPriceInflation +
-      demandPressures +
-      debtCost -
-      plannedSavings;
+        Math.pow(1 + yearInputs.socialCareGrowth / 100, i) *
+        (1 - cohortShare) +
+      demandDetail.reduce((sum, item) => sum + item.pressure, 0);
 
-    const councilTaxRevenue =
-      assumptions.taxBase *
-      assumptions.averageBandD *
-      Math.pow(1 + yearInputs.councilTaxIncrease / 100, i + 1);
-
-    const businessRates =
-      assumptions.businessRates *
-      Math.pow(1 + assumptions.fundingGrowth.businessRates / 100, i);
-    const revenueSupportGrant =
-      assumptions.revenueSupportGrant *
-      Math.pow(1 + assumptions.fundingGrowth.revenueSupportGrant / 100, i);
-    const otherGrants =
-      assumptions.otherGrants *
-      Math.pow(1 + assumptions.fundingGrowth.otherGrants / 100, i);
+    const serviceDetail = services.map((service, idx) => {
+      const base = serviceBases[idx];
+      const payShare = service.payShare ?? 0;
+      const rate =
+        payShare * yearInputs.payAward +
+        (1 - payShare) * yearInputs.generalInflation;
+      const inflation = base * (rate / 100);
+      const demand =
+        service.demandDriver === "cohorts"
+          ? cohortDemandFor(service.name)
+          : (service.demandBase ?? 0) *
+            Math.pow(1 + serviceDemandGrowth(service, yearInputs) / 100, i);
+      const savings = service.savings ?? 0;
+      return {
+        service: service.name,
+        base,
+        rate,
+        inflation,
+        demand,
+        savings,
+        requirement: base + inflation + demand - savings,
+      };
+    });
+    const sumServices = (key) =>
+      serviceDetail.reduce((sum, item) => sum + item[key], 0);
 
-    const baseFunding =
-      councilTaxRevenue + businessRates + revenueSupportGrant + otherGrants;
+    const openingBase = bottomUp ? sumServices("base") : previousBase;
+    const inflationByLine = bottomUp
+      ? serviceDetail.map((item) => ({
+          name: item.service,
+          base: item.base,
+          rate: item.rate,
+          amount: item.inflation,
+        }))
+      : lineInflation;
+    const payPriceInflation = inflationByLine.reduce(
+      (sum, line) => sum + line.amount,
+      0
+    );
+    const demandPressures = bottomUp ? sumServices("demand") : topDownDemand;
+    const baseSavings = bottomUp
+      ? sumServices("savings")
+      : assumptions.plannedSavings;
+    const {
+      grossSavings,
+      riskAdjustedSavings,
+      deliveredSavings: pipelineSavings,
+      actualSavings,
+      implementationCosts,
+      flexibleCapitalReceipts,
+    } = savings[i];
+    const additionalSavings = budgetPlan.additionalSavings[i] ?? 0;
+    const feesIncome = budgetPlan.feesIncome[i] ?? 0;
+    const reserveUse = budgetPlan.reserveUse[i] ?? 0;
+    const recurringPlan = (key) =>
+      bottomUp
+        ? budgetPlan[key]
+            .slice(0, i + 1)
+            .reduce((sum, value) => sum + (value ?? 0), 0)
+        : budgetPlan[key][i] ?? 0;
+    const plannedSavings = baseSavings + pipelineSavings + additionalSavings;
+    const {
+      capitalSpend,
+      newBorrowing,
+      capitalFinancingRequirement,
+      mrp,
+      interestCost,
+      debtCost,
+    } = capital[i];
+
+    const reserveTransfers = reserves.reduce(
+      (sum, reserve) =>
+        sum + (reserve.contributions?.[i] ?? 0) - (reserve.drawdowns?.[i] ?? 0),
+      0
+    );
+    const corporateItems =
+      debtCost +
+      implementationCosts +
+      reserveTransfers -
+      pipelineSavings -
+      recurringPlan("additionalSavings") -
+      recurringPlan("feesIncome");
+    const topDownRequirement =
+      previousBase +
+      lineInflation.reduce((sum, line) => sum + line.amount, 0) +
+      topDownDemand -
+      assumptions.plannedSavings +
+      corporateItems;
+    const bottomUpRequirement = sumServices("requirement") + corporateItems;
+    const netBudgetRequirement = bottomUp
+      ? bottomUpRequirement
+      : topDownRequirement;
+
+    const councilTax = assumptions.councilTax ?? {};
+    const taxBase =
+      assumptions.taxBase *
+      Math.pow(
+        1 +
+          ((councilTax.newHousingGrowth ?? 0) +
+            (councilTax.bandMixGrowth ?? 0)) /
+            100,
+        i + 1
+      );
+    const councilTaxGrossYield =
+      taxBase *
+      assumptions.averageBandD *
+      Math.pow(1 + totalCouncilTaxIncrease(yearInputs) / 100, i + 1);
+    const councilTaxSupportCost =
+      councilTaxGrossYield * ((councilTax.supportSchemeRate ?? 0) / 100);
+    const councilTaxRevenue =
+      (councilTaxGrossYield - councilTaxSupportCost) *
+      ((councilTax.collectionRate ?? 100) / 100);
+    const collectionLosses =
+      councilTaxGrossYield - councilTaxSupportCost - councilTaxRevenue;
+    const collectionFundSurplus = councilTax.collectionFund?.[i] ?? 0;
+
+    const { businessRates, revenueSupportGrant, otherGrants, needsAdjustment } =
+      computeFundingStreams(assumptions, i);
+    const unreformed = computeFundingStreams(unreformedAssumptions, i);
+    const fundingReformImpact =
+      businessRates +
+      revenueSupportGrant +
+      otherGrants +
+      needsAdjustment -
+      (unreformed.businessRates +
+        unreformed.revenueSupportGrant +
+        unreformed.otherGrants);
 
-    const shockAmount =
-      fundingShock?.enabled && fundingShock.yearIndex === i
-        ? fundingShock.amount
-        : 0;
+    const baseFunding =
+      councilTaxRevenue +
+      collectionFundSurplus +
+      businessRates +
+      revenueSupportGrant +
+      otherGrants +
+      needsAdjustment;
 
-    const totalFunding = baseFunding + shockAmount;
+    const streams = {
+      total: baseFunding,
+      councilTax: councilTaxRevenue,
+      businessRates,
+      revenueSupportGrant,
+      otherGrants,
+    };
+    const shockDetail = shocks
+      .map((shock) => ({
+        name: shock.name,
+        amount: fundingShockAmount(shock, i, streams),
+      }))
+      .filter((shock) => shock.amount !== 0);
+    const shockAmount = shockDetail.reduce(
+      (sum, shock) => sum + shock.amount,
+      0
+    );
+
+    const totalFunding = baseFunding + shockAmount + reserveUse;
     const annualGap = netBudgetRequirement - totalFunding;
     cumulativeGap += annualGap;
-    const reservesEnd = assumptions.currentReserves - cumulativeGap;
+    reserveBalances = applyReserveMovements(
+      reserves,
+      reserveBalances,
+      annualGap + reserveUse,
+      i
+    );
+    const reserveDetail = reserves.map((reserve, idx) => ({
+      name: reserve.name,
+      type: reserve.type,
+      balance: reserveBalances[idx],
+      minimumBalance: reserve.minimumBalance ?? 0,
+      usable: isGapAbsorbing(reserve),
+      breached: reserveBalances[idx] < (reserve.minimumBalance ?? 0),
+    }));
+    const reservesEnd = reserveBalances.reduce((sum, value) => sum + value, 0);
+    const usableReserves = reserveDetail.reduce(
+      (sum, item) => (item.usable ? sum + item.balance : sum),
+      0
+    );
+    const reserveBreaches = reserveDetail
+      .filter((item) => item.breached)
+      .map((item) => item.name);
 
     rows.push({
       year: `Y${i + 1} (${year})`,
@@ -448,19 +1928,52 @@ export const computeProjections = (
       totalFunding,
       annualGap,
       reservesEnd,
+      usableReserves,
+      reserveDetail,
+      reserveBreaches,
       payPriceInflation,
+      inflationByLine,
       demandPressures,
+      demandDetail,
       plannedSavings,
       pipelineSavings,
+      grossSavings,
+      riskAdjustedSavings,
+      actualSavings,
+      implementationCosts,
+      flexibleCapitalReceipts,
+      taxBase,
+      councilTaxGrossYield,
+      councilTaxSupportCost,
+      collectionLosses,
       councilTaxRevenue,
+      collectionFundSurplus,
       businessRates,
       revenueSupportGrant,
       otherGrants,
+      needsAdjustment,
+      fundingReformImpact,
       debtCost,
+      mrp,
+      interestCost,
+      capitalSpend,
+      newBorrowing,
+      capitalFinancingRequirement,
       shockAmount,
+      shockDetail,
+      additionalSavings,
+      feesIncome,
+      reserveUse,
+      reserveTransfers,
+      openingBase,
+      serviceDetail,
+      topDownRequirement,
+      bottomUpRequirement,
+      reconciliationDifference: bottomUpRequirement - topDownRequirement,
     });
 
-    previousBase = netBudgetRequirement;
+    previousBase = topDownRequirement - implementationCosts - reserveTransfers;
+    serviceBases = serviceDetail.map((item) => item.requirement);
   }
 
   return rows;
@@ -470,118 +1983,1521 @@ export const computeWaterfall = (rows, assumptions = initialState) => {
   const year1 = rows[0];
   if (!year1) return [];
   return [
-    { label: "Base", value: assumptions.previousYearBase },
-    { label: "Pay+Infl", value: year1.payPriceInflation },
+    { label: "Base", value: year1.openingBase ?? assumptions.previousYearBase },
+    ...(year1.inflationByLine ?? []).map((line) => ({
+      label: line.name,
+      value: line.amount,
+    })),
     { label: "Demand", value: year1.demandPressures },
     { label: "Debt", value: year1.debtCost },
+    { label: "Impl. Costs", value: year1.implementationCosts ?? 0 },
+    ...(year1.reserveTransfers
+      ? [{ label: "Reserve Transfers", value: year1.reserveTransfers }]
+      : []),
     { label: "Savings", value: -year1.plannedSavings },
-    { label: "Funding", value: -year1.totalFunding },
+    ...(year1.feesIncome
+      ? [{ label: "Fees & Charges", value: -year1.feesIncome }]
+      : []),
+    {
+      label: "Funding",
+      value: -(
+        year1.totalFunding -
+        (year1.shockAmount ?? 0) -
+        (year1.reserveUse ?? 0)
+      ),
+    },
+    ...(year1.shockDetail ?? []).map((shock) => ({
+      label: shock.name,
+      value: -shock.amount,
+    })),
+    ...(year1.reserveUse
+      ? [{ label: "Use of Reserves", value: -year1.reserveUse }]
+      : []),
     { label: "Gap", value: year1.annualGap },
   ];
 };
 
 export const computeServiceBreakdown = (rows, assumptions = initialState) => {
-  const services = Object.keys(assumptions.serviceSplits);
-  return services.reduce((acc, service) => {
-    const split = assumptions.serviceSplits[service];
-    const adjustments = assumptions.serviceAssumptions[service] || {
-      inflationAdj: 0,
-      demandAdj: 0,
-    };
-    const factor = 1 + (adjustments.inflationAdj + adjustments.demandAdj) / 100;
-    acc[service] = rows.map((row) => ({
+  if (assumptions.serviceModel === "bottomUp") {
+    return resolveServices(assumptions).reduce((acc, service) => {
+      acc[service.name] = rows.map((row) => {
+        const detail = (row.serviceDetail ?? []).find(
+          (item) => item.service === service.name
+        );
+        const total = (row.serviceDetail ?? []).reduce(
+          (sum, item) => sum + item.requirement,
+          0
+        );
+        const requirement = detail?.requirement ?? 0;
+        return {
+          year: row.year,
+          service: service.name,
+          requirement,
+          gapShare: total ? (row.annualGap * requirement) / total : 0,
+        };
+      });
+      return acc;
+    }, {});
+  }
+  return resolveServices(assumptions).reduce((acc, service) => {
+    const factor =
+      1 + ((service.inflationAdj ?? 0) + (service.demandAdj ?? 0)) / 100;
+    acc[service.name] = rows.map((row) => ({
       year: row.year,
-      service,
-      requirement: row.netBudgetRequirement * split * factor,
-      gapShare: row.annualGap * split * factor,
+      service: service.name,
+      requirement: row.netBudgetRequirement * service.split * factor,
+      gapShare: row.annualGap * service.split * factor,
     }));
     return acc;
   }, {});
 };
 
 export const findReserveExhaustion = (rows) =>
-  rows.find((row) => row.reservesEnd <= 0);
+  rows.find((row) => (row.usableReserves ?? row.reservesEnd) <= 0);
 
-export const computeSensitivity = (
+export const findReserveBreaches = (rows) =>
+  rows.reduce((acc, row) => {
+    (row.reserveBreaches ?? []).forEach((name) => {
+      if (!acc[name]) acc[name] = row.year;
+    });
+    return acc;
+  }, {});
+
+export const computeReformComparison = (
   inputs,
   overrides,
-  fundingShock,
+  fundingShocks,
   debt,
   assumptions = initialState,
   pipeline = defaultSavingsPipeline
 ) => {
-  const drivers = [
-    { key: "councilTaxIncrease", label: "Council Tax %" },
-    { key: "payAward", label: "Pay Award %" },
-    { key: "generalInflation", label: "General Inflation %" },
-    { key: "socialCareGrowth", label: "Demand Growth %" },
-  ];
-  const baseline = computeProjections(
+  const withReform = computeProjections(
     inputs,
     overrides,
-    fundingShock,
+    fundingShocks,
     debt,
     assumptions,
     pipeline
-  )[0]?.annualGap;
-  return drivers.map((driver) => {
-    const upInputs = { ...inputs, [driver.key]: inputs[driver.key] + 1 };
-    const downInputs = { ...inputs, [driver.key]: inputs[driver.key] - 1 };
-    const upGap = computeProjections(
-      upInputs,
-      overrides,
-      fundingShock,
-      debt,
-      assumptions,
-      pipeline
-    )[0]?.annualGap;
-    const downGap = computeProjections(
-      downInputs,
-      overrides,
-      fundingShock,
-      debt,
-      assumptions,
-      pipeline
-    )[0]?.annualGap;
+  );
+  const withoutReform = computeProjections(
+    inputs,
+    overrides,
+    fundingShocks,
+    debt,
+    withoutFundingReform(assumptions),
+    pipeline
+  );
+  return withReform.map((row, idx) => ({
+    year: row.year,
+    withReform: row.annualGap,
+    withoutReform: withoutReform[idx]?.annualGap ?? 0,
+    impact: row.annualGap - (withoutReform[idx]?.annualGap ?? 0),
+  }));
+};
+
+export const sensitivityMetrics = {
+  year1Gap: "Y1 gap",
+  cumulativeGap: "Cumulative gap",
+  finalReserves: "Final year usable reserves",
+};
+
+export const sensitivityRangeModes = {
+  absolute: "Absolute",
+  percent: "Percentage",
+};
+
+const pathDriver = (key, label, scope, path, range, unit = "percent") => ({
+  key,
+  label,
+  range,
+  unit,
+  get: (context) =>
+    path.reduce((value, part) => value?.[part], context[scope]) ?? 0,
+  set: (context, value) => {
+    const update = (target, [part, ...rest]) => ({
+      ...target,
+      [part]: rest.length ? update(target?.[part] ?? {}, rest) : value,
+    });
+    return { ...context, [scope]: update(context[scope], path) };
+  },
+});
+
+const pointRange = { mode: "absolute", down: -1, up: 1 };
+
+export const defaultSensitivityKeys = [
+  "councilTaxIncrease",
+  "payAward",
+  "generalInflation",
+  "socialCareGrowth",
+];
+
+export const listSensitivityDrivers = (assumptions = initialState) => [
+  pathDriver(
+    "councilTaxIncrease",
+    "Council Tax %",
+    "inputs",
+    ["councilTaxIncrease"],
+    pointRange
+  ),
+  pathDriver("payAward", "Pay Award %", "inputs", ["payAward"], pointRange),
+  pathDriver(
+    "generalInflation",
+    "General Inflation %",
+    "inputs",
+    ["generalInflation"],
+    pointRange
+  ),
+  pathDriver(
+    "socialCareGrowth",
+    "Demand Growth %",
+    "inputs",
+    ["socialCareGrowth"],
+    pointRange
+  ),
+  pathDriver(
+    "fundingGrowth.businessRates",
+    "Business Rates Growth %",
+    "assumptions",
+    ["fundingGrowth", "businessRates"],
+    pointRange
+  ),
+  pathDriver(
+    "fundingGrowth.revenueSupportGrant",
+    "RSG Growth %",
+    "assumptions",
+    ["fundingGrowth", "revenueSupportGrant"],
+    pointRange
+  ),
+  pathDriver(
+    "fundingGrowth.otherGrants",
+    "Other Grants Growth %",
+    "assumptions",
+    ["fundingGrowth", "otherGrants"],
+    pointRange
+  ),
+  pathDriver(
+    "taxBase",
+    "Tax Base",
+    "assumptions",
+    ["taxBase"],
+    { mode: "percent", down: -2, up: 2 },
+    "count"
+  ),
+  pathDriver(
+    "debtInterestRate",
+    "Debt Interest Rate %",
+    "debt",
+    ["debtInterestRate"],
+    pointRange
+  ),
+  pathDriver(
+    "newBorrowingRate",
+    "New Borrowing Rate %",
+    "debt",
+    ["newBorrowingRate"],
+    pointRange
+  ),
+  {
+    key: "savingsConfidence",
+    label: "Savings Confidence (% of plan)",
+    range: { mode: "absolute", down: -10, up: 10 },
+    unit: "percent",
+    get: () => 100,
+    set: (context, value) => ({
+      ...context,
+      pipeline: context.pipeline.map((item) => ({
+        ...item,
+        confidence: Math.min(
+          1,
+          Math.max(0, (item.confidence ?? 0) * (value / 100))
+        ),
+      })),
+    }),
+  },
+  ...resolveServices(assumptions).map((service, idx) => ({
+    key: `services.${idx}.demand`,
+    label: `${service.name} Demand (% of plan)`,
+    range: { mode: "absolute", down: -10, up: 10 },
+    unit: "percent",
+    get: () => 100,
+    set: (context, value) => {
+      const factor = value / 100;
+      const services = resolveServices(context.assumptions);
+      const target = services[idx];
+      return {
+        ...context,
+        assumptions: {
+          ...context.assumptions,
+          demandPressures:
+            target?.demandDriver === "cohorts"
+              ? context.assumptions.demandPressures
+              : context.assumptions.demandPressures *
+                (1 + (target?.split ?? 0) * (factor - 1)),
+          services: services.map((item, sIdx) =>
+            sIdx === idx
+              ? {
+                  ...item,
+                  demandBase: (item.demandBase ?? 0) * factor,
+                  cohorts: (item.cohorts ?? []).map((cohort) => ({
+                    ...cohort,
+                    volume: (cohort.volume ?? 0) * factor,
+                  })),
+                }
+              : item
+          ),
+        },
+      };
+    },
+  })),
+];
+
+const sensitivityValue = (base, range, delta) =>
+  range?.mode === "percent" ? base * (1 + delta / 100) : base + delta;
+
+const projectContext = (context) =>
+  computeProjections(
+    context.inputs,
+    context.overrides,
+    context.fundingShocks,
+    context.debt,
+    context.assumptions,
+    context.pipeline
+  );
+
+const projectMetric = (context, metric) => {
+  const rows = projectContext(context);
+  if (metric === "cumulativeGap") {
+    return rows.reduce((sum, row) => sum + row.annualGap, 0);
+  }
+  if (metric === "finalReserves") {
+    return rows[rows.length - 1]?.usableReserves ?? 0;
+  }
+  return rows[0]?.annualGap ?? 0;
+};
+
+export const computeSensitivity = (
+  inputs,
+  overrides,
+  fundingShocks,
+  debt,
+  assumptions = initialState,
+  pipeline = defaultSavingsPipeline,
+  options = {}
+) => {
+  const {
+    metric = "year1Gap",
+    drivers: keys = defaultSensitivityKeys,
+    ranges = {},
+  } = options;
+  const context = {
+    inputs,
+    overrides,
+    fundingShocks,
+    debt,
+    assumptions,
+    pipeline,
+  };
+  const baseline = projectMetric(context, metric);
+  return listSensitivityDrivers(assumptions)
+    .filter((driver) => keys.includes(driver.key))
+    .map((driver) => {
+      const range = { ...driver.range, ...(ranges[driver.key] ?? {}) };
+      const base = driver.get(context);
+      const low = sensitivityValue(base, range, range.down);
+      const high = sensitivityValue(base, range, range.up);
+      const downValue = projectMetric(driver.set(context, low), metric);
+      const upValue = projectMetric(driver.set(context, high), metric);
+      return {
+        key: driver.key,
+        driver: driver.label,
+        low,
+        high,
+        up: upValue - baseline,
+        down: baseline - downValue,
+      };
+    });
+};
+
+export const computeTwoWaySensitivity = (
+  inputs,
+  overrides,
+  fundingShocks,
+  debt,
+  assumptions = initialState,
+  pipeline = defaultSavingsPipeline,
+  options = {}
+) => {
+  const {
+    metric = "year1Gap",
+    rowDriver = "payAward",
+    colDriver = "generalInflation",
+    ranges = {},
+    steps = 5,
+  } = options;
+  const drivers = listSensitivityDrivers(assumptions);
+  const rowSpec = drivers.find((driver) => driver.key === rowDriver);
+  const colSpec = drivers.find((driver) => driver.key === colDriver);
+  if (!rowSpec || !colSpec) return null;
+  const context = {
+    inputs,
+    overrides,
+    fundingShocks,
+    debt,
+    assumptions,
+    pipeline,
+  };
+  const points = (driver) => {
+    const range = { ...driver.range, ...(ranges[driver.key] ?? {}) };
+    const base = driver.get(context);
+    const count = Math.max(2, steps);
+    return Array.from({ length: count }, (_, idx) =>
+      sensitivityValue(
+        base,
+        range,
+        range.down + ((range.up - range.down) * idx) / (count - 1)
+      )
+    );
+  };
+  const rowValues = points(rowSpec);
+  const colValues = points(colSpec);
+  return {
+    metric,
+    base: projectMetric(context, metric),
+    rowDriver: rowSpec.label,
+    colDriver: colSpec.label,
+    rowValues,
+    colValues,
+    cells: rowValues.map((rowValue) =>
+      colValues.map((colValue) =>
+        projectMetric(
+          colSpec.set(rowSpec.set(context, rowValue), colValue),
+          metric
+        )
+      )
+    ),
+  };
+};
+
+export const goalSeekMetrics = {
+  annualGap: "Annual gap",
+  cumulativeGap: "Cumulative gap to year",
+  usableReserves: "Usable reserves",
+  reservesEnd: "Total reserves",
+  netBudgetRequirement: "Net budget requirement",
+  totalFunding: "Total funding",
+};
+
+const amountRange = { mode: "percent", down: -10, up: 10 };
+
+export const listGoalSeekVariables = (assumptions = initialState) => [
+  ...listSensitivityDrivers(assumptions),
+  pathDriver("ascPrecept", "ASC Precept %", "inputs", ["ascPrecept"], pointRange),
+  pathDriver(
+    "plannedSavings",
+    "Planned Savings",
+    "assumptions",
+    ["plannedSavings"],
+    amountRange,
+    "money"
+  ),
+  pathDriver(
+    "demandPressures",
+    "Demand Pressures",
+    "assumptions",
+    ["demandPressures"],
+    amountRange,
+    "money"
+  ),
+  pathDriver(
+    "previousYearBase",
+    "Previous Year Base",
+    "assumptions",
+    ["previousYearBase"],
+    amountRange,
+    "money"
+  ),
+  pathDriver(
+    "averageBandD",
+    "Average Band D",
+    "assumptions",
+    ["averageBandD"],
+    amountRange,
+    "money"
+  ),
+  pathDriver(
+    "businessRates",
+    "Business Rates",
+    "assumptions",
+    ["businessRates"],
+    amountRange,
+    "money"
+  ),
+  pathDriver(
+    "revenueSupportGrant",
+    "Revenue Support Grant",
+    "assumptions",
+    ["revenueSupportGrant"],
+    amountRange,
+    "money"
+  ),
+  pathDriver("otherGrants", "Other Grants", "assumptions", ["otherGrants"], amountRange, "money"),
+  {
+    key: "fundingLoss",
+    label: "Recurring Funding Loss from Y1",
+    range: amountRange,
+    unit: "money",
+    bounds: { min: 0, max: assumptions.previousYearBase ?? 0 },
+    get: () => 0,
+    set: (context, value) => ({
+      ...context,
+      fundingShocks: [
+        ...resolveFundingShocks(context.fundingShocks),
+        {
+          ...defaultFundingShock,
+          name: "Funding loss (goal seek)",
+          enabled: true,
+          recurring: true,
+          amount: -value,
+        },
+      ],
+    }),
+  },
+];
+
+const goalSeekBounds = (variable, current) => {
+  if (variable.bounds) return variable.bounds;
+  if (variable.range === pointRange) return { min: -5, max: 20 };
+  if (variable.range?.mode === "percent") {
+    return { min: 0, max: Math.max(Math.abs(current) * 2, 1) };
+  }
+  return { min: 0, max: 200 };
+};
+
+const goalSeekValue = (rows, metric, yearIndex) => {
+  if (metric === "cumulativeGap") {
+    return rows
+      .slice(0, yearIndex + 1)
+      .reduce((sum, row) => sum + row.annualGap, 0);
+  }
+  return rows[yearIndex]?.[metric] ?? 0;
+};
+
+export const goalSeek = (
+  inputs,
+  overrides,
+  fundingShocks,
+  debt,
+  assumptions = initialState,
+  pipeline = defaultSavingsPipeline,
+  options = {}
+) => {
+  const years = horizonLength(assumptions);
+  const {
+    variable: key = "payAward",
+    metric = "usableReserves",
+    target = 0,
+    samples = 16,
+  } = options;
+  const variable = listGoalSeekVariables(assumptions).find(
+    (item) => item.key === key
+  );
+  if (!variable || !goalSeekMetrics[metric]) return null;
+  const yearIndex = Math.min(
+    years - 1,
+    Math.max(0, Math.round(options.yearIndex ?? years - 1))
+  );
+  const context = {
+    inputs,
+    overrides,
+    fundingShocks,
+    debt,
+    assumptions,
+    pipeline,
+  };
+  const current = variable.get(context);
+  const bounds = goalSeekBounds(variable, current);
+  const min = Number.isFinite(options.min) ? options.min : bounds.min;
+  const max = Number.isFinite(options.max) ? options.max : bounds.max;
+  const metricAt = (value) =>
+    goalSeekValue(
+      projectContext(variable.set(context, value)),
+      metric,
+      yearIndex
+    );
+  const result = {
+    variable: key,
+    label: variable.label,
+    metric,
+    yearIndex,
+    target,
+    current,
+    currentValue: metricAt(current),
+    min,
+    max,
+  };
+  if (!(max > min)) return { ...result, found: false, value: current };
+
+  const points = Array.from(
+    { length: samples + 1 },
+    (_, i) => min + ((max - min) * i) / samples
+  );
+  const deltas = points.map((value) => metricAt(value) - target);
+  const bracket = deltas.findIndex(
+    (delta, i) =>
+      delta === 0 || (i < samples && Math.sign(delta) !== Math.sign(deltas[i + 1]))
+  );
+  if (bracket < 0) {
+    const nearest = deltas.reduce(
+      (best, delta, i) => (Math.abs(delta) < Math.abs(deltas[best]) ? i : best),
+      0
+    );
     return {
-      driver: driver.label,
-      up: (upGap ?? 0) - (baseline ?? 0),
-      down: (baseline ?? 0) - (downGap ?? 0),
+      ...result,
+      found: false,
+      value: points[nearest],
+      achieved: deltas[nearest] + target,
     };
+  }
+
+  let low = points[bracket];
+  let high = points[Math.min(bracket + 1, samples)];
+  const lowSign = Math.sign(deltas[bracket]);
+  for (let i = 0; i < 40 && lowSign !== 0; i += 1) {
+    const mid = (low + high) / 2;
+    if (Math.sign(metricAt(mid) - target) === lowSign) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const value = lowSign === 0 ? low : (low + high) / 2;
+  return { ...result, found: true, value, achieved: metricAt(value) };
+};
+
+export const applyGoalSeek = (context, result, assumptions = initialState) => {
+  const variable = listGoalSeekVariables(assumptions).find(
+    (item) => item.key === result?.variable
+  );
+  if (!variable || !result.found) return context;
+  return variable.set(context, result.value);
+};
+
+export const normaliseScenario = (entry = {}) => ({
+  name: entry.name ?? "Scenario",
+  inputs: { ...initialState.baseline, ...(entry.inputs ?? {}) },
+  overrides: entry.overrides ?? defaultOverrides,
+  fundingShocks: resolveFundingShocks(
+    entry.fundingShocks ?? entry.fundingShock ?? []
+  ),
+  debt: entry.debt ?? defaultDebt,
+  assumptions: entry.assumptions ?? initialState,
+  pipeline: entry.pipeline ?? defaultSavingsPipeline,
+});
+
+export const presetScenario = (name, assumptions = initialState, pipeline) =>
+  normaliseScenario({
+    name: `Preset: ${name}`,
+    inputs: scenarioPresets[name],
+    fundingShocks: [],
+    assumptions,
+    pipeline,
+  });
+
+export const compareScenarios = (entries) =>
+  entries.map((entry) => {
+    const scenario = normaliseScenario(entry);
+    const rows = projectContext(scenario);
+    return {
+      name: scenario.name,
+      rows,
+      totalGap: rows.reduce((sum, row) => sum + row.annualGap, 0),
+      finalReserves: rows[rows.length - 1]?.usableReserves ?? 0,
+    };
+  });
+
+const inputLabels = {
+  councilTaxIncrease: "Core Council Tax %",
+  ascPrecept: "ASC Precept %",
+  payAward: "Pay Award %",
+  generalInflation: "General Inflation %",
+  socialCareGrowth: "Demand Growth %",
+};
+
+const scopeLabels = {
+  overrides: "Per-year overrides",
+  debt: "Debt & capital programme",
+};
+
+const itemScopes = {
+  fundingShocks: (name) => name,
+  pipeline: (name) => `Savings: ${name}`,
+};
+
+const assumptionLabel = (key) =>
+  key
+    .replace(/([A-Z])/g, " $1")
+    .replace(/^./, (char) => char.toUpperCase());
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const listScenarioDifferences = (from, to) => {
+  const base = normaliseScenario(from);
+  const target = normaliseScenario(to);
+  const field = (scope, key, label, get) => ({
+    key: key ? `${scope}.${key}` : scope,
+    scope,
+    field: key,
+    label,
+    from: get(base),
+    to: get(target),
+  });
+  const assumptionKeys = [
+    ...new Set([
+      ...Object.keys(base.assumptions),
+      ...Object.keys(target.assumptions),
+    ]),
+  ];
+  return [
+    ...Object.keys(inputLabels).map((key) =>
+      field("inputs", key, inputLabels[key], (scenario) => scenario.inputs[key])
+    ),
+    ...assumptionKeys.map((key) =>
+      field("assumptions", key, assumptionLabel(key), (scenario) =>
+        scenario.assumptions[key]
+      )
+    ),
+    ...Object.keys(scopeLabels).map((scope) =>
+      field(scope, null, scopeLabels[scope], (scenario) => scenario[scope])
+    ),
+    ...Object.entries(itemScopes).flatMap(([scope, label]) => {
+      const length = Math.max(base[scope].length, target[scope].length);
+      return Array.from({ length }, (_, index) => {
+        const from = base[scope][index];
+        const to = target[scope][index];
+        const name = (to ?? from).name;
+        const shared = [base[scope], target[scope]].some((list) =>
+          list.some((entry, i) => i !== index && entry.name === name)
+        );
+        return {
+          key: `${scope}:${index}`,
+          scope,
+          item: index,
+          label: label(shared ? `${name} #${index + 1}` : name),
+          from,
+          to,
+        };
+      });
+    }),
+  ].filter((item) => !sameValue(item.from, item.to));
+};
+
+const applyDifference = (context, difference) => {
+  if (difference.item !== undefined) {
+    const slots = [...context[difference.scope]];
+    slots[difference.item] = difference.to ?? null;
+    return { ...context, [difference.scope]: slots };
+  }
+  return difference.field
+    ? {
+        ...context,
+        [difference.scope]: {
+          ...context[difference.scope],
+          [difference.field]: difference.to,
+        },
+      }
+    : { ...context, [difference.scope]: difference.to };
+};
+
+export const attributeScenarioVariance = (from, to) => {
+  const base = normaliseScenario(from);
+  const target = normaliseScenario(to);
+  const baseRows = projectContext(base);
+  const targetRows = projectContext(target);
+  let context = base;
+  let previous = baseRows;
+  const factors = listScenarioDifferences(base, target).map((difference) => {
+    context = applyDifference(context, difference);
+    const rows = projectContext({
+      ...context,
+      fundingShocks: context.fundingShocks.filter(Boolean),
+      pipeline: context.pipeline.filter(Boolean),
+    });
+    const byYear = rows.map(
+      (row, i) => row.annualGap - (previous[i]?.annualGap ?? 0)
+    );
+    previous = rows;
+    return {
+      ...difference,
+      byYear,
+      total: byYear.reduce((sum, value) => sum + value, 0),
+    };
+  });
+  const totalGap = (rows) => rows.reduce((sum, row) => sum + row.annualGap, 0);
+  return {
+    from: base.name,
+    to: target.name,
+    baseRows,
+    targetRows,
+    factors,
+    total: totalGap(targetRows) - totalGap(baseRows),
+  };
+};
+
+export const computeVarianceBridge = (variance, yearIndex = 0) => {
+  const start = variance.baseRows[yearIndex]?.annualGap ?? 0;
+  const end = variance.targetRows[yearIndex]?.annualGap ?? 0;
+  let running = start;
+  const steps = variance.factors
+    .map((factor) => ({ label: factor.label, value: factor.byYear[yearIndex] ?? 0 }))
+    .filter((step) => Math.abs(step.value) >= 0.5)
+    .map((step) => {
+      const from = running;
+      running += step.value;
+      return { ...step, kind: "step", start: from, end: running };
+    });
+  return [
+    { label: variance.from, value: start, kind: "total", start: 0, end: start },
+    ...steps,
+    { label: variance.to, value: end, kind: "total", start: 0, end },
+  ];
+};
+
+const varianceCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (["number", "string", "boolean"].includes(typeof value)) return value;
+  return "Changed";
+};
+
+export const summariseVariance = (variance) => ({
+  from: variance.from,
+  to: variance.to,
+  total: variance.total,
+  years: variance.targetRows.map((row) => row.year),
+  start: variance.targetRows.map(
+    (row, i) => variance.baseRows[i]?.annualGap ?? 0
+  ),
+  end: variance.targetRows.map((row) => row.annualGap),
+  factors: variance.factors.map((factor) => ({
+    label: factor.label,
+    from: varianceCell(factor.from),
+    to: varianceCell(factor.to),
+    byYear: factor.byYear,
+    total: factor.total,
+  })),
+});
+
+export const budgetRounds = ["Budget Round 1", "Draft Budget", "Final Budget"];
+
+export const scenarioStateKeys = [
+  "inputs",
+  "overrides",
+  "fundingShocks",
+  "debt",
+  "assumptions",
+  "pipeline",
+  "stress",
+];
+
+const pickScenarioState = (source) =>
+  Object.fromEntries(
+    scenarioStateKeys
+      .filter((key) => source?.[key] !== undefined)
+      .map((key) => [key, source[key]])
+  );
+
+export const resolveScenarioLibrary = (entries) =>
+  (Array.isArray(entries) ? entries : []).map((entry) =>
+    Array.isArray(entry.versions)
+      ? entry
+      : {
+          name: entry.name,
+          versions: [
+            {
+              version: 1,
+              round: "",
+              timestamp: null,
+              author: "",
+              comment: "Saved before versioning",
+              state: {
+                ...pickScenarioState(entry),
+                fundingShocks:
+                  entry.fundingShocks ??
+                  resolveFundingShocks(entry.fundingShock ?? defaultFundingShock),
+              },
+            },
+          ],
+        }
+  );
+
+export const latestScenarioVersion = (entry) =>
+  entry?.versions?.[entry.versions.length - 1] ?? null;
+
+export const saveScenarioVersion = (library, name, state, meta = {}) => {
+  const existing = library.find((entry) => entry.name === name);
+  const versions = existing?.versions ?? [];
+  const version = {
+    version: versions.reduce((max, item) => Math.max(max, item.version), 0) + 1,
+    round: meta.round ?? "",
+    timestamp: meta.timestamp ?? new Date().toISOString(),
+    author: meta.author ?? "",
+    comment: meta.comment ?? "",
+    ...(meta.forkedFrom ? { forkedFrom: meta.forkedFrom } : {}),
+    state: pickScenarioState(state),
+  };
+  if (isRoundLocked(existing, version.round)) return library;
+  const entry = { ...existing, name, versions: [...versions, version] };
+  return existing
+    ? library.map((item) => (item.name === name ? entry : item))
+    : [...library, entry];
+};
+
+export const forkScenarioVersion = (library, name, version, newName, meta = {}) => {
+  const source = library
+    .find((entry) => entry.name === name)
+    ?.versions.find((item) => item.version === version);
+  if (!source || !newName || library.some((entry) => entry.name === newName)) {
+    return library;
+  }
+  const forkedFrom = `${name} v${version}`;
+  return saveScenarioVersion(library, newName, source.state, {
+    round: source.round,
+    ...meta,
+    comment: meta.comment || `Forked from ${forkedFrom}`,
+    forkedFrom,
   });
 };
 
+export const isRoundLocked = (entry, round) =>
+  Boolean(round) && (entry?.lockedRounds ?? []).some((lock) => lock.round === round);
+
+export const lockBudgetRound = (library, name, round, user, timestamp) => {
+  const entry = library.find((item) => item.name === name);
+  if (
+    !hasPermission(user, "lockRound") ||
+    !entry ||
+    isRoundLocked(entry, round) ||
+    !entry.versions.some((version) => version.round === round)
+  ) {
+    return library;
+  }
+  const lock = {
+    round,
+    lockedBy: user.username,
+    lockedAt: timestamp ?? new Date().toISOString(),
+  };
+  return library.map((item) =>
+    item.name === name
+      ? { ...item, lockedRounds: [...(item.lockedRounds ?? []), lock] }
+      : item
+  );
+};
+
+const flattenState = (value, path, out) => {
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (!keys.length && path) out[path] = value;
+    keys.forEach((key) =>
+      flattenState(value[key], path ? `${path}.${key}` : key, out)
+    );
+    return out;
+  }
+  out[path] = value;
+  return out;
+};
+
+export const diffScenarioStates = (from = {}, to = {}) => {
+  const before = flattenState(from, "", {});
+  const after = flattenState(to, "", {});
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((path) => !sameValue(before[path], after[path]))
+    .map((path) => ({ path, from: before[path], to: after[path] }));
+};
+
+export const auditScopes = {
+  inputs: "Scenario inputs",
+  overrides: "Per-year overrides",
+  fundingShocks: "Funding shocks",
+  debt: "Debt & capital",
+  assumptions: "Assumptions",
+  pipeline: "Savings pipeline",
+};
+
+const auditChangeLimit = 100;
+
+const auditHeadline = (inputs = {}) =>
+  `CT ${inputs.councilTaxIncrease}% + ASC ${inputs.ascPrecept ?? 0}% | Pay ${inputs.payAward}% | Infl ${inputs.generalInflation}% | Demand ${inputs.socialCareGrowth}%`;
+
+const auditPosition = (state) => {
+  const rows = projectContext(normaliseScenario(state));
+  return {
+    year1Gap: rows[0]?.annualGap ?? 0,
+    finalReserves: rows[rows.length - 1]?.usableReserves ?? 0,
+  };
+};
+
+export const buildAuditEntry = (previous, next, meta = {}) => {
+  const pick = (state) =>
+    Object.fromEntries(
+      Object.keys(auditScopes).map((key) => [key, state?.[key]])
+    );
+  const changes = previous ? diffScenarioStates(pick(previous), pick(next)) : [];
+  const after = auditPosition(next);
+  const before = previous ? auditPosition(previous) : after;
+  return {
+    timestamp: meta.timestamp ?? new Date().toISOString(),
+    scenario: meta.scenario ?? "",
+    user: meta.user ?? "",
+    summary: previous
+      ? `${auditHeadline(next.inputs)} | ${changes.length} field${
+          changes.length === 1 ? "" : "s"
+        } changed`
+      : `${auditHeadline(next.inputs)} | Session start`,
+    changes: changes.slice(0, auditChangeLimit),
+    truncated: Math.max(0, changes.length - auditChangeLimit),
+    year1Gap: after.year1Gap,
+    year1GapImpact: after.year1Gap - before.year1Gap,
+    finalReserves: after.finalReserves,
+    finalReservesImpact: after.finalReserves - before.finalReserves,
+  };
+};
+
+export const filterAuditTrail = (entries, { query = "", scope = "all" } = {}) => {
+  const term = query.trim().toLowerCase();
+  return entries.filter((entry) => {
+    const changes = entry.changes ?? [];
+    if (
+      scope !== "all" &&
+      !changes.some((change) => change.path.split(".")[0] === scope)
+    ) {
+      return false;
+    }
+    if (!term) return true;
+    return [
+      entry.timestamp,
+      entry.scenario,
+      entry.user,
+      entry.summary,
+      ...changes.flatMap((change) => [
+        change.path,
+        csvEscape(change.from),
+        csvEscape(change.to),
+      ]),
+    ].some((value) => String(value ?? "").toLowerCase().includes(term));
+  });
+};
+
+export const buildAuditCSV = (entries) => {
+  const headers = [
+    "Timestamp",
+    "Scenario",
+    "User",
+    "Summary",
+    "Field",
+    "Old Value",
+    "New Value",
+    "Y1 Gap",
+    "Y1 Gap Impact",
+    "Final Reserves",
+    "Final Reserves Impact",
+    "Previous Hash",
+    "Hash",
+  ];
+  const lines = entries.flatMap((entry) => {
+    const changes = entry.changes?.length ? entry.changes : [{}];
+    return changes.map((change) =>
+      csvLine([
+        entry.timestamp,
+        entry.scenario,
+        entry.user,
+        entry.summary,
+        change.path,
+        change.from,
+        change.to,
+        entry.year1Gap,
+        entry.year1GapImpact,
+        entry.finalReserves,
+        entry.finalReservesImpact,
+        entry.previousHash,
+        entry.hash,
+      ])
+    );
+  });
+  return [csvLine(headers), ...lines].join("\n");
+};
+
+export const auditGenesisHash = "0".repeat(64);
+
+export const canonicalJSON = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+const fromHex = (hex) =>
+  new Uint8Array((hex.match(/../g) ?? []).map((byte) => parseInt(byte, 16)));
+
+const sha256Hex = async (text) =>
+  toHex(
+    await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))
+  );
+
+const auditContent = (entry) => {
+  const { hash, previousHash, ...content } = entry;
+  return content;
+};
+
+export const hashAuditEntry = (entry, previousHash) =>
+  sha256Hex(`${previousHash}|${canonicalJSON(auditContent(entry))}`);
+
+export const appendAuditEntry = async (trail, entry) => {
+  const previousHash = trail[0]?.hash ?? auditGenesisHash;
+  const content = auditContent(entry);
+  const sealed = {
+    ...content,
+    previousHash,
+    hash: await hashAuditEntry(content, previousHash),
+  };
+  return [sealed, ...trail];
+};
+
+export const sealAuditTrail = async (trail) => {
+  if (trail.some((entry) => entry.hash)) return trail;
+  let sealed = [];
+  for (const entry of [...trail].reverse()) {
+    sealed = await appendAuditEntry(sealed, entry);
+  }
+  return sealed;
+};
+
+export const auditAnchor = (trail) => ({
+  head: trail[0]?.hash ?? auditGenesisHash,
+  count: trail.length,
+  tail: trail[trail.length - 1]?.previousHash ?? auditGenesisHash,
+});
+
+export const verifyAuditChain = async (trail, anchor = null) => {
+  const breaks = [];
+  if (anchor?.error) {
+    breaks.push({ index: 0, timestamp: null, reason: anchor.error });
+  } else if (anchor && anchor.head !== (trail[0]?.hash ?? auditGenesisHash)) {
+    breaks.push({ index: 0, timestamp: trail[0]?.timestamp ?? null, reason: "Head mismatch" });
+  }
+  if (anchor && !anchor.error && trail.length < anchor.count) {
+    breaks.push({
+      index: trail.length,
+      timestamp: trail[trail.length - 1]?.timestamp ?? null,
+      reason: "Entries missing",
+    });
+  }
+  for (let i = 0; i < trail.length; i += 1) {
+    const entry = trail[i];
+    const older = trail[i + 1];
+    if (!entry.hash || !entry.previousHash) {
+      breaks.push({ index: i, timestamp: entry.timestamp, reason: "Unsealed entry" });
+      continue;
+    }
+    if ((await hashAuditEntry(entry, entry.previousHash)) !== entry.hash) {
+      breaks.push({ index: i, timestamp: entry.timestamp, reason: "Content altered" });
+    }
+    if (older && older.hash !== entry.previousHash) {
+      breaks.push({ index: i, timestamp: entry.timestamp, reason: "Broken link" });
+    }
+  }
+  const oldest = trail[trail.length - 1];
+  if (oldest?.previousHash && oldest.previousHash !== (anchor?.tail ?? auditGenesisHash)) {
+    breaks.push({
+      index: trail.length - 1,
+      timestamp: oldest.timestamp,
+      reason: "Oldest entries missing",
+    });
+  }
+  return {
+    valid: breaks.length === 0,
+    checked: trail.length,
+    head: trail[0]?.hash ?? auditGenesisHash,
+    anchored: !oldest || oldest.previousHash === auditGenesisHash,
+    anchorChecked: Boolean(anchor),
+    breaks,
+  };
+};
+
+export const buildAuditChainExport = (trail) => ({
+  algorithm: "SHA-256",
+  method:
+    "hash = hex(SHA-256(previousHash + '|' + canonical JSON of the entry without hash and previousHash, keys sorted))",
+  genesis: auditGenesisHash,
+  start: trail[trail.length - 1]?.previousHash ?? auditGenesisHash,
+  head: trail[0]?.hash ?? auditGenesisHash,
+  entries: [...trail].reverse(),
+});
+
+export const userRoles = {
+  viewer: "Viewer",
+  member: "Member",
+  analyst: "Analyst",
+  s151: "S151 Officer",
+};
+
+export const rolePermissions = {
+  viewer: ["viewSummary"],
+  member: ["viewSummary", "viewModel"],
+  analyst: ["viewSummary", "viewModel", "saveScenario"],
+  s151: ["viewSummary", "viewModel", "saveScenario", "lockRound", "manageUsers"],
+};
+
+export const hasPermission = (user, permission) =>
+  Boolean(rolePermissions[user?.role]?.includes(permission));
+
+export const passwordIterations = 210_000;
+export const minPasswordLength = 8;
+
+const passphraseMaterial = (passphrase, usage) =>
+  globalThis.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    [usage]
+  );
+
+export const hashPassword = async (password, salt, iterations = passwordIterations) => {
+  const bits = await globalThis.crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromHex(salt), iterations },
+    await passphraseMaterial(password, "deriveBits"),
+    256
+  );
+  return toHex(bits);
+};
+
+const sameHash = (a = "", b = "") => {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+};
+
+export const publicUser = (account) =>
+  account
+    ? {
+        username: account.username,
+        displayName: account.displayName,
+        role: account.role,
+      }
+    : null;
+
+export const createUserAccount = (users, details, options = {}) => {
+  const username = (details.username ?? "").trim().toLowerCase();
+  const password = details.password ?? "";
+  if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+    return { users, error: "Usernames need 3–32 letters, digits, dots, dashes or underscores." };
+  }
+  if (users.some((account) => account.username === username)) {
+    return { users, error: "That username is already taken." };
+  }
+  if (!userRoles[details.role]) {
+    return { users, error: "Choose a role." };
+  }
+  if (password.length < minPasswordLength) {
+    return { users, error: `Passwords need at least ${minPasswordLength} characters.` };
+  }
+  const account = {
+    username,
+    displayName: (details.displayName ?? "").trim() || username,
+    role: details.role,
+    createdAt: options.timestamp ?? new Date().toISOString(),
+  };
+  return { users: [...users, account], error: "" };
+};
+
+export const authenticateLegacyUser = async (users, username, password) => {
+  const account = users.find(
+    (item) => item.username === (username ?? "").trim().toLowerCase()
+  );
+  if (!account?.passwordHash) return null;
+  const hash = await hashPassword(password ?? "", account.salt, account.iterations);
+  return sameHash(hash, account.passwordHash) ? publicUser(account) : null;
+};
+
+export const removeUserAccount = (users, username) => {
+  const remaining = users.filter((account) => account.username !== username);
+  return remaining.some((account) => hasPermission(account, "manageUsers"))
+    ? remaining
+    : users;
+};
+
+const toBase64 = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const vaultCheckValue = "mtfs-vault-check";
+
+export const deriveVaultKey = async (passphrase, salt, iterations = passwordIterations) =>
+  globalThis.crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromHex(salt), iterations },
+    await passphraseMaterial(passphrase, "deriveKey"),
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+
+export const encryptValue = async (key, text) => {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const data = await globalThis.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { cipher: "AES-GCM", iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+export const decryptValue = async (key, payload) => {
+  try {
+    const plain = await globalThis.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(payload.iv) },
+      key,
+      fromBase64(payload.data)
+    );
+    return new TextDecoder().decode(plain);
+  } catch {
+    return null;
+  }
+};
+
+const parseStored = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+export const isEncryptedValue = (raw) => {
+  const value = typeof raw === "string" ? parseStored(raw) : raw;
+  return (
+    value?.cipher === "AES-GCM" &&
+    typeof value.iv === "string" &&
+    typeof value.data === "string"
+  );
+};
+
+const vaultKeyUsages = ["encrypt", "decrypt"];
+
+const readSealed = async (payload, key) => {
+  const text = isEncryptedValue(payload) ? await decryptValue(key, payload) : null;
+  return text === null ? null : parseStored(text);
+};
+
+const wrapVaultKey = async (key, password, options = {}) => {
+  const salt = toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+  const iterations = options.iterations ?? passwordIterations;
+  const raw = new Uint8Array(await globalThis.crypto.subtle.exportKey("raw", key));
+  return {
+    salt,
+    iterations,
+    key: await encryptValue(await deriveVaultKey(password, salt, iterations), toBase64(raw)),
+  };
+};
+
+export const createStorageVault = async (username, password, options = {}) => {
+  if ((password ?? "").length < minPasswordLength) {
+    return {
+      vault: null,
+      key: null,
+      error: `Passwords need at least ${minPasswordLength} characters.`,
+    };
+  }
+  const key = await globalThis.crypto.subtle.generateKey(
+    { name: "AES-GCM", length: 256 },
+    true,
+    vaultKeyUsages
+  );
+  return {
+    vault: {
+      version: 2,
+      keys: { [username]: await wrapVaultKey(key, password, options) },
+      createdAt: options.timestamp ?? new Date().toISOString(),
+    },
+    key,
+    error: "",
+  };
+};
+
+export const grantVaultAccess = async (vault, key, username, password, options = {}) => ({
+  ...vault,
+  keys: { ...vault.keys, [username]: await wrapVaultKey(key, password, options) },
+});
+
+export const revokeVaultAccess = (vault, username) => ({
+  ...vault,
+  keys: Object.fromEntries(
+    Object.entries(vault.keys ?? {}).filter(([name]) => name !== username)
+  ),
+});
+
+export const unlockStorageVault = async (vault, username, password) => {
+  const wrapped = vault?.keys?.[(username ?? "").trim().toLowerCase()];
+  if (!wrapped || !isEncryptedValue(wrapped.key)) return null;
+  const raw = await decryptValue(
+    await deriveVaultKey(password ?? "", wrapped.salt, wrapped.iterations),
+    wrapped.key
+  );
+  return raw === null
+    ? null
+    : globalThis.crypto.subtle.importKey("raw", fromBase64(raw), "AES-GCM", true, vaultKeyUsages);
+};
+
+export const unlockLegacyVault = async (vault, passphrase) => {
+  if (!vault?.salt || !isEncryptedValue(vault.check)) return null;
+  const key = await deriveVaultKey(passphrase ?? "", vault.salt, vault.iterations);
+  return (await decryptValue(key, vault.check)) === vaultCheckValue ? key : null;
+};
+
+export const sealVaultUsers = async (vault, key, users) => ({
+  ...vault,
+  users: await encryptValue(key, JSON.stringify(users)),
+});
+
+export const readVaultUsers = async (vault, key) => {
+  const users = await readSealed(vault?.users, key);
+  return Array.isArray(users)
+    ? { users, error: "" }
+    : { users: [], error: "Account list could not be decrypted" };
+};
+
+export const signInToVault = async (vault, username, password) => {
+  const name = (username ?? "").trim().toLowerCase();
+  const key = await unlockStorageVault(vault, name, password);
+  const stored = key ? await readVaultUsers(vault, key) : { users: [], error: "" };
+  const user = publicUser(stored.users.find((account) => account.username === name));
+  return user
+    ? { user, users: stored.users, key, error: "" }
+    : {
+        user: null,
+        users: [],
+        key: null,
+        error: stored.error || "Incorrect username or password.",
+      };
+};
+
+export const sealVaultAnchor = async (vault, key, anchor) => ({
+  ...vault,
+  audit: await encryptValue(key, JSON.stringify(anchor)),
+});
+
+export const readVaultAnchor = async (vault, key) => {
+  if (vault?.audit === undefined) {
+    return { anchor: null, error: "Audit chain anchor is missing" };
+  }
+  const anchor = await readSealed(vault.audit, key);
+  return anchor
+    ? { anchor, error: "" }
+    : { anchor: null, error: "Audit chain anchor could not be decrypted" };
+};
+
+export const readEncryptedItem = async (storage, name, key) => {
+  const raw = storage.getItem(name);
+  if (raw === null) return { value: null, error: "" };
+  const stored = parseStored(raw);
+  if (!isEncryptedValue(stored)) {
+    return { value: null, error: "Stored data is not encrypted" };
+  }
+  const text = await decryptValue(key, stored);
+  const value = text === null ? null : parseStored(text);
+  return value === null
+    ? { value: null, error: "Stored data could not be decrypted" }
+    : { value, error: "" };
+};
+
+export const writeEncryptedItem = async (storage, name, value, key) => {
+  storage.setItem(name, JSON.stringify(await encryptValue(key, JSON.stringify(value))));
+};
+
+export const migrateToVault = async (storage, names, key, legacyKey = null) => {
+  const migrated = [];
+  for (const name of names) {
+    const raw = storage.getItem(name);
+    if (raw === null) continue;
+    const stored = parseStored(raw);
+    const encrypted = isEncryptedValue(stored);
+    if (encrypted && !legacyKey) continue;
+    const value = encrypted ? await readSealed(stored, legacyKey) : stored;
+    if (value === null) continue;
+    await writeEncryptedItem(storage, name, value, key);
+    migrated.push(name);
+  }
+  return migrated;
+};
+
+const bisectRate = (gapAt, low, high) => {
+  let best = high;
+  for (let i = 0; i < 20; i += 1) {
+    const mid = (low + high) / 2;
+    if (gapAt(mid) > 0) {
+      low = mid;
+    } else {
+      high = mid;
+      best = mid;
+    }
+  }
+  return best;
+};
+
 export const solveCouncilTaxIncrease = (
   inputs,
   overrides,
-  fundingShock,
+  fundingShocks,
   debt,
   assumptions,
   pipeline
 ) => {
-  let low = 0;
-  let high = 5;
-  let best = null;
-  for (let i = 0; i < 20; i += 1) {
-    const mid = (low + high) / 2;
-    const testInputs = { ...inputs, councilTaxIncrease: mid };
-    const gap = computeProjections(
-      testInputs,
+  const limits = resolveReferendumLimits(assumptions);
+  const coreCap = Number.isFinite(limits.core) ? limits.core : 15;
+  const ascCap = Number.isFinite(limits.ascPrecept) ? limits.ascPrecept : 15;
+  const gapFor = (core, asc) =>
+    computeProjections(
+      { ...inputs, councilTaxIncrease: core, ascPrecept: asc },
       overrides,
-      fundingShock,
+      fundingShocks,
       debt,
       assumptions,
       pipeline
     )[0]?.annualGap;
-    if (gap === undefined) return null;
-    if (gap > 0) {
-      low = mid;
-    } else {
-      high = mid;
-      best = mid;
-    }
+  const ascPrecept = Math.min(Math.max(inputs.ascPrecept ?? 0, 0), ascCap);
+  if (gapFor(coreCap, ascPrecept) === undefined) return null;
+
+  const result = (core, asc) => ({
+    councilTaxIncrease: core,
+    ascPrecept: asc,
+    residualGap: Math.max(0, gapFor(core, asc)),
+  });
+
+  if (gapFor(coreCap, ascPrecept) <= 0) {
+    const core = bisectRate((rate) => gapFor(rate, ascPrecept), 0, coreCap);
+    return { ...result(core, ascPrecept), capped: false };
   }
-  return best;
+  if (gapFor(coreCap, ascCap) <= 0) {
+    const asc = bisectRate((rate) => gapFor(coreCap, rate), ascPrecept, ascCap);
+    return { ...result(coreCap, asc), capped: false };
+  }
+  return { ...result(coreCap, ascCap), capped: true };
 };
 
 export const solveAdditionalSavings = (projections) => {
@@ -590,6 +3506,193 @@ export const solveAdditionalSavings = (projections) => {
   return year1.annualGap > 0 ? year1.annualGap : 0;
 };
 
+export const solverTargets = {
+  balanced: "Balanced budget every year",
+  reserves: "Minimum usable reserves at year N",
+};
+
+export const solverLevers = {
+  councilTax: "Council tax (up to referendum cap)",
+  feesIncome: "Fees & charges",
+  additionalSavings: "Additional savings",
+  reserveUse: "Reserves drawdown",
+};
+
+export const defaultSolverOptions = {
+  target: "balanced",
+  targetYear: 5,
+  minimumReserves: 20_000_000,
+  levers: [
+    { key: "councilTax", enabled: true, priority: 1, min: 0, max: null },
+    { key: "feesIncome", enabled: true, priority: 2, min: 0, max: 2_000_000 },
+    {
+      key: "additionalSavings",
+      enabled: true,
+      priority: 3,
+      min: 0,
+      max: 8_000_000,
+    },
+    { key: "reserveUse", enabled: false, priority: 4, min: 0, max: 5_000_000 },
+  ],
+};
+
+const solverOverride = (override, values) => ({
+  ...(override?.enabled ? override : emptyOverride()),
+  ...values,
+  enabled: true,
+});
+
+export const solveBudgetPlan = (
+  inputs,
+  overrides,
+  fundingShocks,
+  debt,
+  assumptions = initialState,
+  pipeline = defaultSavingsPipeline,
+  options = defaultSolverOptions
+) => {
+  const years = horizonLength(assumptions);
+  const target = options.target === "reserves" ? "reserves" : "balanced";
+  const targetYear = Math.min(
+    years,
+    Math.max(1, Math.round(options.targetYear ?? years))
+  );
+  const limits = resolveReferendumLimits(assumptions);
+  const levers = (options.levers ?? [])
+    .filter((lever) => lever.enabled && solverLevers[lever.key])
+    .filter((lever) => !(target === "reserves" && lever.key === "reserveUse"))
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+  const floors = resolveReserves(assumptions)
+    .filter(isGapAbsorbing)
+    .reduce((sum, reserve) => sum + (reserve.minimumBalance ?? 0), 0);
+  const openingUsable = resolveReserves(assumptions)
+    .filter(isGapAbsorbing)
+    .reduce((sum, reserve) => sum + (reserve.opening ?? 0), 0);
+
+  let planOverrides = Array.from(
+    { length: years },
+    (_, i) => overrides?.[i] ?? emptyOverride()
+  );
+  const budgetPlan = Object.keys(budgetPlanLevers).reduce((acc, key) => {
+    acc[key] = Array(years).fill(0);
+    return acc;
+  }, {});
+  const project = (nextOverrides, nextPlan) =>
+    computeProjections(
+      inputs,
+      nextOverrides,
+      fundingShocks,
+      debt,
+      { ...assumptions, budgetPlan: nextPlan },
+      pipeline
+    );
+  const shortfall = (rows, yearIndex) =>
+    target === "balanced"
+      ? rows[yearIndex].annualGap
+      : (options.minimumReserves ?? 0) - rows[targetYear - 1].usableReserves;
+
+  const solveLever = (yearIndex, low, high, build) => {
+    const shortfallAt = (value) => {
+      const next = build(value);
+      return shortfall(project(next.overrides, next.plan), yearIndex);
+    };
+    if (high <= low || shortfallAt(low) <= 0) return low;
+    if (shortfallAt(high) > 0) return high;
+    return bisectRate(shortfallAt, low, high);
+  };
+
+  const lastYear = target === "balanced" ? years : targetYear;
+  for (let i = 0; i < lastYear; i += 1) {
+    levers.forEach((lever) => {
+      const rows = project(planOverrides, budgetPlan);
+      if (shortfall(rows, i) <= 0) return;
+      if (lever.key === "councilTax") {
+        const current = resolveInputsForYear(inputs, planOverrides, i);
+        const coreCap = Math.min(
+          Number.isFinite(limits.core) ? limits.core : 15,
+          lever.max ?? Infinity
+        );
+        const ascCap = Number.isFinite(limits.ascPrecept)
+          ? limits.ascPrecept
+          : 15;
+        const coreLow = Math.max(current.councilTaxIncrease, lever.min ?? 0);
+        const withRates = (core, asc) => ({
+          overrides: planOverrides.map((override, idx) =>
+            idx === i
+              ? solverOverride(override, {
+                  councilTaxIncrease: core,
+                  ascPrecept: asc,
+                })
+              : override
+          ),
+          plan: budgetPlan,
+        });
+        const core = solveLever(i, coreLow, Math.max(coreLow, coreCap), (rate) =>
+          withRates(rate, current.ascPrecept)
+        );
+        planOverrides = withRates(core, current.ascPrecept).overrides;
+        const ascLow = current.ascPrecept;
+        const asc = solveLever(i, ascLow, Math.max(ascLow, ascCap), (rate) =>
+          withRates(core, rate)
+        );
+        planOverrides = withRates(core, asc).overrides;
+        return;
+      }
+      const headroom =
+        lever.key === "reserveUse"
+          ? Math.max(
+              0,
+              (i === 0 ? openingUsable : rows[i - 1].usableReserves) - floors
+            )
+          : Infinity;
+      const low = lever.min ?? 0;
+      const high = Math.max(
+        low,
+        Math.min(lever.max ?? Infinity, headroom, low + shortfall(rows, i))
+      );
+      const withAmount = (amount) => ({
+        overrides: planOverrides,
+        plan: {
+          ...budgetPlan,
+          [lever.key]: budgetPlan[lever.key].map((value, idx) =>
+            idx === i ? amount : value
+          ),
+        },
+      });
+      budgetPlan[lever.key] = withAmount(
+        solveLever(i, low, high, withAmount)
+      ).plan[lever.key];
+    });
+  }
+
+  const rows = project(planOverrides, budgetPlan);
+  const residualGap =
+    target === "balanced"
+      ? rows.reduce((sum, row) => sum + Math.max(0, row.annualGap), 0)
+      : Math.max(0, shortfall(rows, targetYear - 1));
+  return {
+    target,
+    targetYear,
+    met: residualGap <= 1,
+    residualGap,
+    overrides: planOverrides,
+    budgetPlan,
+    years: rows.map((row, i) => {
+      const yearInputs = resolveInputsForYear(inputs, planOverrides, i);
+      return {
+        year: row.year,
+        councilTaxIncrease: yearInputs.councilTaxIncrease,
+        ascPrecept: yearInputs.ascPrecept,
+        feesIncome: budgetPlan.feesIncome[i],
+        additionalSavings: budgetPlan.additionalSavings[i],
+        reserveUse: budgetPlan.reserveUse[i],
+        annualGap: row.annualGap,
+        usableReserves: row.usableReserves,
+      };
+    }),
+  };
+};
+
 const mulberry32 = (seed) => {
   let t = seed;
   return () => {
@@ -606,59 +3709,224 @@ const normalish = (rand) => {
   return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
 };
 
-export const computeStressTest = (
+export const choleskyDecompose = (matrix) => {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => Array(size).fill(0));
+  for (let i = 0; i < size; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k += 1) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 0) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+};
+
+const identityMatrix = (size) =>
+  Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  );
+
+export const resolveStressCorrelation = (stress = defaultStress) => {
+  const size = stressDrivers.length;
+  const source = stress.correlation ?? identityMatrix(size);
+  const shaped =
+    source.length === size &&
+    source.every(
+      (row) => row.length === size && row.every((value) => Number.isFinite(value))
+    );
+  const matrix = shaped
+    ? source.map((row, i) =>
+        row.map((value, j) =>
+          i === j ? 1 : Math.min(1, Math.max(-1, (value + source[j][i]) / 2))
+        )
+      )
+    : source;
+  const lower = shaped ? choleskyDecompose(matrix) : null;
+  return lower
+    ? { valid: true, lower, matrix }
+    : { valid: false, lower: identityMatrix(size), matrix };
+};
+
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI);
+  const tail =
+    density *
+    t *
+    (0.31938153 +
+      t *
+        (-0.356563782 +
+          t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+const shapeShock = (z, distribution) => {
+  if (distribution === "triangular") {
+    const u = normalCdf(z);
+    const half = Math.sqrt(6);
+    return u < 0.5
+      ? -half + half * Math.sqrt(2 * u)
+      : half - half * Math.sqrt(2 * (1 - u));
+  }
+  if (distribution === "lognormal") {
+    const shape = 0.5;
+    return (
+      (Math.exp(shape * z - (shape * shape) / 2) - 1) /
+      Math.sqrt(Math.exp(shape * shape) - 1)
+    );
+  }
+  return z;
+};
+
+export const drawStressInputs = (rand, inputs, stress, lower) => {
+  const independent = stressDrivers.map(() => normalish(rand));
+  return stressDrivers.reduce(
+    (acc, driver, i) => {
+      const z = lower[i].reduce(
+        (sum, weight, j) => sum + weight * independent[j],
+        0
+      );
+      const shock = shapeShock(z, stress.distributions?.[driver.key]);
+      acc[driver.key] = inputs[driver.key] + shock * (stress[driver.sigma] ?? 0);
+      return acc;
+    },
+    { ...inputs }
+  );
+};
+
+export const simulateStressRun = (
+  tweak,
+  overrides,
+  fundingShocks,
+  debt,
+  assumptions,
+  pipeline
+) => {
+  const sim = computeProjections(
+    tweak,
+    overrides,
+    fundingShocks,
+    debt,
+    assumptions,
+    pipeline
+  );
+  return {
+    gaps: sim.map((row) => row.annualGap),
+    reserves: sim.map((row) => row.usableReserves),
+  };
+};
+
+const percentile = (sorted, p) =>
+  sorted.length ? sorted[Math.floor(p * (sorted.length - 1))] : 0;
+
+const percentileBand = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 0.1),
+    p25: percentile(sorted, 0.25),
+    p50: percentile(sorted, 0.5),
+    p75: percentile(sorted, 0.75),
+    p90: percentile(sorted, 0.9),
+  };
+};
+
+export const summariseStressRuns = (runs, labels) => {
+  const exhausted = runs.map(() => false);
+  const years = labels.map((year, idx) => {
+    runs.forEach((run, runIdx) => {
+      if ((run.reserves[idx] ?? 0) <= 0) exhausted[runIdx] = true;
+    });
+    return {
+      year,
+      gap: percentileBand(runs.map((run) => run.gaps[idx] ?? 0)),
+      reserves: percentileBand(runs.map((run) => run.reserves[idx] ?? 0)),
+      exhaustionProbability: runs.length
+        ? exhausted.filter(Boolean).length / runs.length
+        : 0,
+    };
+  });
+  const year1 = years[0]?.gap ?? percentileBand([]);
+  const final = years[years.length - 1]?.reserves ?? percentileBand([]);
+  return {
+    p10Gap: year1.p10,
+    p50Gap: year1.p50,
+    p90Gap: year1.p90,
+    p10Reserves: final.p10,
+    p50Reserves: final.p50,
+    p90Reserves: final.p90,
+    years,
+  };
+};
+
+export const stressLabels = (assumptions = initialState) =>
+  Array.from(
+    { length: horizonLength(assumptions) },
+    (_, idx) => `Y${idx + 1} (${assumptions.baseYear + idx + 1})`
+  );
+
+export const createStressRunner = (
   inputs,
   overrides,
-  fundingShock,
+  fundingShocks,
   debt,
   assumptions,
   pipeline,
   stress
 ) => {
   const rand = mulberry32(stress.seed);
-  const results = [];
-
-  for (let i = 0; i < stress.simulations; i += 1) {
-    const tweak = {
-      councilTaxIncrease: inputs.councilTaxIncrease +
-        normalish(rand) * stress.ctSigma,
-      payAward: inputs.payAward + normalish(rand) * stress.paySigma,
-      generalInflation:
-        inputs.generalInflation + normalish(rand) * stress.inflationSigma,
-      socialCareGrowth:
-        inputs.socialCareGrowth + normalish(rand) * stress.demandSigma,
-    };
-    const sim = computeProjections(
-      tweak,
-      overrides,
-      fundingShock,
-      debt,
-      assumptions,
-      pipeline
-    );
-    results.push({
-      year1Gap: sim[0]?.annualGap ?? 0,
-      year5Reserves: sim[4]?.reservesEnd ?? 0,
-    });
-  }
-
-  const sortedGap = results.map((r) => r.year1Gap).sort((a, b) => a - b);
-  const sortedRes = results
-    .map((r) => r.year5Reserves)
-    .sort((a, b) => a - b);
-
-  const pick = (arr, p) => arr[Math.floor(p * (arr.length - 1))];
-
+  const { lower } = resolveStressCorrelation(stress);
+  const total = Math.max(0, Math.floor(stress.simulations ?? 0));
+  const runs = [];
   return {
-    p10Gap: pick(sortedGap, 0.1),
-    p50Gap: pick(sortedGap, 0.5),
-    p90Gap: pick(sortedGap, 0.9),
-    p10Reserves: pick(sortedRes, 0.1),
-    p50Reserves: pick(sortedRes, 0.5),
-    p90Reserves: pick(sortedRes, 0.9),
+    total,
+    step: (count = total) => {
+      const end = Math.min(total, runs.length + count);
+      while (runs.length < end) {
+        runs.push(
+          simulateStressRun(
+            drawStressInputs(rand, inputs, stress, lower),
+            overrides,
+            fundingShocks,
+            debt,
+            assumptions,
+            pipeline
+          )
+        );
+      }
+      return runs.length;
+    },
+    result: () => summariseStressRuns(runs, stressLabels(assumptions)),
   };
 };
 
+export const computeStressTest = (
+  inputs,
+  overrides,
+  fundingShocks,
+  debt,
+  assumptions,
+  pipeline,
+  stress
+) => {
+  const runner = createStressRunner(
+    inputs,
+    overrides,
+    fundingShocks,
+    debt,
+    assumptions,
+    pipeline,
+    stress
+  );
+  runner.step();
+  return runner.result();
+};
+
 export const validateConfig = (data) => {
   if (!data || typeof data !== "object") return { valid: false };
   if (data.assumptions && typeof data.assumptions !== "object") {
@@ -667,5 +3935,25 @@ export const validateConfig = (data) => {
   if (data.inputs && typeof data.inputs !== "object") {
     return { valid: false };
   }
+  const horizonYears = data.assumptions?.horizonYears;
+  if (
+    horizonYears !== undefined &&
+    (!Number.isInteger(horizonYears) ||
+      horizonYears < minHorizonYears ||
+      horizonYears > maxHorizonYears)
+  ) {
+    return { valid: false };
+  }
+  const services = data.assumptions?.services;
+  if (services !== undefined) {
+    if (!Array.isArray(services) || !services.length) return { valid: false };
+    const names = services.map((service) => service?.name?.trim());
+    if (names.some((name) => !name) || new Set(names).size !== names.length) {
+      return { valid: false };
+    }
+    if (Math.abs(serviceSplitTotal(data.assumptions) - 1) > 0.001) {
+      return { valid: false };
+    }
+  }
   return { valid: true };
 };
@@ -1,13 +1,85 @@
 import { describe, expect, it } from "vitest";
 import {
+  appendAuditEntry,
+  auditAnchor,
+  attributeScenarioVariance,
+  auditGenesisHash,
+  authenticateLegacyUser,
+  budgetLineShareTotal,
+  buildAuditCSV,
+  buildAuditChainExport,
+  buildAuditEntry,
+  buildCSV,
   buildXlsxBinary,
+  compareScenarios,
+  computeCapitalFinancing,
+  computeCohortDemand,
   computeProjections,
+  computeReformComparison,
+  computeSavingsProfile,
+  computeSavingsTracker,
+  computeSensitivity,
+  computeStressTest,
+  computeTwoWaySensitivity,
+  computeVarianceBridge,
+  computeServiceBreakdown,
+  computeWaterfall,
+  createStorageVault,
+  createStressRunner,
+  createUserAccount,
+  createService,
   defaultDebt,
   defaultFundingShock,
+  defaultFundingShocks,
   defaultOverrides,
   defaultSavingsPipeline,
+  defaultSolverOptions,
+  defaultStress,
+  deriveVaultKey,
+  diffScenarioStates,
+  drawStressInputs,
+  encryptValue,
+  forkScenarioVersion,
+  findReferendumBreaches,
+  filterAuditTrail,
+  findReserveExhaustion,
+  goalSeek,
+  grantVaultAccess,
+  hashPassword,
+  hasPermission,
   initialState,
+  isEncryptedValue,
+  listGoalSeekVariables,
+  listSensitivityDrivers,
+  migrateToVault,
+  lockBudgetRound,
+  padOverrides,
+  presetScenario,
+  ragStatus,
+  readEncryptedItem,
+  readVaultAnchor,
+  removeUserAccount,
+  resolveScenarioLibrary,
+  resolveServices,
+  resolveStressCorrelation,
+  revokeVaultAccess,
+  saveScenarioVersion,
+  sealAuditTrail,
+  sealVaultAnchor,
+  sealVaultUsers,
+  signInToVault,
+  solveBudgetPlan,
+  solveCouncilTaxIncrease,
+  summariseVariance,
+  totalCouncilTaxIncrease,
+  totalOpeningReserves,
+  uniqueServiceName,
+  unlockLegacyVault,
+  validateServiceName,
+  unlockStorageVault,
   validateConfig,
+  verifyAuditChain,
+  writeEncryptedItem,
 } from "./mtfs.js";
 
 const baseline = initialState.baseline;
@@ -24,16 +96,30 @@ describe("MTFS projections", () => {
       initialState,
       defaultSavingsPipeline
     );
-    const payPriceInflation =
-      initialState.previousYearBase *
-      ((baseline.payAward + baseline.generalInflation) / 100);
+    const payPriceInflation = initialState.budgetLines.reduce(
+      (sum, line) =>
+        sum +
+        initialState.previousYearBase *
+          line.share *
+          ((line.index === "fixed" ? line.rate : baseline[line.index]) / 100),
+      0
+    );
     const debtCost =
       defaultDebt.debtPrincipal * (defaultDebt.debtInterestRate / 100) +
       defaultDebt.annualCapitalFinancing;
+    const cohortServices = initialState.services.filter(
+      (service) => service.demandDriver === "cohorts"
+    );
+    const demand =
+      initialState.demandPressures *
+        (1 - cohortServices.reduce((sum, service) => sum + service.split, 0)) +
+      cohortServices
+        .flatMap((service) => computeCohortDemand(service.cohorts, 0))
+        .reduce((sum, item) => sum + item.pressure, 0);
     const expected =
       initialState.previousYearBase +
       payPriceInflation +
-      initialState.demandPressures +
+      demand +
       debtCost -
       (initialState.plannedSavings + defaultSavingsPipeline[0].amount * defaultSavingsPipeline[0].confidence +
         defaultSavingsPipeline[2].amount * defaultSavingsPipeline[2].confidence);
@@ -53,7 +139,7 @@ describe("MTFS projections", () => {
       (acc, row) => acc + row.annualGap,
       0
     );
-    const expected = initialState.currentReserves - cumulativeGap;
+    const expected = totalOpeningReserves(initialState) - cumulativeGap;
     expect(round(projections[4].reservesEnd)).toBe(round(expected));
   });
 
@@ -81,6 +167,881 @@ describe("MTFS projections", () => {
   });
 });
 
+describe("Funding shocks", () => {
+  const project = (shocks) =>
+    computeProjections(
+      baseline,
+      defaultOverrides,
+      shocks,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline
+    );
+
+  it("combines one-off and recurring shocks by year", () => {
+    const enabled = defaultFundingShocks.map((shock) => ({
+      ...shock,
+      enabled: true,
+    }));
+    const rows = project(enabled);
+    const plain = project([]);
+    expect(rows[0].shockDetail.map((item) => item.name)).toEqual([
+      "Business rates appeal loss",
+    ]);
+    expect(rows[0].shockAmount).toBe(-2_000_000);
+    expect(rows[1].shockDetail.map((item) => item.name)).toEqual(["Grant cut"]);
+    expect(round(rows[1].shockAmount)).toBe(round(-plain[1].otherGrants * 0.1));
+    expect(rows[4].shockDetail).toHaveLength(2);
+    expect(round(rows[4].totalFunding)).toBe(
+      round(
+        plain[4].totalFunding -
+          plain[4].otherGrants * 0.1 -
+          plain[4].revenueSupportGrant * 0.15
+      )
+    );
+  });
+
+  it("shows each year 1 shock as its own waterfall bar", () => {
+    const rows = project([
+      { ...defaultFundingShocks[0], enabled: true },
+      { ...defaultFundingShock, name: "Pay grant", enabled: true, amount: 1_000_000 },
+    ]);
+    const waterfall = computeWaterfall(rows, initialState);
+    expect(waterfall.find((item) => item.label === "Pay grant").value).toBe(
+      -1_000_000
+    );
+    const gap = waterfall.pop();
+    const total = waterfall.reduce((sum, item) => sum + item.value, 0);
+    expect(round(total)).toBe(round(gap.value));
+  });
+});
+
+describe("Bottom-up services", () => {
+  const bottomUp = { ...initialState, serviceModel: "bottomUp" };
+  const project = (assumptions) =>
+    computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  it("sums service requirements and corporate items into the net requirement", () => {
+    const rows = project(bottomUp);
+    rows.forEach((row) => {
+      const services = row.serviceDetail.reduce(
+        (sum, item) => sum + item.requirement,
+        0
+      );
+      expect(round(row.netBudgetRequirement)).toBe(
+        round(
+          services + row.debtCost + row.implementationCosts - row.pipelineSavings
+        )
+      );
+    });
+    const [year1] = rows;
+    const adults = year1.serviceDetail.find((item) => item.service === "Adults");
+    expect(round(adults.inflation)).toBe(
+      round(90_000_000 * (0.3 * baseline.payAward + 0.7 * baseline.generalInflation) / 100)
+    );
+  });
+
+  it("reconciles against the top-down requirement", () => {
+    const [topDown] = project(initialState);
+    const [year1] = project(bottomUp);
+    expect(round(year1.topDownRequirement)).toBe(round(topDown.netBudgetRequirement));
+    expect(round(year1.reconciliationDifference)).toBe(
+      round(year1.netBudgetRequirement - topDown.netBudgetRequirement)
+    );
+  });
+
+  it("allocates the gap so service shares sum to the total", () => {
+    const rows = project(bottomUp);
+    const breakdown = computeServiceBreakdown(rows, bottomUp);
+    rows.forEach((row, idx) => {
+      const requirement = Object.values(breakdown).reduce(
+        (sum, service) => sum + service[idx].requirement,
+        0
+      );
+      const gap = Object.values(breakdown).reduce(
+        (sum, service) => sum + service[idx].gapShare,
+        0
+      );
+      expect(round(gap)).toBe(round(row.annualGap));
+      expect(requirement).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe("Cohort demand", () => {
+  const withCohorts = (assumptions) => ({
+    ...assumptions,
+    services: initialState.services.map((service) =>
+      service.cohorts.length ? { ...service, demandDriver: "cohorts" } : service
+    ),
+  });
+  const project = (assumptions) =>
+    computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  it("splits cohort pressure into volume and price effects", () => {
+    const [year1] = computeCohortDemand(
+      [
+        {
+          name: "Residential",
+          volume: 100,
+          demographicGrowth: 10,
+          unitCost: 1_000,
+          unitCostInflation: 5,
+        },
+      ],
+      0
+    );
+    expect(round(year1.volumeEffect)).toBe(10_000);
+    expect(round(year1.priceEffect)).toBe(5_500);
+    expect(round(year1.pressure)).toBe(round(110 * 1_050 - 100 * 1_000));
+  });
+
+  it("replaces the lump sum for cohort-driven services in both models", () => {
+    const split = 0.45 + 0.3;
+    const [topDown] = project(withCohorts(initialState));
+    const cohortPressure = topDown.demandDetail.reduce(
+      (sum, item) => sum + item.pressure,
+      0
+    );
+    expect(topDown.demandDetail).toHaveLength(5);
+    expect(round(topDown.demandPressures)).toBe(
+      round(initialState.demandPressures * (1 - split) + cohortPressure)
+    );
+    const [bottomUp] = project(
+      withCohorts({ ...initialState, serviceModel: "bottomUp" })
+    );
+    const adults = bottomUp.serviceDetail.find((item) => item.service === "Adults");
+    expect(round(adults.demand)).toBe(
+      round(
+        bottomUp.demandDetail
+          .filter((item) => item.service === "Adults")
+          .reduce((sum, item) => sum + item.pressure, 0)
+      )
+    );
+  });
+});
+
+describe("User-defined services", () => {
+  it("adapts the breakdown to added and renamed services", () => {
+    const assumptions = {
+      ...initialState,
+      services: [
+        { ...initialState.services[0], name: "Adult Social Care", split: 0.4 },
+        ...initialState.services.slice(1),
+        { ...createService("Corporate Centre"), split: 0.05 },
+      ],
+    };
+    const rows = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+    const breakdown = computeServiceBreakdown(rows, assumptions);
+    expect(Object.keys(breakdown)).toEqual([
+      "Adult Social Care",
+      "Children",
+      "Housing",
+      "Corporate Centre",
+    ]);
+    expect(rows[0].serviceDetail).toHaveLength(4);
+  });
+
+  it("generates unique default service names", () => {
+    const services = [...initialState.services, createService()];
+    expect(uniqueServiceName(initialState.services)).toBe("New service");
+    expect(uniqueServiceName(services)).toBe("New service 2");
+    expect(uniqueServiceName([...services, createService("New service 2")])).toBe(
+      "New service 3"
+    );
+  });
+
+  it("rejects blank and duplicate service names", () => {
+    const { services } = initialState;
+    expect(validateServiceName(services, 0, "  ")).toBe("Service name cannot be blank.");
+    expect(validateServiceName(services, 0, ` ${services[1].name} `)).toBe(
+      `A service called "${services[1].name}" already exists.`
+    );
+    expect(validateServiceName(services, 0, services[0].name)).toBe("");
+    expect(validateServiceName(services, 0, "Adult Social Care")).toBe("");
+  });
+
+  it("reads legacy keyed service splits", () => {
+    const { services, ...legacy } = initialState;
+    const resolved = resolveServices({
+      ...legacy,
+      serviceSplits: { Adults: 0.6, Children: 0.4 },
+      serviceAssumptions: { Adults: { inflationAdj: 1, demandAdj: 2 } },
+    });
+    expect(services).toHaveLength(3);
+    expect(resolved.map((service) => service.name)).toEqual(["Adults", "Children"]);
+    expect(resolved[0]).toMatchObject({ split: 0.6, inflationAdj: 1, demandAdj: 2 });
+    expect(resolved[1].baseBudget).toBe(initialState.previousYearBase * 0.4);
+  });
+});
+
+describe("Funding reform", () => {
+  const withReform = (reform) => ({
+    ...initialState,
+    fundingReform: {
+      ...initialState.fundingReform,
+      ...reform,
+    },
+  });
+  const compare = (assumptions) =>
+    computeReformComparison(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  it("matches the unreformed gap when no reform is enabled", () => {
+    compare(initialState).forEach((row) => {
+      expect(row.impact).toBe(0);
+    });
+  });
+
+  it("phases needs-based redistribution along the damping path", () => {
+    const rows = compare(
+      withReform({
+        needsRedistribution: {
+          enabled: true,
+          yearIndex: 1,
+          change: -4_000_000,
+          damping: [25, 50],
+        },
+      })
+    );
+    expect(rows.map((row) => round(row.impact))).toEqual([
+      0, 1_000_000, 2_000_000, 2_000_000, 2_000_000,
+    ]);
+  });
+
+  it("resets business rates growth back to the baseline", () => {
+    const assumptions = withReform({
+      ratesReset: { enabled: true, yearIndex: 2, growthRetained: 0, baselineChange: 0 },
+    });
+    const rows = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+    expect(round(rows[2].businessRates)).toBe(round(initialState.businessRates));
+    expect(rows[2].fundingReformImpact).toBeLessThan(0);
+  });
+
+  it("rolls grants into core funding without changing the rollover year total", () => {
+    const assumptions = withReform({
+      grantRollover: { enabled: true, yearIndex: 1, share: 100 },
+    });
+    const rows = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+    expect(round(rows[1].otherGrants)).toBe(0);
+    expect(round(rows[1].fundingReformImpact)).toBe(0);
+    expect(rows[2].fundingReformImpact).toBeLessThan(0);
+  });
+});
+
+describe("MTFS horizon", () => {
+  it("projects the configured number of years", () => {
+    const short = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      { ...initialState, horizonYears: 3 },
+      defaultSavingsPipeline
+    );
+    const long = computeProjections(
+      baseline,
+      padOverrides(defaultOverrides, 10),
+      defaultFundingShock,
+      defaultDebt,
+      { ...initialState, horizonYears: 10 },
+      defaultSavingsPipeline
+    );
+    expect(short).toHaveLength(3);
+    expect(long).toHaveLength(10);
+    expect(long[9].year).toBe(`Y10 (${initialState.baseYear + 10})`);
+    expect(round(long[2].reservesEnd)).toBe(round(short[2].reservesEnd));
+  });
+
+  it("pads overrides without discarding existing entries", () => {
+    const overrides = defaultOverrides.map((item, idx) =>
+      idx === 4 ? { ...item, enabled: true, payAward: 6 } : item
+    );
+    const padded = padOverrides(overrides, 8);
+    expect(padded).toHaveLength(8);
+    expect(padded[4].payAward).toBe(6);
+    expect(padded[7].enabled).toBe(false);
+    expect(padOverrides(padded, 3)).toBe(padded);
+  });
+
+  it("rejects horizons outside the supported range", () => {
+    expect(validateConfig({ assumptions: { horizonYears: 0 } }).valid).toBe(false);
+    expect(validateConfig({ assumptions: { horizonYears: 10 } }).valid).toBe(true);
+  });
+});
+
+describe("Budget lines", () => {
+  const project = (assumptions) =>
+    computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  it("indexes each line separately and reports it in the row", () => {
+    const [year1] = project(initialState);
+    const [pay, nonPay, care, income] = year1.inflationByLine;
+    expect(pay.amount).toBeCloseTo(200_000_000 * 0.45 * (baseline.payAward / 100));
+    expect(nonPay.amount).toBeCloseTo(
+      200_000_000 * 0.4 * (baseline.generalInflation / 100)
+    );
+    expect(care.amount).toBeCloseTo(200_000_000 * 0.3 * 0.067);
+    expect(income.amount).toBeLessThan(0);
+    expect(year1.payPriceInflation).toBeCloseTo(
+      pay.amount + nonPay.amount + care.amount + income.amount
+    );
+  });
+
+  it("only applies the pay award to the pay line", () => {
+    const [low] = project(initialState);
+    const [high] = computeProjections(
+      { ...baseline, payAward: baseline.payAward + 1 },
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline
+    );
+    expect(high.payPriceInflation - low.payPriceInflation).toBeCloseTo(
+      200_000_000 * 0.45 * 0.01
+    );
+  });
+
+  it("falls back to the default lines for legacy assumptions without budget lines", () => {
+    const { budgetLines, ...legacy } = initialState;
+    const [withLines] = project(initialState);
+    const [year1] = project(legacy);
+    expect(budgetLineShareTotal(legacy)).toBeCloseTo(1);
+    expect(round(year1.payPriceInflation)).toBe(round(withLines.payPriceInflation));
+    expect(round(year1.netBudgetRequirement)).toBe(round(withLines.netBudgetRequirement));
+  });
+
+  it("shows each line in the waterfall", () => {
+    const rows = project(initialState);
+    const labels = computeWaterfall(rows, initialState).map((item) => item.label);
+    initialState.budgetLines.forEach((line) => expect(labels).toContain(line.name));
+  });
+});
+
+describe("Savings phasing", () => {
+  const item = {
+    name: "Ramp",
+    amount: 1_000_000,
+    startYear: 2,
+    recurring: true,
+    confidence: 0.5,
+    phasing: [0.25, 0.5, 1],
+    implementationCost: 200_000,
+    implementationFunding: "revenue",
+  };
+
+  it("ramps savings by phasing and weights them by confidence", () => {
+    const profile = computeSavingsProfile([item], 5);
+    expect(profile.map((year) => year.grossSavings)).toEqual([
+      0, 250_000, 500_000, 1_000_000, 1_000_000,
+    ]);
+    expect(profile[3].riskAdjustedSavings).toBe(500_000);
+    expect(profile[3].deliveredSavings).toBe(500_000);
+  });
+
+  it("defers the slippage share to the following year", () => {
+    const profile = computeSavingsProfile([item], 5, 20);
+    expect(profile[1].deliveredSavings).toBeCloseTo(125_000 * 0.8);
+    expect(profile[2].deliveredSavings).toBeCloseTo(250_000 * 0.8 + 125_000 * 0.2);
+    expect(profile[4].deliveredSavings).toBeCloseTo(500_000);
+  });
+
+  it("charges revenue implementation costs once without rolling them into the base", () => {
+    const project = (pipeline) =>
+      computeProjections(
+        baseline,
+        defaultOverrides,
+        defaultFundingShock,
+        defaultDebt,
+        initialState,
+        pipeline
+      );
+    const withCost = project([item]);
+    const noCost = project([{ ...item, implementationCost: 0 }]);
+    const viaReceipts = project([{ ...item, implementationFunding: "capitalReceipts" }]);
+    expect(withCost[1].implementationCosts).toBe(200_000);
+    expect(withCost[1].netBudgetRequirement - noCost[1].netBudgetRequirement).toBeCloseTo(
+      200_000
+    );
+    expect(withCost[2].netBudgetRequirement).toBeCloseTo(noCost[2].netBudgetRequirement);
+    expect(viaReceipts[1].flexibleCapitalReceipts).toBe(200_000);
+    expect(viaReceipts[1].netBudgetRequirement).toBeCloseTo(noCost[1].netBudgetRequirement);
+  });
+});
+
+describe("Savings tracker", () => {
+  const item = {
+    name: "Tracked",
+    directorate: "Adults",
+    owner: "Director",
+    deliveryRag: "Amber",
+    amount: 1_000_000,
+    startYear: 1,
+    recurring: true,
+    confidence: 0.8,
+    phasing: [1],
+    actuals: [600_000, null],
+  };
+
+  it("reports plan, actual and variance per initiative", () => {
+    const [tracked] = computeSavingsTracker([item], 3);
+    expect(tracked.deliveryRag).toBe("Amber");
+    expect(tracked.profile[0]).toMatchObject({
+      riskAdjusted: 800_000,
+      actual: 600_000,
+      variance: -200_000,
+      delivered: 800_000,
+    });
+    expect(tracked.profile[1].actual).toBeNull();
+  });
+
+  it("uses actuals in place of the plan only when switched on", () => {
+    const plan = computeSavingsProfile([item], 3, 0, false);
+    const actuals = computeSavingsProfile([item], 3, 0, true);
+    expect(plan[0].deliveredSavings).toBe(800_000);
+    expect(actuals[0].deliveredSavings).toBe(600_000);
+    expect(actuals[0].actualSavings).toBe(600_000);
+    expect(actuals[1].deliveredSavings).toBe(800_000);
+  });
+});
+
+describe("Council tax", () => {
+  const project = (assumptions) =>
+    computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  it("grows the tax base and nets off support and collection losses", () => {
+    const councilTax = {
+      newHousingGrowth: 1,
+      bandMixGrowth: 0.5,
+      collectionRate: 98,
+      supportSchemeRate: 10,
+      collectionFund: [],
+    };
+    const [, year2] = project({ ...initialState, councilTax });
+    const taxBase = initialState.taxBase * Math.pow(1.015, 2);
+    const gross =
+      taxBase *
+      initialState.averageBandD *
+      Math.pow(1 + totalCouncilTaxIncrease(baseline) / 100, 2);
+    expect(year2.taxBase).toBeCloseTo(taxBase);
+    expect(round(year2.councilTaxSupportCost)).toBe(round(gross * 0.1));
+    expect(round(year2.councilTaxRevenue)).toBe(round(gross * 0.9 * 0.98));
+  });
+
+  it("adds the collection fund surplus or deficit to funding", () => {
+    const councilTax = { ...initialState.councilTax, collectionFund: [] };
+    const [plain] = project({ ...initialState, councilTax });
+    const [withFund, year2] = project({
+      ...initialState,
+      councilTax: { ...councilTax, collectionFund: [2_000_000] },
+    });
+    expect(withFund.collectionFundSurplus).toBe(2_000_000);
+    expect(year2.collectionFundSurplus).toBe(0);
+    expect(round(withFund.totalFunding)).toBe(round(plain.totalFunding + 2_000_000));
+  });
+
+  it("keeps the legacy fixed tax base when no council tax block is set", () => {
+    const { councilTax, ...legacy } = initialState;
+    const [year1] = project(legacy);
+    expect(round(year1.councilTaxRevenue)).toBe(
+      round(
+        initialState.taxBase *
+          initialState.averageBandD *
+          (1 + totalCouncilTaxIncrease(baseline) / 100)
+      )
+    );
+  });
+});
+
+describe("Referendum limits", () => {
+  it("flags scenario and override increases above each limit", () => {
+    const overrides = defaultOverrides.map((item, idx) =>
+      idx === 2 ? { ...item, enabled: true, ascPrecept: 3 } : item
+    );
+    const breaches = findReferendumBreaches(
+      { ...baseline, councilTaxIncrease: 4 },
+      overrides,
+      initialState
+    );
+    const core = breaches.filter((item) => item.component === "Core council tax");
+    const asc = breaches.filter((item) => item.component === "ASC precept");
+    expect(core).toHaveLength(initialState.horizonYears);
+    expect(core[0].source).toBe("Scenario");
+    expect(asc).toEqual([
+      { year: "Y3", source: "Override", component: "ASC precept", value: 3, limit: 2 },
+    ]);
+    expect(findReferendumBreaches(baseline, defaultOverrides, initialState)).toEqual([]);
+  });
+
+  const solve = (assumptions, shock) =>
+    solveCouncilTaxIncrease(
+      baseline,
+      defaultOverrides,
+      shock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  it("solves within the core limit when the gap can be closed", () => {
+    const [year1] = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline
+    );
+    const shock = {
+      enabled: true,
+      yearIndex: 0,
+      amount: year1.annualGap - 1_000_000,
+    };
+    const result = solve(initialState, shock);
+    expect(result.capped).toBe(false);
+    expect(result.ascPrecept).toBe(baseline.ascPrecept);
+    expect(result.councilTaxIncrease).toBeGreaterThan(baseline.councilTaxIncrease);
+    expect(result.councilTaxIncrease).toBeLessThanOrEqual(2.99);
+    expect(result.residualGap).toBe(0);
+  });
+
+  it("stops at the caps and reports the residual gap", () => {
+    const shock = { enabled: true, yearIndex: 0, amount: -200_000_000 };
+    const result = solve(initialState, shock);
+    expect(result.capped).toBe(true);
+    expect(result.councilTaxIncrease).toBe(2.99);
+    expect(result.ascPrecept).toBe(2);
+    const [year1] = computeProjections(
+      { ...baseline, councilTaxIncrease: 2.99, ascPrecept: 2 },
+      defaultOverrides,
+      shock,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline
+    );
+    expect(round(result.residualGap)).toBe(round(year1.annualGap));
+  });
+});
+
+describe("Balance solver", () => {
+  const shocks = [
+    { ...defaultFundingShock, enabled: true, recurring: true, amount: -80_000_000 },
+  ];
+  const allLevers = {
+    ...defaultSolverOptions,
+    levers: defaultSolverOptions.levers.map((lever) => ({ ...lever, enabled: true })),
+  };
+  const project = (overrides, assumptions) =>
+    computeProjections(
+      baseline,
+      overrides,
+      shocks,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+  const solve = (options) =>
+    solveBudgetPlan(
+      baseline,
+      defaultOverrides,
+      shocks,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline,
+      options
+    );
+
+  it("uses levers in priority order within their bounds each year", () => {
+    const plan = solve(allLevers);
+    const gaps = project(defaultOverrides, initialState).map((row) => row.annualGap);
+    expect(gaps.some((gap) => gap > 0)).toBe(true);
+    plan.years.forEach((year) => {
+      expect(year.councilTaxIncrease).toBeLessThanOrEqual(2.99);
+      expect(year.feesIncome).toBeLessThanOrEqual(2_000_000);
+      expect(year.additionalSavings).toBeLessThanOrEqual(8_000_000);
+      expect(year.reserveUse).toBeLessThanOrEqual(5_000_000);
+      if (year.feesIncome > 0) expect(year.councilTaxIncrease).toBe(2.99);
+      if (year.additionalSavings > 0) expect(year.feesIncome).toBe(2_000_000);
+    });
+    const residual = plan.years.reduce((sum, year) => sum + Math.max(0, year.annualGap), 0);
+    expect(plan.residualGap).toBeCloseTo(residual, 0);
+    expect(plan.met).toBe(plan.residualGap <= 1);
+  });
+
+  it("reproduces the plan gaps once applied to the scenario", () => {
+    const plan = solve({
+      ...allLevers,
+      levers: allLevers.levers.map((lever) =>
+        lever.key === "additionalSavings" ? { ...lever, max: 50_000_000 } : lever
+      ),
+    });
+    expect(plan.met).toBe(true);
+    const rows = project(plan.overrides, { ...initialState, budgetPlan: plan.budgetPlan });
+    rows.forEach((row, i) => {
+      expect(row.annualGap).toBeLessThanOrEqual(1);
+      expect(round(row.annualGap)).toBe(round(plan.years[i].annualGap));
+    });
+  });
+
+  it("meets a minimum reserves level at year N", () => {
+    const before = project(defaultOverrides, initialState);
+    const minimumReserves = Math.round(before[2].usableReserves) + 25_000_000;
+    const plan = solve({
+      ...defaultSolverOptions,
+      target: "reserves",
+      targetYear: 3,
+      minimumReserves,
+    });
+    expect(plan.met).toBe(true);
+    expect(plan.years[2].usableReserves).toBeGreaterThanOrEqual(minimumReserves - 1);
+    expect(plan.years.every((year) => year.reserveUse === 0)).toBe(true);
+  });
+
+  it("recurs savings and fees and funds the gap from reserves", () => {
+    const base = project(defaultOverrides, initialState);
+    const recurring = project(defaultOverrides, {
+      ...initialState,
+      budgetPlan: { additionalSavings: [1_000_000], feesIncome: [500_000] },
+    });
+    expect(round(base[0].annualGap - recurring[0].annualGap)).toBe(1_500_000);
+    expect(
+      base[1].netBudgetRequirement - recurring[1].netBudgetRequirement
+    ).toBeGreaterThanOrEqual(1_500_000);
+
+    const drawn = project(defaultOverrides, {
+      ...initialState,
+      budgetPlan: { reserveUse: [0, 3_000_000] },
+    });
+    expect(round(base[1].annualGap - drawn[1].annualGap)).toBe(3_000_000);
+    expect(round(drawn[1].usableReserves)).toBe(round(base[1].usableReserves));
+    expect(computeWaterfall(drawn).some((bar) => bar.label === "Use of Reserves")).toBe(
+      false
+    );
+  });
+});
+
+describe("Reserves", () => {
+  const project = (assumptions, shock = defaultFundingShock) =>
+    computeProjections(
+      baseline,
+      defaultOverrides,
+      shock,
+      defaultDebt,
+      assumptions,
+      defaultSavingsPipeline
+    );
+
+  const withYear1Gap = (assumptions, target) => {
+    const [year1] = project(assumptions);
+    return project(assumptions, {
+      enabled: true,
+      yearIndex: 0,
+      amount: year1.annualGap - target,
+    });
+  };
+
+  const balanceOf = (row, name) =>
+    row.reserveDetail.find((item) => item.name === name).balance;
+
+  it("draws the gap from reserves in priority order down to their floors", () => {
+    const [year1] = withYear1Gap(initialState, 30_000_000);
+    const headroom = 10_000_000 + 10_000_000 + 7_000_000;
+    expect(balanceOf(year1, "Budget Smoothing Reserve")).toBe(2_000_000);
+    expect(balanceOf(year1, "Transformation Reserve")).toBe(1_000_000);
+    expect(round(balanceOf(year1, "General Fund"))).toBe(
+      round(10_000_000 - (year1.annualGap - headroom))
+    );
+    expect(balanceOf(year1, "Insurance Reserve")).toBe(5_000_000);
+  });
+
+  it("stops drawing once the gap is covered", () => {
+    const [year1] = withYear1Gap(initialState, 6_000_000);
+    expect(round(balanceOf(year1, "Budget Smoothing Reserve"))).toBe(
+      round(12_000_000 - year1.annualGap)
+    );
+    expect(balanceOf(year1, "General Fund")).toBe(20_000_000);
+  });
+
+  it("applies planned contributions and drawdowns", () => {
+    const assumptions = {
+      ...initialState,
+      reserves: initialState.reserves.map((reserve) =>
+        reserve.name === "Insurance Reserve"
+          ? { ...reserve, contributions: [1_000_000], drawdowns: [0, 500_000] }
+          : reserve
+      ),
+    };
+    const rows = project(assumptions);
+    expect(balanceOf(rows[0], "Insurance Reserve")).toBe(6_000_000);
+    expect(balanceOf(rows[1], "Insurance Reserve")).toBe(5_500_000);
+  });
+
+  it("charges contributions to the revenue budget and credits drawdowns", () => {
+    const base = project(initialState);
+    const withTransfers = (contributions, drawdowns = []) => ({
+      ...initialState,
+      reserves: initialState.reserves.map((reserve) =>
+        reserve.name === "Insurance Reserve"
+          ? { ...reserve, contributions, drawdowns }
+          : reserve
+      ),
+    });
+    const contributed = project(withTransfers([5_000_000]));
+    expect(contributed[0].reserveTransfers).toBe(5_000_000);
+    expect(round(contributed[0].annualGap - base[0].annualGap)).toBe(5_000_000);
+    expect(round(contributed[0].reservesEnd)).toBe(round(base[0].reservesEnd));
+    expect(round(contributed[0].usableReserves - base[0].usableReserves)).toBe(
+      -5_000_000
+    );
+    expect(round(contributed[1].annualGap)).toBe(round(base[1].annualGap));
+    const drawn = project(withTransfers([], [2_000_000]));
+    expect(round(base[0].annualGap - drawn[0].annualGap)).toBe(2_000_000);
+    expect(round(drawn[0].reservesEnd)).toBe(round(base[0].reservesEnd));
+  });
+
+  it("excludes ring-fenced reserves from usable reserves and flags breaches", () => {
+    const rows = withYear1Gap(initialState, 30_000_000);
+    rows.forEach((row) => {
+      expect(round(row.usableReserves)).toBe(
+        round(row.reservesEnd - balanceOf(row, "Insurance Reserve"))
+      );
+    });
+    const breachRow = rows.find((row) => row.reserveBreaches.length);
+    expect(breachRow.reserveBreaches).toContain("General Fund");
+    expect(findReserveExhaustion(rows)).toBe(
+      rows.find((row) => row.usableReserves <= 0)
+    );
+  });
+
+  it("falls back to a single general fund for legacy configs", () => {
+    const { reserves, ...legacy } = initialState;
+    const rows = project({ ...legacy, currentReserves: 45_000_000 });
+    expect(rows[0].reserveDetail).toHaveLength(1);
+    expect(round(rows[0].usableReserves)).toBe(round(45_000_000 - rows[0].annualGap));
+  });
+
+  it("downgrades a healthy RAG when a reserve is below its floor", () => {
+    expect(ragStatus(20_000_000, 100_000_000).label).toBe("Green");
+    expect(ragStatus(20_000_000, 100_000_000, ["General Fund"]).label).toBe("Amber");
+  });
+});
+
+describe("Capital financing", () => {
+  const scheme = {
+    name: "Depot",
+    spend: [10_000_000],
+    grantShare: 0.2,
+    receiptsShare: 0.3,
+    assetLife: 10,
+  };
+  const debt = {
+    debtPrincipal: 0,
+    debtInterestRate: 0,
+    annualCapitalFinancing: 0,
+    newBorrowingRate: 5,
+    mrpPolicy: "assetLife",
+    capitalProgramme: [scheme],
+  };
+
+  it("matches the flat debt cost when there is no programme", () => {
+    const [year1, year2] = computeCapitalFinancing(
+      { ...defaultDebt, capitalProgramme: [] },
+      2
+    );
+    const flat =
+      defaultDebt.debtPrincipal * (defaultDebt.debtInterestRate / 100) +
+      defaultDebt.annualCapitalFinancing;
+    expect(year1.debtCost).toBe(flat);
+    expect(year2.debtCost).toBe(flat);
+  });
+
+  it("charges interest and straight-line MRP from the year after borrowing", () => {
+    const rows = computeCapitalFinancing(debt, 3);
+    expect(rows[0].newBorrowing).toBe(5_000_000);
+    expect(rows[0].debtCost).toBe(0);
+    expect(rows[0].capitalFinancingRequirement).toBe(5_000_000);
+    expect(rows[1].mrp).toBe(500_000);
+    expect(rows[1].interestCost).toBe(250_000);
+    expect(rows[2].interestCost).toBeCloseTo(4_500_000 * 0.05);
+    expect(rows[2].capitalFinancingRequirement).toBe(4_000_000);
+  });
+
+  it("profiles annuity MRP so it rises over the asset life", () => {
+    const rows = computeCapitalFinancing({ ...debt, mrpPolicy: "annuity" }, 4);
+    expect(rows[1].mrp).toBeLessThan(500_000);
+    expect(rows[2].mrp).toBeCloseTo(rows[1].mrp * 1.05);
+  });
+
+  it("feeds the programme debt cost into the projection", () => {
+    const rows = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      debt,
+      initialState,
+      defaultSavingsPipeline
+    );
+    expect(rows[0].debtCost).toBe(0);
+    expect(rows[1].debtCost).toBe(750_000);
+  });
+});
+
 describe("Exports", () => {
   it("builds an XLSX zip binary", () => {
     const projections = computeProjections(
@@ -97,6 +1058,845 @@ describe("Exports", () => {
   });
 });
 
+describe("Sensitivity", () => {
+  const args = [
+    baseline,
+    defaultOverrides,
+    defaultFundingShock,
+    defaultDebt,
+    initialState,
+    defaultSavingsPipeline,
+  ];
+
+  it("keeps the headline ±1 point drivers on the Y1 gap by default", () => {
+    const result = computeSensitivity(...args);
+    expect(result.map((item) => item.key)).toEqual([
+      "councilTaxIncrease",
+      "payAward",
+      "generalInflation",
+      "socialCareGrowth",
+    ]);
+    const pay = result.find((item) => item.key === "payAward");
+    const payLine = initialState.budgetLines.find((line) => line.index === "payAward");
+    expect(round(pay.up)).toBe(round(initialState.previousYearBase * payLine.share * 0.01));
+  });
+
+  it("covers any driver with custom ranges and target metrics", () => {
+    const keys = listSensitivityDrivers(initialState).map((driver) => driver.key);
+    expect(keys).toEqual(
+      expect.arrayContaining(["taxBase", "debtInterestRate", "savingsConfidence"])
+    );
+    const [taxBase] = computeSensitivity(...args, {
+      drivers: ["taxBase"],
+      metric: "finalReserves",
+      ranges: { taxBase: { mode: "percent", down: -5, up: 5 } },
+    });
+    expect(taxBase.low).toBe(initialState.taxBase * 0.95);
+    expect(taxBase.high).toBe(initialState.taxBase * 1.05);
+    expect(taxBase.up).toBeGreaterThan(0);
+    const [debtRate] = computeSensitivity(...args, {
+      drivers: ["debtInterestRate"],
+      metric: "cumulativeGap",
+    });
+    expect(debtRate.up).toBeGreaterThan(0);
+  });
+
+  it("builds a two-way table for any pair of drivers", () => {
+    const table = computeTwoWaySensitivity(...args, {
+      rowDriver: "payAward",
+      colDriver: "fundingGrowth.otherGrants",
+      metric: "cumulativeGap",
+      steps: 3,
+    });
+    expect(table.rowValues).toEqual([3, 4, 5]);
+    expect(table.cells).toHaveLength(3);
+    expect(round(table.cells[1][1])).toBe(round(table.base));
+    expect(table.cells[2][1]).toBeGreaterThan(table.cells[0][1]);
+    expect(table.cells[1][2]).toBeLessThan(table.cells[1][0]);
+  });
+});
+
+describe("Scenario comparison", () => {
+  const saved = {
+    name: "Saved",
+    inputs: { ...baseline, payAward: 6 },
+    overrides: defaultOverrides,
+    fundingShock: { enabled: true, yearIndex: 1, amount: -5_000_000 },
+    debt: defaultDebt,
+    assumptions: { ...initialState, otherGrants: 20_000_000 },
+    pipeline: defaultSavingsPipeline,
+  };
+
+  it("projects presets and saved entries side by side", () => {
+    const [base, other] = compareScenarios([presetScenario("Base"), saved]);
+    expect(base.name).toBe("Preset: Base");
+    expect(base.rows).toHaveLength(initialState.horizonYears);
+    expect(other.totalGap).toBeGreaterThan(base.totalGap);
+    expect(other.rows[1].shockAmount).toBe(-5_000_000);
+  });
+
+  it("attributes the gap variance to each differing assumption", () => {
+    const variance = attributeScenarioVariance(presetScenario("Base"), saved);
+    expect(variance.factors.map((factor) => factor.label)).toEqual([
+      "Pay Award %",
+      "Other Grants",
+      "Funding shock",
+    ]);
+    expect(variance.factors[0]).toMatchObject({ from: 4, to: 6 });
+    expect(round(variance.factors[2].total)).toBe(5_000_000);
+    const sum = variance.factors.reduce((acc, factor) => acc + factor.total, 0);
+    expect(round(sum)).toBe(round(variance.total));
+    variance.targetRows.forEach((row, i) => {
+      const yearSum = variance.factors.reduce((acc, factor) => acc + factor.byYear[i], 0);
+      expect(round(yearSum)).toBe(round(row.annualGap - variance.baseRows[i].annualGap));
+    });
+  });
+
+  it("bridges each year's gap one factor at a time", () => {
+    const pipeline = defaultSavingsPipeline.map((item, idx) =>
+      idx === 0 ? { ...item, amount: item.amount * 2 } : item
+    );
+    const variance = attributeScenarioVariance(presetScenario("Base"), {
+      ...saved,
+      pipeline,
+      fundingShock: null,
+      fundingShocks: [{ ...defaultFundingShock, name: "Grant cut", enabled: true }],
+    });
+    expect(variance.factors.map((factor) => factor.label)).toContain("Grant cut");
+    expect(variance.factors.map((factor) => factor.label)).toContain(
+      `Savings: ${defaultSavingsPipeline[0].name}`
+    );
+    variance.targetRows.forEach((row, i) => {
+      const bridge = computeVarianceBridge(variance, i);
+      expect(bridge[0].value).toBe(variance.baseRows[i].annualGap);
+      expect(bridge[bridge.length - 1].value).toBe(row.annualGap);
+      const steps = bridge.filter((step) => step.kind === "step");
+      const last = steps[steps.length - 1];
+      expect(round(last.end)).toBe(round(row.annualGap));
+    });
+    const summary = summariseVariance(variance);
+    const sheetBinary = buildXlsxBinary(variance.targetRows, { variance: summary });
+    expect(summary.factors.find((factor) => factor.label === "Grant cut").to).toBe("Changed");
+    expect(sheetBinary.length).toBeGreaterThan(100);
+  });
+
+  it("keeps items that share a name as separate factors", () => {
+    const shock = { ...defaultFundingShock, name: "New funding shock", enabled: true };
+    const from = { ...saved, fundingShock: null, fundingShocks: [shock, shock] };
+    const variance = attributeScenarioVariance(from, {
+      ...from,
+      fundingShocks: [shock, { ...shock, amount: -20_000_000 }],
+    });
+    expect(variance.factors).toHaveLength(1);
+    expect(variance.factors[0]).toMatchObject({
+      item: 1,
+      label: "New funding shock #2",
+    });
+    expect(round(variance.factors[0].total)).toBe(round(variance.total));
+
+    const removed = attributeScenarioVariance(from, {
+      ...from,
+      fundingShocks: [{ ...shock, amount: -10_000_000 }],
+    });
+    expect(removed.factors.map((factor) => factor.label)).toEqual([
+      "New funding shock #1",
+      "New funding shock #2",
+    ]);
+    expect(removed.factors[1].to).toBeUndefined();
+    const sum = removed.factors.reduce((acc, factor) => acc + factor.total, 0);
+    expect(round(sum)).toBe(round(removed.total));
+  });
+
+  it("finds no differences between identical scenarios", () => {
+    const variance = attributeScenarioVariance(saved, { ...saved, name: "Copy" });
+    expect(variance.factors).toEqual([]);
+    expect(variance.total).toBe(0);
+  });
+});
+
+describe("Scenario versions", () => {
+  const state = {
+    inputs: baseline,
+    overrides: defaultOverrides,
+    fundingShocks: defaultFundingShocks,
+    debt: defaultDebt,
+    assumptions: initialState,
+    pipeline: defaultSavingsPipeline,
+  };
+
+  it("keeps earlier versions when saving under the same name", () => {
+    const october = saveScenarioVersion([], "MTFS", state, {
+      round: "Budget Round 1",
+      author: "Finance",
+      comment: "October position",
+      timestamp: "2026-10-01T00:00:00.000Z",
+    });
+    const december = saveScenarioVersion(
+      october,
+      "MTFS",
+      { ...state, inputs: { ...baseline, payAward: 5 } },
+      { round: "Draft Budget", author: "Finance", comment: "December position" }
+    );
+    expect(october[0].versions).toHaveLength(1);
+    expect(december).toHaveLength(1);
+    expect(december[0].versions.map((item) => item.round)).toEqual([
+      "Budget Round 1",
+      "Draft Budget",
+    ]);
+    expect(december[0].versions[0]).toBe(october[0].versions[0]);
+    expect(december[0].versions[1].version).toBe(2);
+    expect(december[0].versions[1].timestamp).toEqual(expect.any(String));
+  });
+
+  it("diffs two versions field by field", () => {
+    const changes = diffScenarioStates(state, {
+      ...state,
+      inputs: { ...baseline, payAward: 5 },
+      debt: { ...defaultDebt, debtInterestRate: 6 },
+    });
+    expect(changes).toEqual([
+      { path: "inputs.payAward", from: baseline.payAward, to: 5 },
+      { path: "debt.debtInterestRate", from: defaultDebt.debtInterestRate, to: 6 },
+    ]);
+    expect(diffScenarioStates(state, state)).toEqual([]);
+  });
+
+  it("forks a historic version into a new scenario", () => {
+    const library = saveScenarioVersion(
+      saveScenarioVersion([], "MTFS", state, { round: "Budget Round 1" }),
+      "MTFS",
+      { ...state, inputs: { ...baseline, payAward: 5 } },
+      { round: "Draft Budget" }
+    );
+    const forked = forkScenarioVersion(library, "MTFS", 1, "Alternative", {
+      author: "S151",
+    });
+    const fork = forked.find((entry) => entry.name === "Alternative");
+    expect(fork.versions).toHaveLength(1);
+    expect(fork.versions[0]).toMatchObject({
+      version: 1,
+      round: "Budget Round 1",
+      author: "S151",
+      forkedFrom: "MTFS v1",
+    });
+    expect(fork.versions[0].state.inputs.payAward).toBe(baseline.payAward);
+    expect(forkScenarioVersion(forked, "MTFS", 1, "Alternative")).toBe(forked);
+  });
+
+  it("wraps legacy saved scenarios as a single version", () => {
+    const [entry] = resolveScenarioLibrary([
+      {
+        name: "Legacy",
+        ...state,
+        fundingShocks: undefined,
+        fundingShock: { enabled: true, amount: -1_000_000 },
+      },
+    ]);
+    expect(entry.versions).toHaveLength(1);
+    expect(entry.versions[0].state.inputs).toEqual(baseline);
+    expect(entry.versions[0].state.fundingShocks[0].amount).toBe(-1_000_000);
+  });
+});
+
+describe("Audit trail", () => {
+  const state = {
+    inputs: baseline,
+    overrides: defaultOverrides,
+    fundingShocks: defaultFundingShocks,
+    debt: defaultDebt,
+    assumptions: initialState,
+    pipeline: defaultSavingsPipeline,
+  };
+  const next = {
+    ...state,
+    debt: { ...defaultDebt, debtInterestRate: defaultDebt.debtInterestRate + 1 },
+    pipeline: defaultSavingsPipeline.map((item, idx) =>
+      idx === 0 ? { ...item, owner: 'Smith, "Finance"' } : item
+    ),
+  };
+
+  it("records each changed field with the gap and reserves impact", () => {
+    const entry = buildAuditEntry(state, next, {
+      scenario: "Base",
+      timestamp: "2026-10-19T09:00:00.000Z",
+    });
+    expect(entry.changes).toEqual([
+      {
+        path: "debt.debtInterestRate",
+        from: defaultDebt.debtInterestRate,
+        to: defaultDebt.debtInterestRate + 1,
+      },
+      {
+        path: "pipeline.0.owner",
+        from: defaultSavingsPipeline[0].owner,
+        to: 'Smith, "Finance"',
+      },
+    ]);
+    expect(entry.year1GapImpact).toBeGreaterThan(0);
+    expect(entry.finalReservesImpact).toBeLessThan(0);
+    expect(buildAuditEntry(null, state).changes).toEqual([]);
+  });
+
+  it("filters by area and searches fields and values", () => {
+    const entries = [
+      buildAuditEntry(state, next, { scenario: "Base" }),
+      buildAuditEntry(state, { ...state, inputs: { ...baseline, payAward: 5 } }, {
+        scenario: "Pay",
+      }),
+    ];
+    expect(filterAuditTrail(entries, { scope: "debt" })).toHaveLength(1);
+    expect(filterAuditTrail(entries, { scope: "inputs" })[0].scenario).toBe("Pay");
+    expect(filterAuditTrail(entries, { query: "smith" })).toHaveLength(1);
+    expect(filterAuditTrail(entries, { query: "PAYAWARD" })).toHaveLength(1);
+    expect(filterAuditTrail(entries)).toHaveLength(2);
+  });
+
+  const chain = async (count) => {
+    let trail = [];
+    for (let i = 0; i < count; i += 1) {
+      trail = await appendAuditEntry(trail, {
+        timestamp: `2026-10-19T09:0${i}:00.000Z`,
+        scenario: "Base",
+        summary: `Change ${i}`,
+        changes: [{ path: "inputs.payAward", from: i, to: i + 1 }],
+      });
+    }
+    return trail;
+  };
+
+  it("keeps the full trail when appending", async () => {
+    const long = Array.from({ length: 250 }, (_, i) => ({ summary: `Old ${i}`, hash: `${i}` }));
+    const trail = await appendAuditEntry(long, { summary: "New" });
+    expect(trail).toHaveLength(251);
+    expect(trail[0].previousHash).toBe("0");
+  });
+
+  it("links each entry to the previous hash and verifies after storage", async () => {
+    const trail = await chain(3);
+    expect(trail[2].previousHash).toBe(auditGenesisHash);
+    expect(trail[0].previousHash).toBe(trail[1].hash);
+    expect(trail[0].hash).toMatch(/^[0-9a-f]{64}$/);
+    const stored = JSON.parse(JSON.stringify(trail));
+    const result = await verifyAuditChain(stored);
+    expect(result).toMatchObject({ valid: true, checked: 3, anchored: true, head: trail[0].hash });
+  });
+
+  it("detects edited, removed and unsealed entries", async () => {
+    const trail = await chain(3);
+    const edited = trail.map((entry, idx) =>
+      idx === 1 ? { ...entry, summary: "Nothing to see" } : entry
+    );
+    expect((await verifyAuditChain(edited)).breaks).toEqual([
+      { index: 1, timestamp: trail[1].timestamp, reason: "Content altered" },
+    ]);
+    const removed = [trail[0], trail[2]];
+    expect((await verifyAuditChain(removed)).breaks[0].reason).toBe("Broken link");
+    const unsealed = [{ timestamp: "2026-10-19T10:00:00.000Z", summary: "Injected" }, ...trail];
+    expect((await verifyAuditChain(unsealed)).valid).toBe(false);
+    expect((await verifyAuditChain(trail.slice(0, 2))).breaks).toEqual([
+      { index: 1, timestamp: trail[1].timestamp, reason: "Oldest entries missing" },
+    ]);
+    const legacy = trail.slice(0, 2);
+    expect((await verifyAuditChain(legacy, auditAnchor(legacy))).valid).toBe(true);
+  });
+
+  it("detects a re-sealed forgery and dropped head entries against the anchor", async () => {
+    const trail = await chain(3);
+    const anchor = JSON.parse(JSON.stringify(auditAnchor(trail)));
+    expect(anchor).toEqual({ head: trail[0].hash, count: 3, tail: auditGenesisHash });
+    expect((await verifyAuditChain(trail, anchor)).valid).toBe(true);
+    const stripped = trail.map(({ hash, previousHash, ...entry }, idx) =>
+      idx === 1 ? { ...entry, summary: "FORGED" } : entry
+    );
+    const resealed = await sealAuditTrail(stripped);
+    expect((await verifyAuditChain(resealed)).valid).toBe(true);
+    const forged = await verifyAuditChain(resealed, anchor);
+    expect(forged.valid).toBe(false);
+    expect(forged.breaks.map((item) => item.reason)).toEqual(["Head mismatch"]);
+    const unanchored = await verifyAuditChain(trail, {
+      head: null,
+      count: 3,
+      error: "Audit chain anchor is missing",
+    });
+    expect(unanchored.breaks).toEqual([
+      { index: 0, timestamp: null, reason: "Audit chain anchor is missing" },
+    ]);
+    const truncated = await verifyAuditChain(trail.slice(1), anchor);
+    expect(truncated.breaks.map((item) => item.reason)).toEqual([
+      "Head mismatch",
+      "Entries missing",
+    ]);
+    expect((await verifyAuditChain([], anchor)).valid).toBe(false);
+  });
+
+  it("seals a legacy trail once and exports the chain oldest first", async () => {
+    const legacy = [
+      { timestamp: "2026-10-19T09:01:00.000Z", scenario: "Base", summary: "Second" },
+      { timestamp: "2026-10-19T09:00:00.000Z", scenario: "Base", summary: "First" },
+    ];
+    const sealed = await sealAuditTrail(legacy);
+    expect(sealed.map((entry) => entry.summary)).toEqual(["Second", "First"]);
+    expect((await verifyAuditChain(sealed)).valid).toBe(true);
+    expect(await sealAuditTrail(sealed)).toBe(sealed);
+    const exported = buildAuditChainExport(sealed);
+    expect(exported.entries[0].summary).toBe("First");
+    expect(exported.head).toBe(sealed[0].hash);
+  });
+
+  it("escapes commas, quotes and line breaks in CSV exports", () => {
+    const entry = buildAuditEntry(state, next, {
+      scenario: "Round 1, draft",
+      timestamp: "2026-10-19T09:00:00.000Z",
+    });
+    const lines = buildAuditCSV([entry]).split("\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toContain('"Smith, ""Finance"""');
+    expect(lines[1].startsWith('2026-10-19T09:00:00.000Z,"Round 1, draft",')).toBe(true);
+    expect(buildCSV([{ year: "Y1, 2027", annualGap: 1 }])).toContain('"Y1, 2027"');
+  });
+});
+
+describe("User accounts", () => {
+  it("creates accounts without storing passwords", () => {
+    const { users, error } = createUserAccount(
+      [],
+      { username: " Jane.S ", displayName: "Jane", password: "correct horse", role: "s151" },
+      { timestamp: "2026-10-19T09:00:00.000Z" }
+    );
+    expect(error).toBe("");
+    expect(users[0]).toEqual({
+      username: "jane.s",
+      displayName: "Jane",
+      role: "s151",
+      createdAt: "2026-10-19T09:00:00.000Z",
+    });
+  });
+
+  it("authenticates legacy hashed accounts for the storage upgrade", async () => {
+    const salt = "ab".repeat(16);
+    const legacy = [
+      {
+        username: "jane.s",
+        displayName: "Jane",
+        role: "s151",
+        salt,
+        iterations: 1000,
+        passwordHash: await hashPassword("correct horse", salt, 1000),
+      },
+      { username: "sam", displayName: "Sam", role: "analyst" },
+    ];
+    expect(await authenticateLegacyUser(legacy, "JANE.S", "correct horse")).toEqual({
+      username: "jane.s",
+      displayName: "Jane",
+      role: "s151",
+    });
+    expect(await authenticateLegacyUser(legacy, "jane.s", "wrong horse")).toBeNull();
+    expect(await authenticateLegacyUser(legacy, "sam", "")).toBeNull();
+    expect(await authenticateLegacyUser(legacy, "nobody", "correct horse")).toBeNull();
+  });
+
+  it("rejects duplicate names, short passwords and unknown roles", () => {
+    const { users } = createUserAccount([], {
+      username: "jane",
+      password: "long enough",
+      role: "s151",
+    });
+    const attempts = [
+      createUserAccount(users, { username: "jane", password: "long enough", role: "viewer" }),
+      createUserAccount(users, { username: "sam", password: "short", role: "viewer" }),
+      createUserAccount(users, { username: "sam", password: "long enough", role: "admin" }),
+    ];
+    attempts.forEach((result) => {
+      expect(result.error).not.toBe("");
+      expect(result.users).toBe(users);
+    });
+    expect(removeUserAccount(users, "jane")).toBe(users);
+  });
+
+  it("grants permissions by role", () => {
+    expect(hasPermission({ role: "viewer" }, "viewModel")).toBe(false);
+    expect(hasPermission({ role: "viewer" }, "viewSummary")).toBe(true);
+    expect(hasPermission({ role: "member" }, "saveScenario")).toBe(false);
+    expect(hasPermission({ role: "analyst" }, "lockRound")).toBe(false);
+    expect(hasPermission({ role: "s151" }, "lockRound")).toBe(true);
+    expect(hasPermission(null, "viewSummary")).toBe(false);
+  });
+
+  it("lets only S151 officers lock a round, which then refuses new versions", () => {
+    const state = { inputs: baseline };
+    const library = saveScenarioVersion([], "MTFS", state, { round: "Draft Budget" });
+    const analyst = { username: "sam", role: "analyst" };
+    const officer = { username: "jane", role: "s151" };
+    expect(lockBudgetRound(library, "MTFS", "Draft Budget", analyst)).toBe(library);
+    expect(lockBudgetRound(library, "MTFS", "Final Budget", officer)).toBe(library);
+    const locked = lockBudgetRound(
+      library,
+      "MTFS",
+      "Draft Budget",
+      officer,
+      "2026-10-19T09:00:00.000Z"
+    );
+    expect(locked[0].lockedRounds).toEqual([
+      { round: "Draft Budget", lockedBy: "jane", lockedAt: "2026-10-19T09:00:00.000Z" },
+    ]);
+    expect(saveScenarioVersion(locked, "MTFS", state, { round: "Draft Budget" })).toBe(locked);
+    const final = saveScenarioVersion(locked, "MTFS", state, { round: "Final Budget" });
+    expect(final[0].versions).toHaveLength(2);
+    expect(final[0].lockedRounds).toHaveLength(1);
+  });
+
+  it("attributes audit entries to the signed-in user", () => {
+    const entry = buildAuditEntry(null, { inputs: baseline }, { user: "jane" });
+    expect(entry.user).toBe("jane");
+    expect(filterAuditTrail([entry], { query: "JANE" })).toHaveLength(1);
+    expect(buildAuditCSV([entry]).split("\n")[0]).toContain("Scenario,User,Summary");
+  });
+});
+
+describe("Encrypted storage", () => {
+  const fast = { iterations: 1000 };
+  const memoryStorage = (entries = {}) => {
+    const items = new Map(Object.entries(entries));
+    return {
+      getItem: (name) => (items.has(name) ? items.get(name) : null),
+      setItem: (name, value) => items.set(name, String(value)),
+    };
+  };
+
+  it("wraps one data key under each account's password", async () => {
+    expect((await createStorageVault("jane", "short", fast)).error).not.toBe("");
+    const { vault, key, error } = await createStorageVault("jane", "correct horse", fast);
+    expect(error).toBe("");
+    expect(vault.keys.jane.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(JSON.stringify(vault)).not.toContain("correct horse");
+    expect(key.algorithm.name).toBe("AES-GCM");
+    const storage = memoryStorage();
+    await writeEncryptedItem(storage, "mtfs_print_meta", { preparedBy: "Jane" }, key);
+    const reopened = await unlockStorageVault(vault, "JANE", "correct horse");
+    expect((await readEncryptedItem(storage, "mtfs_print_meta", reopened)).value).toEqual({
+      preparedBy: "Jane",
+    });
+    expect(await unlockStorageVault(vault, "jane", "wrong horse")).toBeNull();
+    expect(await unlockStorageVault(vault, "sam", "correct horse")).toBeNull();
+    const shared = await grantVaultAccess(vault, key, "sam", "battery staple", fast);
+    expect(shared.keys.sam.salt).not.toBe(vault.keys.jane.salt);
+    const samKey = await unlockStorageVault(shared, "sam", "battery staple");
+    expect((await readEncryptedItem(storage, "mtfs_print_meta", samKey)).value).toEqual({
+      preparedBy: "Jane",
+    });
+    expect(
+      await unlockStorageVault(revokeVaultAccess(shared, "sam"), "sam", "battery staple")
+    ).toBeNull();
+  });
+
+  it("signs in against the encrypted account list", async () => {
+    const { users } = createUserAccount([], {
+      username: "jane",
+      password: "correct horse",
+      role: "viewer",
+    });
+    const created = await createStorageVault("jane", "correct horse", fast);
+    const vault = await sealVaultUsers(created.vault, created.key, users);
+    expect(JSON.stringify(vault)).not.toContain("viewer");
+    const session = await signInToVault(vault, " Jane ", "correct horse");
+    expect(session.user).toEqual({ username: "jane", displayName: "jane", role: "viewer" });
+    expect(session.users).toEqual(users);
+    expect((await signInToVault(vault, "jane", "wrong horse")).error).toBe(
+      "Incorrect username or password."
+    );
+    const escalated = { ...vault, users: [{ ...users[0], role: "s151" }] };
+    expect(await signInToVault(escalated, "jane", "correct horse")).toMatchObject({
+      user: null,
+      error: "Account list could not be decrypted",
+    });
+    const removed = await sealVaultUsers(vault, created.key, []);
+    expect((await signInToVault(removed, "jane", "correct horse")).user).toBeNull();
+  });
+
+  it("round-trips values as ciphertext and rejects tampering", async () => {
+    const { vault, key } = await createStorageVault("jane", "budget passphrase", fast);
+    const storage = memoryStorage();
+    const library = [{ name: "Draft", versions: [{ version: 1, comment: "Confidential" }] }];
+    await writeEncryptedItem(storage, "mtfs_scenarios_v3", library, key);
+    const raw = storage.getItem("mtfs_scenarios_v3");
+    expect(isEncryptedValue(raw)).toBe(true);
+    expect(raw).not.toContain("Confidential");
+    const reopened = await unlockStorageVault(vault, "jane", "budget passphrase");
+    expect(await readEncryptedItem(storage, "mtfs_scenarios_v3", reopened)).toEqual({
+      value: library,
+      error: "",
+    });
+    const payload = JSON.parse(raw);
+    const flipped = payload.data.startsWith("A") ? "B" : "A";
+    storage.setItem(
+      "mtfs_scenarios_v3",
+      JSON.stringify({ ...payload, data: flipped + payload.data.slice(1) })
+    );
+    expect(await readEncryptedItem(storage, "mtfs_scenarios_v3", reopened)).toEqual({
+      value: null,
+      error: "Stored data could not be decrypted",
+    });
+    expect(await readEncryptedItem(storage, "missing", reopened)).toEqual({
+      value: null,
+      error: "",
+    });
+    storage.setItem("mtfs_scenarios_v3", JSON.stringify([{ name: "Injected" }]));
+    expect(
+      (await readEncryptedItem(storage, "mtfs_scenarios_v3", reopened)).error
+    ).toBe("Stored data is not encrypted");
+  });
+
+  it("keeps the audit anchor encrypted in the vault metadata", async () => {
+    const { vault, key } = await createStorageVault("jane", "budget passphrase", fast);
+    expect(await readVaultAnchor(vault, key)).toEqual({
+      anchor: null,
+      error: "Audit chain anchor is missing",
+    });
+    const anchor = { head: "ab".repeat(32), count: 4 };
+    const sealed = await sealVaultAnchor(vault, key, anchor);
+    expect(JSON.stringify(sealed)).not.toContain(anchor.head);
+    expect(await readVaultAnchor(sealed, key)).toEqual({ anchor, error: "" });
+    const other = await createStorageVault("jane", "other passphrase", fast);
+    expect((await readVaultAnchor(sealed, other.key)).error).not.toBe("");
+    expect((await readVaultAnchor({ ...sealed, audit: anchor }, key)).error).not.toBe("");
+    expect(await unlockStorageVault(sealed, "jane", "budget passphrase")).not.toBeNull();
+  });
+
+  it("migrates plaintext keys once and leaves others alone", async () => {
+    const { key } = await createStorageVault("jane", "budget passphrase", fast);
+    const storage = memoryStorage({
+      mtfs_governance_notes_v1: JSON.stringify(["Note 1", ""]),
+      mtfs_audit_trail_v1: JSON.stringify([{ summary: "Session start" }]),
+      mtfs_users_v1: JSON.stringify([{ username: "jane" }]),
+    });
+    const names = ["mtfs_scenarios_v3", "mtfs_governance_notes_v1", "mtfs_audit_trail_v1"];
+    expect(await migrateToVault(storage, names, key)).toEqual([
+      "mtfs_governance_notes_v1",
+      "mtfs_audit_trail_v1",
+    ]);
+    expect(isEncryptedValue(storage.getItem("mtfs_governance_notes_v1"))).toBe(true);
+    expect(isEncryptedValue(storage.getItem("mtfs_users_v1"))).toBe(false);
+    expect(
+      (await readEncryptedItem(storage, "mtfs_governance_notes_v1", key)).value
+    ).toEqual(["Note 1", ""]);
+    expect(await migrateToVault(storage, names, key)).toEqual([]);
+  });
+
+  it("re-encrypts data from a shared-passphrase vault under the new key", async () => {
+    const salt = "cd".repeat(16);
+    const legacyKey = await deriveVaultKey("old passphrase", salt, 1000);
+    const legacyVault = {
+      version: 1,
+      salt,
+      iterations: 1000,
+      check: await encryptValue(legacyKey, "mtfs-vault-check"),
+    };
+    expect(await unlockLegacyVault(legacyVault, "wrong passphrase")).toBeNull();
+    expect(await unlockLegacyVault(legacyVault, "old passphrase")).not.toBeNull();
+    const storage = memoryStorage();
+    await writeEncryptedItem(storage, "mtfs_governance_notes_v1", ["Note 1"], legacyKey);
+    storage.setItem("mtfs_print_meta", JSON.stringify(await encryptValue(legacyKey, "{")));
+    const { key } = await createStorageVault("jane", "budget passphrase", fast);
+    const names = ["mtfs_governance_notes_v1", "mtfs_print_meta"];
+    expect(await migrateToVault(storage, names, key)).toEqual([]);
+    expect(await migrateToVault(storage, names, key, legacyKey)).toEqual([
+      "mtfs_governance_notes_v1",
+    ]);
+    expect((await readEncryptedItem(storage, "mtfs_governance_notes_v1", key)).value).toEqual([
+      "Note 1",
+    ]);
+    expect((await readEncryptedItem(storage, "mtfs_print_meta", key)).error).toBe(
+      "Stored data could not be decrypted"
+    );
+  });
+});
+
+describe("Goal seek", () => {
+  it("tags each variable with the unit it is displayed in", () => {
+    const units = Object.fromEntries(
+      listGoalSeekVariables().map((variable) => [variable.key, variable.unit])
+    );
+    expect(units.payAward).toBe("percent");
+    expect(units.taxBase).toBe("count");
+    expect(units.averageBandD).toBe("money");
+    expect(units.fundingLoss).toBe("money");
+    expect(Object.values(units).every(Boolean)).toBe(true);
+  });
+
+  const seek = (options, shocks = defaultFundingShocks) =>
+    goalSeek(
+      baseline,
+      defaultOverrides,
+      shocks,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline,
+      options
+    );
+
+  it("finds the pay award that leaves the target reserves in year N", () => {
+    const shocks = [
+      { ...defaultFundingShock, enabled: true, recurring: true, amount: -80_000_000 },
+    ];
+    const result = seek(
+      { variable: "payAward", metric: "usableReserves", yearIndex: 2, target: 10_000_000 },
+      shocks
+    );
+    expect(result.found).toBe(true);
+    const rows = computeProjections(
+      { ...baseline, payAward: result.value },
+      defaultOverrides,
+      shocks,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline
+    );
+    expect(round(rows[2].usableReserves)).toBe(10_000_000);
+    expect(result.value).toBeGreaterThan(baseline.payAward);
+  });
+
+  it("finds the recurring funding loss that closes the Y1 surplus", () => {
+    const [year1] = computeProjections(
+      baseline,
+      defaultOverrides,
+      defaultFundingShocks,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline
+    );
+    const result = seek({ variable: "fundingLoss", metric: "annualGap", yearIndex: 0 });
+    expect(result.found).toBe(true);
+    expect(round(result.value)).toBe(round(-year1.annualGap));
+  });
+
+  it("reports no solution within the bounds", () => {
+    const result = seek({
+      variable: "councilTaxIncrease",
+      metric: "annualGap",
+      yearIndex: 0,
+      target: 0,
+      min: 0,
+      max: 5,
+    });
+    expect(result.found).toBe(false);
+    expect([0, 5]).toContain(result.value);
+    expect(result.achieved).toBeLessThan(0);
+    expect(seek({ variable: "unknown" })).toBeNull();
+  });
+});
+
+describe("Stress test", () => {
+  const run = (stress) =>
+    computeStressTest(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline,
+      { ...defaultStress, simulations: 60, ...stress }
+    );
+
+  it("returns ordered per-year bands and cumulative exhaustion probability", () => {
+    const result = run({});
+    expect(result.years).toHaveLength(5);
+    result.years.forEach((year) => {
+      expect(year.gap.p10).toBeLessThanOrEqual(year.gap.p50);
+      expect(year.gap.p50).toBeLessThanOrEqual(year.gap.p90);
+      expect(year.reserves.p25).toBeLessThanOrEqual(year.reserves.p75);
+    });
+    result.years.slice(1).forEach((year, idx) => {
+      expect(year.exhaustionProbability).toBeGreaterThanOrEqual(
+        result.years[idx].exhaustionProbability
+      );
+    });
+    expect(result.p50Gap).toBe(result.years[0].gap.p50);
+    expect(run({})).toEqual(result);
+  });
+
+  it("gives the same result when run in chunks", () => {
+    const stress = { ...defaultStress, simulations: 45 };
+    const runner = createStressRunner(
+      baseline,
+      defaultOverrides,
+      defaultFundingShock,
+      defaultDebt,
+      initialState,
+      defaultSavingsPipeline,
+      stress
+    );
+    expect(runner.step(20)).toBe(20);
+    expect(runner.step(20)).toBe(40);
+    expect(runner.step(20)).toBe(45);
+    expect(runner.result()).toEqual(run({ simulations: 45 }));
+  });
+
+  it("symmetrises a one-sided correlation edit instead of rejecting it", () => {
+    const correlation = defaultStress.correlation.map((row) => [...row]);
+    correlation[1][2] = 0.7;
+    correlation[2][1] = 0.3;
+    const { valid, matrix } = resolveStressCorrelation({ ...defaultStress, correlation });
+    expect(valid).toBe(true);
+    expect(matrix[1][2]).toBeCloseTo(0.5);
+    expect(matrix[2][1]).toBeCloseTo(0.5);
+    matrix.forEach((row, i) => expect(row[i]).toBe(1));
+  });
+
+  it("correlates driver shocks through the matrix", () => {
+    const stress = {
+      ...defaultStress,
+      paySigma: 1,
+      inflationSigma: 1,
+      correlation: [
+        [1, 0, 0, 0],
+        [0, 1, 1, 0],
+        [0, 1, 1, 0],
+        [0, 0, 0, 1],
+      ],
+    };
+    const { valid } = resolveStressCorrelation(stress);
+    expect(valid).toBe(false);
+    const correlated = { ...stress, correlation: defaultStress.correlation };
+    const { lower } = resolveStressCorrelation(correlated);
+    let seed = 0.37;
+    const rand = () => {
+      seed = (seed * 9301 + 0.49297) % 1;
+      return seed;
+    };
+    const draws = Array.from({ length: 400 }, () =>
+      drawStressInputs(rand, baseline, correlated, lower)
+    );
+    const pay = draws.map((draw) => draw.payAward - baseline.payAward);
+    const inflation = draws.map(
+      (draw) => draw.generalInflation - baseline.generalInflation
+    );
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const cov =
+      mean(pay.map((v, i) => v * inflation[i])) - mean(pay) * mean(inflation);
+    const sd = (values) =>
+      Math.sqrt(mean(values.map((v) => v * v)) - mean(values) ** 2);
+    expect(cov / (sd(pay) * sd(inflation))).toBeGreaterThan(0.5);
+  });
+
+  it("bounds triangular shocks within the distribution range", () => {
+    const stress = {
+      ...defaultStress,
+      distributions: { ...defaultStress.distributions, payAward: "triangular" },
+    };
+    const { lower } = resolveStressCorrelation(stress);
+    let seed = 0.11;
+    const rand = () => {
+      seed = (seed * 9301 + 0.49297) % 1;
+      return seed;
+    };
+    const limit = Math.sqrt(6) * stress.paySigma;
+    for (let i = 0; i < 200; i += 1) {
+      const draw = drawStressInputs(rand, baseline, stress, lower);
+      expect(Math.abs(draw.payAward - baseline.payAward)).toBeLessThanOrEqual(limit);
+    }
+  });
+});
+
 describe("Config validation", () => {
   it("accepts valid config objects", () => {
     const result = validateConfig({ inputs: {}, assumptions: {} });
@@ -107,4 +1907,21 @@ describe("Config validation", () => {
     const result = validateConfig("bad");
     expect(result.valid).toBe(false);
   });
+
+  it("requires service splits to total 100% with unique names", () => {
+    const services = initialState.services;
+    expect(validateConfig({ assumptions: { services } }).valid).toBe(true);
+    expect(
+      validateConfig({
+        assumptions: { services: [...services, { name: "Extra", split: 0.1 }] },
+      }).valid
+    ).toBe(false);
+    expect(
+      validateConfig({
+        assumptions: {
+          services: services.map((service) => ({ ...service, name: "Same" })),
+        },
+      }).valid
+    ).toBe(false);
+  });
 });
@@ -0,0 +1,37 @@
+import { createStressRunner } from "./mtfs.js";
+
+const chunkSize = 50;
+let activeRun = null;
+
+self.onmessage = (event) => {
+  const { type, runId, payload } = event.data;
+  if (type === "cancel") {
+    if (activeRun === runId) activeRun = null;
+    return;
+  }
+  if (type !== "run") return;
+
+  activeRun = runId;
+  const runner = createStressRunner(
+    payload.inputs,
+    payload.overrides,
+    payload.fundingShocks,
+    payload.debt,
+    payload.assumptions,
+    payload.pipeline,
+    payload.stress
+  );
+
+  const step = () => {
+    if (activeRun !== runId) return;
+    const done = runner.step(chunkSize);
+    if (done < runner.total) {
+      self.postMessage({ type: "progress", runId, done, total: runner.total });
+      setTimeout(step, 0);
+      return;
+    }
+    activeRun = null;
+    self.postMessage({ type: "result", runId, summary: runner.result() });
+  };
+  step();
+};